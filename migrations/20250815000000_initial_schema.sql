@@ -0,0 +1,205 @@
+-- Base schema: the tables read by getAppData and written by saveAppData, as they were before
+-- the later migrations. Children are removed with their parent (ON DELETE CASCADE). There are no
+-- foreign keys between aggregates (e.g. indicators -> strategic_goals, decisions -> users) because
+-- saveAppData replaces whole collections and references may briefly point to deleted records;
+-- audit_logs has none either, since the log outlives what it describes.
+--
+-- Databases created before the migration runner already have these tables: mark this version
+-- as applied with `node scripts/migrate.js baseline 20250815000000_initial_schema`.
+
+-- up
+CREATE TABLE users (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    area VARCHAR(100) NULL,
+    password VARCHAR(255) NULL,
+    readThreadIds JSON NULL,
+    UNIQUE KEY uq_users_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE strategic_goals (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    targetDate DATE NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE indicators (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    principle VARCHAR(255) NULL,
+    name VARCHAR(255) NOT NULL,
+    calculation TEXT NULL,
+    purpose TEXT NULL,
+    responsibleArea VARCHAR(100) NULL,
+    strategicGoalId VARCHAR(64) NULL,
+    INDEX idx_indicators_area (responsibleArea),
+    INDEX idx_indicators_principle (principle),
+    INDEX idx_indicators_strategic_goal (strategicGoalId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE historical_data (
+    indicator_id VARCHAR(64) NOT NULL,
+    year INT NOT NULL,
+    value DECIMAL(18,4) NULL,
+    formattedValue VARCHAR(100) NULL,
+    PRIMARY KEY (indicator_id, year),
+    CONSTRAINT fk_historical_data_indicator FOREIGN KEY (indicator_id) REFERENCES indicators (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE goals (
+    indicator_id VARCHAR(64) NOT NULL,
+    year INT NOT NULL,
+    target DECIMAL(18,4) NULL,
+    PRIMARY KEY (indicator_id, year),
+    CONSTRAINT fk_goals_indicator FOREIGN KEY (indicator_id) REFERENCES indicators (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE observations (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    indicator_id VARCHAR(64) NOT NULL,
+    author VARCHAR(100) NULL,
+    role VARCHAR(50) NULL,
+    date DATETIME NULL,
+    text TEXT NULL,
+    INDEX idx_observations_indicator (indicator_id),
+    CONSTRAINT fk_observations_indicator FOREIGN KEY (indicator_id) REFERENCES indicators (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE risks (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    indicator_id VARCHAR(64) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    impact INT NULL,
+    probability INT NULL,
+    riskScore INT NULL,
+    mitigationPlan TEXT NULL,
+    status VARCHAR(50) NULL,
+    owner VARCHAR(100) NULL,
+    createdDate DATETIME NULL,
+    INDEX idx_risks_indicator (indicator_id),
+    CONSTRAINT fk_risks_indicator FOREIGN KEY (indicator_id) REFERENCES indicators (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE action_plans (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    indicator_id VARCHAR(64) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    owner VARCHAR(100) NULL,
+    status VARCHAR(50) NULL,
+    dueDate DATE NULL,
+    createdDate DATETIME NULL,
+    INDEX idx_action_plans_indicator (indicator_id),
+    INDEX idx_action_plans_due_date (dueDate),
+    CONSTRAINT fk_action_plans_indicator FOREIGN KEY (indicator_id) REFERENCES indicators (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE attachments (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    indicator_id VARCHAR(64) NOT NULL,
+    fileName VARCHAR(255) NOT NULL,
+    fileType VARCHAR(100) NULL,
+    fileSize INT NULL,
+    dataUrl LONGTEXT NOT NULL,
+    uploadedBy VARCHAR(100) NULL,
+    uploadDate DATETIME NULL,
+    INDEX idx_attachments_indicator (indicator_id),
+    CONSTRAINT fk_attachments_indicator FOREIGN KEY (indicator_id) REFERENCES indicators (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE action_plan_updates (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    action_plan_id VARCHAR(64) NOT NULL,
+    date DATETIME NULL,
+    author VARCHAR(100) NULL,
+    text TEXT NULL,
+    statusChange VARCHAR(50) NULL,
+    attachmentId VARCHAR(64) NULL,
+    INDEX idx_action_plan_updates_plan (action_plan_id),
+    CONSTRAINT fk_action_plan_updates_plan FOREIGN KEY (action_plan_id) REFERENCES action_plans (id) ON DELETE CASCADE,
+    CONSTRAINT fk_action_plan_updates_attachment FOREIGN KEY (attachmentId) REFERENCES attachments (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE audit_logs (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    indicator_id VARCHAR(64) NOT NULL,
+    timestamp DATETIME NOT NULL,
+    user VARCHAR(100) NULL,
+    action VARCHAR(50) NOT NULL,
+    details TEXT NULL,
+    INDEX idx_audit_logs_indicator (indicator_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE meetings (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    date DATETIME NULL,
+    attendees TEXT NULL,
+    agenda TEXT NULL,
+    minutes LONGTEXT NULL,
+    INDEX idx_meetings_date (date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE decisions (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    meeting_id VARCHAR(64) NOT NULL,
+    text TEXT NULL,
+    responsibleUserId VARCHAR(64) NULL,
+    dueDate DATE NULL,
+    status VARCHAR(50) NULL,
+    INDEX idx_decisions_meeting (meeting_id),
+    INDEX idx_decisions_responsible (responsibleUserId),
+    CONSTRAINT fk_decisions_meeting FOREIGN KEY (meeting_id) REFERENCES meetings (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE discussion_threads (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    content TEXT NULL,
+    authorId VARCHAR(64) NULL,
+    timestamp DATETIME NULL,
+    principleTag VARCHAR(255) NULL,
+    INDEX idx_discussion_threads_author (authorId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE thread_replies (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    thread_id VARCHAR(64) NOT NULL,
+    authorId VARCHAR(64) NULL,
+    timestamp DATETIME NULL,
+    content TEXT NULL,
+    INDEX idx_thread_replies_thread (thread_id),
+    CONSTRAINT fk_thread_replies_thread FOREIGN KEY (thread_id) REFERENCES discussion_threads (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE notifications (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    userId VARCHAR(64) NOT NULL,
+    type VARCHAR(50) NULL,
+    message TEXT NULL,
+    relatedIndicatorId VARCHAR(64) NULL,
+    relatedMeetingId VARCHAR(64) NULL,
+    relatedThreadId VARCHAR(64) NULL,
+    isRead BOOLEAN NOT NULL DEFAULT FALSE,
+    timestamp DATETIME NULL,
+    INDEX idx_notifications_user (userId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- down
+DROP TABLE notifications;
+DROP TABLE thread_replies;
+DROP TABLE discussion_threads;
+DROP TABLE decisions;
+DROP TABLE meetings;
+DROP TABLE audit_logs;
+DROP TABLE action_plan_updates;
+DROP TABLE attachments;
+DROP TABLE action_plans;
+DROP TABLE risks;
+DROP TABLE observations;
+DROP TABLE goals;
+DROP TABLE historical_data;
+DROP TABLE indicators;
+DROP TABLE strategic_goals;
+DROP TABLE users;
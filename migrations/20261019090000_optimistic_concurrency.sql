@@ -0,0 +1,21 @@
+-- Optimistic concurrency for the aggregates edited through saveAppData and the REST endpoints.
+-- `version` is bumped on every write to the record or to one of its children;
+-- `updatedAt` is maintained by MySQL and compared with the `syncedAt` cursor given to clients.
+
+-- up
+ALTER TABLE indicators
+    ADD COLUMN version INT NOT NULL DEFAULT 1,
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+ALTER TABLE meetings
+    ADD COLUMN version INT NOT NULL DEFAULT 1,
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+ALTER TABLE discussion_threads
+    ADD COLUMN version INT NOT NULL DEFAULT 1,
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+-- down
+ALTER TABLE indicators DROP COLUMN version, DROP COLUMN updatedAt;
+ALTER TABLE meetings DROP COLUMN version, DROP COLUMN updatedAt;
+ALTER TABLE discussion_threads DROP COLUMN version, DROP COLUMN updatedAt;
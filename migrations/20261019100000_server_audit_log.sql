@@ -0,0 +1,36 @@
+-- Server-authoritative audit log. Entries are written only by the server (services/auditService.js)
+-- and cover every entity, not just indicators: `entityType`/`entityId` identify the changed record
+-- and `rootType`/`rootId` the aggregate it belongs to. `indicator_id` is kept for indicator entries
+-- so getAppData can still return each indicator's `auditLog`.
+
+-- up
+ALTER TABLE audit_logs
+    MODIFY COLUMN indicator_id VARCHAR(64) NULL,
+    MODIFY COLUMN timestamp DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    ADD COLUMN userId VARCHAR(64) NULL AFTER timestamp,
+    ADD COLUMN entityType VARCHAR(50) NULL AFTER action,
+    ADD COLUMN entityId VARCHAR(64) NULL AFTER entityType,
+    ADD COLUMN rootType VARCHAR(50) NULL AFTER entityId,
+    ADD COLUMN rootId VARCHAR(64) NULL AFTER rootType,
+    ADD COLUMN changes JSON NULL AFTER details,
+    ADD INDEX idx_audit_logs_entity (entityType, entityId),
+    ADD INDEX idx_audit_logs_root (rootType, rootId),
+    ADD INDEX idx_audit_logs_user (userId),
+    ADD INDEX idx_audit_logs_timestamp (timestamp);
+
+-- Entries written by clients before this change belong to their indicator
+UPDATE audit_logs SET entityType = 'indicators', entityId = indicator_id, rootType = 'indicators', rootId = indicator_id
+    WHERE entityType IS NULL;
+
+-- down
+ALTER TABLE audit_logs
+    DROP INDEX idx_audit_logs_entity,
+    DROP INDEX idx_audit_logs_root,
+    DROP INDEX idx_audit_logs_user,
+    DROP INDEX idx_audit_logs_timestamp,
+    DROP COLUMN userId,
+    DROP COLUMN entityType,
+    DROP COLUMN entityId,
+    DROP COLUMN rootType,
+    DROP COLUMN rootId,
+    DROP COLUMN changes;
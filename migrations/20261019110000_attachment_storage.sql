@@ -0,0 +1,10 @@
+-- Attachments are stored in a blob store; the table keeps only their metadata and the blob key.
+-- `dataUrl` stays (nullable) until `npm run migrate:attachments` has moved every legacy row.
+
+-- up
+ALTER TABLE attachments
+    MODIFY COLUMN dataUrl LONGTEXT NULL,
+    ADD COLUMN storageKey VARCHAR(255) NULL AFTER fileSize;
+
+-- down
+ALTER TABLE attachments DROP COLUMN storageKey;
@@ -0,0 +1,21 @@
+-- Server-side sessions. Each login opens a session; its refresh token is stored only as a SHA-256
+-- hash and is replaced on every refresh. Access tokens carry the session id (`sid`), so revoking
+-- the session (logout, admin action, user deleted or role changed) invalidates them immediately.
+
+-- up
+CREATE TABLE sessions (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    userId VARCHAR(64) NOT NULL,
+    refreshTokenHash CHAR(64) NOT NULL,
+    createdAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    lastUsedAt DATETIME(3) NULL,
+    expiresAt DATETIME(3) NOT NULL,
+    revokedAt DATETIME(3) NULL,
+    revokedReason VARCHAR(50) NULL,
+    userAgent VARCHAR(255) NULL,
+    ip VARCHAR(64) NULL,
+    INDEX idx_sessions_user (userId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- down
+DROP TABLE sessions;
@@ -0,0 +1,26 @@
+-- Account security: failed login tracking for the lockout, and one-time password reset tokens
+-- issued by administrators. Tokens are stored only as SHA-256 hashes.
+
+-- up
+ALTER TABLE users
+    ADD COLUMN failedLoginAttempts INT NOT NULL DEFAULT 0,
+    ADD COLUMN lockedUntil DATETIME(3) NULL,
+    ADD COLUMN passwordChangedAt DATETIME(3) NULL;
+
+CREATE TABLE password_reset_tokens (
+    tokenHash CHAR(64) NOT NULL PRIMARY KEY,
+    userId VARCHAR(64) NOT NULL,
+    createdBy VARCHAR(64) NOT NULL,
+    createdAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    expiresAt DATETIME(3) NOT NULL,
+    usedAt DATETIME(3) NULL,
+    INDEX idx_password_reset_tokens_user (userId)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- down
+DROP TABLE password_reset_tokens;
+
+ALTER TABLE users
+    DROP COLUMN failedLoginAttempts,
+    DROP COLUMN lockedUntil,
+    DROP COLUMN passwordChangedAt;
@@ -0,0 +1,13 @@
+-- Catalog of cooperative principles indicators and discussion threads are classified under.
+-- Filled by `npm run seed`; `indicators.principle` and `discussion_threads.principleTag` hold the name.
+
+-- up
+CREATE TABLE cooperative_principles (
+    id INT NOT NULL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    UNIQUE KEY uq_cooperative_principles_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- down
+DROP TABLE cooperative_principles;
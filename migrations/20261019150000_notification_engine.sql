@@ -0,0 +1,21 @@
+-- Notifications are generated by the server (services/notificationService.js) instead of the
+-- frontend. `dedupeKey` identifies the event a notification is about (e.g. one overdue action
+-- plan and its due date), so the scheduler can run any number of times without repeating it.
+
+-- up
+UPDATE notifications SET timestamp = NOW() WHERE timestamp IS NULL;
+
+ALTER TABLE notifications
+    MODIFY COLUMN timestamp DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    ADD COLUMN relatedActionPlanId VARCHAR(64) NULL AFTER relatedThreadId,
+    ADD COLUMN dedupeKey VARCHAR(191) NULL AFTER type,
+    ADD UNIQUE KEY uq_notifications_dedupe (userId, dedupeKey),
+    ADD INDEX idx_notifications_user_read (userId, isRead, timestamp);
+
+-- down
+ALTER TABLE notifications
+    DROP INDEX uq_notifications_dedupe,
+    DROP INDEX idx_notifications_user_read,
+    DROP COLUMN relatedActionPlanId,
+    DROP COLUMN dedupeKey,
+    MODIFY COLUMN timestamp DATETIME NULL;
@@ -0,0 +1,40 @@
+-- Incremental sync of getAppData (`?since=<syncedAt>`).
+-- The top-level tables without `updatedAt` get one, so changed rows can be selected; the versioned
+-- aggregates already have it and it also moves when one of their children is written.
+-- Deleted top-level records leave a tombstone in `deleted_records`.
+
+-- up
+ALTER TABLE users
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+ALTER TABLE strategic_goals
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+ALTER TABLE notifications
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+ALTER TABLE cooperative_principles
+    ADD COLUMN updatedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3);
+
+ALTER TABLE indicators ADD INDEX idx_indicators_updated (updatedAt);
+ALTER TABLE meetings ADD INDEX idx_meetings_updated (updatedAt);
+ALTER TABLE discussion_threads ADD INDEX idx_discussion_threads_updated (updatedAt);
+
+CREATE TABLE deleted_records (
+    entityType VARCHAR(50) NOT NULL,
+    entityId VARCHAR(64) NOT NULL,
+    deletedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    deletedBy VARCHAR(64) NULL,
+    PRIMARY KEY (entityType, entityId),
+    INDEX idx_deleted_records_deleted (deletedAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- down
+DROP TABLE deleted_records;
+ALTER TABLE discussion_threads DROP INDEX idx_discussion_threads_updated;
+ALTER TABLE meetings DROP INDEX idx_meetings_updated;
+ALTER TABLE indicators DROP INDEX idx_indicators_updated;
+ALTER TABLE cooperative_principles DROP COLUMN updatedAt;
+ALTER TABLE notifications DROP COLUMN updatedAt;
+ALTER TABLE strategic_goals DROP COLUMN updatedAt;
+ALTER TABLE users DROP COLUMN updatedAt;
@@ -0,0 +1,31 @@
+-- Trash for indicators, meetings, threads and users (see src/services/trashService.js).
+-- A deleted record keeps its row and its children, flagged with who deleted it and when,
+-- until it is restored or purged after TRASH_RETENTION_DAYS.
+-- Rolling back turns whatever is in the trash into live records again.
+
+-- up
+ALTER TABLE indicators
+    ADD COLUMN deletedAt DATETIME(3) NULL,
+    ADD COLUMN deletedBy VARCHAR(64) NULL,
+    ADD INDEX idx_indicators_deleted (deletedAt);
+
+ALTER TABLE meetings
+    ADD COLUMN deletedAt DATETIME(3) NULL,
+    ADD COLUMN deletedBy VARCHAR(64) NULL,
+    ADD INDEX idx_meetings_deleted (deletedAt);
+
+ALTER TABLE discussion_threads
+    ADD COLUMN deletedAt DATETIME(3) NULL,
+    ADD COLUMN deletedBy VARCHAR(64) NULL,
+    ADD INDEX idx_discussion_threads_deleted (deletedAt);
+
+ALTER TABLE users
+    ADD COLUMN deletedAt DATETIME(3) NULL,
+    ADD COLUMN deletedBy VARCHAR(64) NULL,
+    ADD INDEX idx_users_deleted (deletedAt);
+
+-- down
+ALTER TABLE users DROP INDEX idx_users_deleted, DROP COLUMN deletedBy, DROP COLUMN deletedAt;
+ALTER TABLE discussion_threads DROP INDEX idx_discussion_threads_deleted, DROP COLUMN deletedBy, DROP COLUMN deletedAt;
+ALTER TABLE meetings DROP INDEX idx_meetings_deleted, DROP COLUMN deletedBy, DROP COLUMN deletedAt;
+ALTER TABLE indicators DROP INDEX idx_indicators_deleted, DROP COLUMN deletedBy, DROP COLUMN deletedAt;
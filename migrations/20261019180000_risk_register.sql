@@ -0,0 +1,33 @@
+-- Risk register: scores computed by the server and a history of status changes
+-- (see src/services/riskService.js). Scores stored until now were sent by the clients.
+
+-- up
+UPDATE risks SET riskScore = CASE
+    WHEN impact IS NULL OR probability IS NULL THEN NULL
+    ELSE impact * probability
+END;
+
+ALTER TABLE risks
+    ADD INDEX idx_risks_score (riskScore),
+    ADD INDEX idx_risks_status (status);
+
+CREATE TABLE risk_status_history (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    risk_id VARCHAR(64) NOT NULL,
+    indicator_id VARCHAR(64) NULL,
+    fromStatus VARCHAR(50) NULL,
+    toStatus VARCHAR(50) NULL,
+    changedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    changedBy VARCHAR(64) NULL,
+    changedByName VARCHAR(100) NULL,
+    INDEX idx_risk_status_history_risk (risk_id, changedAt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Current status of the existing risks, as their starting point
+INSERT INTO risk_status_history (id, risk_id, indicator_id, fromStatus, toStatus, changedAt)
+SELECT UUID(), id, indicator_id, NULL, status, COALESCE(createdDate, CURRENT_TIMESTAMP(3))
+FROM risks WHERE status IS NOT NULL;
+
+-- down
+DROP TABLE risk_status_history;
+ALTER TABLE risks DROP INDEX idx_risks_status, DROP INDEX idx_risks_score;
@@ -0,0 +1,22 @@
+-- Full-text indexes for GET /api/search (see src/services/searchService.js).
+-- InnoDB builds one FULLTEXT index per statement.
+
+-- up
+ALTER TABLE indicators ADD FULLTEXT INDEX ft_indicators_text (name, calculation, purpose);
+ALTER TABLE observations ADD FULLTEXT INDEX ft_observations_text (text);
+ALTER TABLE risks ADD FULLTEXT INDEX ft_risks_text (title, description);
+ALTER TABLE action_plan_updates ADD FULLTEXT INDEX ft_action_plan_updates_text (text);
+ALTER TABLE meetings ADD FULLTEXT INDEX ft_meetings_text (agenda, minutes);
+ALTER TABLE decisions ADD FULLTEXT INDEX ft_decisions_text (text);
+ALTER TABLE discussion_threads ADD FULLTEXT INDEX ft_discussion_threads_text (title, content);
+ALTER TABLE thread_replies ADD FULLTEXT INDEX ft_thread_replies_text (content);
+
+-- down
+ALTER TABLE thread_replies DROP INDEX ft_thread_replies_text;
+ALTER TABLE discussion_threads DROP INDEX ft_discussion_threads_text;
+ALTER TABLE decisions DROP INDEX ft_decisions_text;
+ALTER TABLE meetings DROP INDEX ft_meetings_text;
+ALTER TABLE action_plan_updates DROP INDEX ft_action_plan_updates_text;
+ALTER TABLE risks DROP INDEX ft_risks_text;
+ALTER TABLE observations DROP INDEX ft_observations_text;
+ALTER TABLE indicators DROP INDEX ft_indicators_text;
@@ -0,0 +1,76 @@
+-- Several cooperatives in one deployment (see src/services/tenantService.js).
+-- Users and top-level records (strategic goals, indicators, meetings, threads) belong to a
+-- cooperative; their children belong to it through them. The audit log, the tombstones of
+-- delta sync and the risk status history carry it as well, as they outlive their records.
+-- Everything stored so far goes to the cooperative "default". Federation users have none.
+-- The principles catalog is shared by every cooperative.
+
+-- up
+CREATE TABLE cooperatives (
+    id VARCHAR(64) NOT NULL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    createdAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    UNIQUE KEY uq_cooperatives_name (name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT INTO cooperatives (id, name) VALUES ('default', 'Cooperativa');
+
+ALTER TABLE users
+    ADD COLUMN cooperative_id VARCHAR(64) NULL,
+    ADD INDEX idx_users_cooperative (cooperative_id),
+    ADD CONSTRAINT fk_users_cooperative FOREIGN KEY (cooperative_id) REFERENCES cooperatives (id);
+UPDATE users SET cooperative_id = 'default';
+
+ALTER TABLE strategic_goals ADD COLUMN cooperative_id VARCHAR(64) NULL;
+UPDATE strategic_goals SET cooperative_id = 'default';
+ALTER TABLE strategic_goals
+    MODIFY cooperative_id VARCHAR(64) NOT NULL,
+    ADD INDEX idx_strategic_goals_cooperative (cooperative_id),
+    ADD CONSTRAINT fk_strategic_goals_cooperative FOREIGN KEY (cooperative_id) REFERENCES cooperatives (id);
+
+ALTER TABLE indicators ADD COLUMN cooperative_id VARCHAR(64) NULL;
+UPDATE indicators SET cooperative_id = 'default';
+ALTER TABLE indicators
+    MODIFY cooperative_id VARCHAR(64) NOT NULL,
+    ADD INDEX idx_indicators_cooperative (cooperative_id),
+    ADD CONSTRAINT fk_indicators_cooperative FOREIGN KEY (cooperative_id) REFERENCES cooperatives (id);
+
+ALTER TABLE meetings ADD COLUMN cooperative_id VARCHAR(64) NULL;
+UPDATE meetings SET cooperative_id = 'default';
+ALTER TABLE meetings
+    MODIFY cooperative_id VARCHAR(64) NOT NULL,
+    ADD INDEX idx_meetings_cooperative (cooperative_id),
+    ADD CONSTRAINT fk_meetings_cooperative FOREIGN KEY (cooperative_id) REFERENCES cooperatives (id);
+
+ALTER TABLE discussion_threads ADD COLUMN cooperative_id VARCHAR(64) NULL;
+UPDATE discussion_threads SET cooperative_id = 'default';
+ALTER TABLE discussion_threads
+    MODIFY cooperative_id VARCHAR(64) NOT NULL,
+    ADD INDEX idx_discussion_threads_cooperative (cooperative_id),
+    ADD CONSTRAINT fk_discussion_threads_cooperative FOREIGN KEY (cooperative_id) REFERENCES cooperatives (id);
+
+ALTER TABLE audit_logs
+    ADD COLUMN cooperative_id VARCHAR(64) NULL,
+    ADD INDEX idx_audit_logs_cooperative (cooperative_id, timestamp);
+UPDATE audit_logs SET cooperative_id = 'default';
+
+ALTER TABLE deleted_records
+    ADD COLUMN cooperative_id VARCHAR(64) NULL,
+    ADD INDEX idx_deleted_records_cooperative (cooperative_id, deletedAt);
+UPDATE deleted_records SET cooperative_id = 'default';
+
+ALTER TABLE risk_status_history
+    ADD COLUMN cooperative_id VARCHAR(64) NULL,
+    ADD INDEX idx_risk_status_history_cooperative (cooperative_id);
+UPDATE risk_status_history SET cooperative_id = 'default';
+
+-- down
+ALTER TABLE risk_status_history DROP INDEX idx_risk_status_history_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE deleted_records DROP INDEX idx_deleted_records_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE audit_logs DROP INDEX idx_audit_logs_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE discussion_threads DROP FOREIGN KEY fk_discussion_threads_cooperative, DROP INDEX idx_discussion_threads_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE meetings DROP FOREIGN KEY fk_meetings_cooperative, DROP INDEX idx_meetings_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE indicators DROP FOREIGN KEY fk_indicators_cooperative, DROP INDEX idx_indicators_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE strategic_goals DROP FOREIGN KEY fk_strategic_goals_cooperative, DROP INDEX idx_strategic_goals_cooperative, DROP COLUMN cooperative_id;
+ALTER TABLE users DROP FOREIGN KEY fk_users_cooperative, DROP INDEX idx_users_cooperative, DROP COLUMN cooperative_id;
+DROP TABLE cooperatives;
@@ -0,0 +1,17 @@
+-- Calendar subscriptions (.ics, see src/services/calendarService.js). Calendar apps can't send
+-- the JWT, so each feed is read with a secret token in its URL; only its SHA-256 hash is stored.
+-- A user has at most one feed of each scope: "user" (their own deadlines and the cooperative's
+-- meetings) and, for administrators, "cooperative" (every deadline of the cooperative).
+
+-- up
+CREATE TABLE calendar_feeds (
+    tokenHash CHAR(64) NOT NULL PRIMARY KEY,
+    userId VARCHAR(64) NOT NULL,
+    scope VARCHAR(20) NOT NULL,
+    createdAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    lastUsedAt DATETIME(3) NULL,
+    UNIQUE KEY uq_calendar_feeds_user_scope (userId, scope)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- down
+DROP TABLE calendar_feeds;
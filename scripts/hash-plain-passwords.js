@@ -0,0 +1,28 @@
+// One-off migration: hashes with bcrypt every password still stored in plain text. Login no
+// longer accepts plain-text passwords, so users affected can't sign in until this has run.
+// Safe to run more than once; hashed passwords are skipped.
+//
+//   npm run migrate:passwords
+const pool = require('../src/db');
+const { isHashed, hashPassword } = require('../src/services/passwordService');
+
+const run = async () => {
+    const [users] = await pool.query('SELECT id, name, password FROM users WHERE password IS NOT NULL');
+    const pending = users.filter(user => !isHashed(user.password));
+    console.log(`Contraseñas sin hashear: ${pending.length}`);
+
+    for (const user of pending) {
+        // Only replaced if nobody changed it meanwhile
+        await pool.query('UPDATE users SET password = ? WHERE id = ? AND password = ?', [await hashPassword(user.password), user.id, user.password]);
+        console.log(`Usuario ${user.name}: contraseña hasheada.`);
+    }
+
+    console.log('Migración terminada.');
+};
+
+run()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Error en la migración de contraseñas:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,51 @@
+// One-off migration: moves attachments stored as base64 `dataUrl` strings into the blob store.
+// Safe to run more than once; rows already migrated (with a storageKey) are skipped.
+//
+//   npm run migrate:attachments
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const pool = require('../src/db');
+const blobStore = require('../src/storage');
+const { decodeDataUrl } = require('../src/services/attachmentService');
+
+const run = async () => {
+    const [pending] = await pool.query('SELECT id FROM attachments WHERE dataUrl IS NOT NULL AND storageKey IS NULL');
+    console.log(`Adjuntos por migrar: ${pending.length}`);
+
+    let migrated = 0;
+    let failed = 0;
+    // One row at a time, so only a single file is held in memory
+    for (const { id } of pending) {
+        const [[attachment]] = await pool.query('SELECT id, fileType, dataUrl FROM attachments WHERE id = ?', [id]);
+        const decoded = decodeDataUrl(attachment.dataUrl);
+        if (!decoded) {
+            console.warn(`Adjunto ${id}: dataUrl con formato no reconocido, se omite.`);
+            failed++;
+            continue;
+        }
+
+        const storageKey = `attachments/${crypto.randomUUID()}`;
+        try {
+            const size = await blobStore.write(storageKey, Readable.from(decoded.buffer));
+            await pool.query(
+                'UPDATE attachments SET storageKey = ?, fileSize = ?, fileType = COALESCE(fileType, ?), dataUrl = NULL WHERE id = ?',
+                [storageKey, size, decoded.contentType, id]
+            );
+            migrated++;
+        } catch (error) {
+            console.error(`Adjunto ${id}: no se pudo migrar.`, error);
+            await blobStore.remove(storageKey).catch(() => {});
+            failed++;
+        }
+    }
+
+    console.log(`Migración terminada: ${migrated} migrados, ${failed} con errores.`);
+    return failed === 0;
+};
+
+run()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('Error en la migración de adjuntos:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,140 @@
+// Schema migrations. Each file in migrations/ is named `<timestamp>_<description>.sql` and has an
+// `-- up` and a `-- down` section; statements end with a semicolon at the end of a line.
+// Applied versions are recorded in `schema_migrations`, so every file runs once, in name order.
+//
+//   npm run migrate                    applies every pending migration
+//   npm run migrate:rollback           reverts the last applied migration (`-- --steps=N` for more)
+//   npm run migrate:status             lists applied and pending migrations
+//   node scripts/migrate.js baseline <version>
+//                                      records every migration up to <version> as applied without
+//                                      running it (for databases created before the runner existed)
+//
+// MySQL commits DDL statements implicitly, so a migration that fails halfway is not rolled back:
+// fix the file or the database by hand and run the command again.
+const fs = require('fs');
+const path = require('path');
+const pool = require('../src/db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_NAME = 'coop_backend_migrations';
+
+// Returns `{ version, up, down }` for every migration file, sorted by version.
+const readMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .sort()
+    .map(file => {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        const sections = { up: [], down: [] };
+        let current = null;
+        for (const line of sql.split(/\r?\n/)) {
+            const marker = line.trim().match(/^--\s*(up|down)\s*$/i);
+            if (marker) {
+                current = marker[1].toLowerCase();
+            } else if (current && !line.trim().startsWith('--')) {
+                sections[current].push(line);
+            }
+        }
+        const statements = (lines) => lines.join('\n')
+            .split(/;\s*$/m)
+            .map(statement => statement.trim())
+            .filter(Boolean);
+        return { version: path.basename(file, '.sql'), up: statements(sections.up), down: statements(sections.down) };
+    });
+
+const appliedVersions = async (connection) => {
+    await connection.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(255) NOT NULL PRIMARY KEY,
+        appliedAt DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+    )`);
+    const [rows] = await connection.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+};
+
+const runStatements = async (connection, migration, direction) => {
+    for (const statement of migration[direction]) {
+        await connection.query(statement);
+    }
+};
+
+const commands = {
+    async up(connection) {
+        const applied = new Set(await appliedVersions(connection));
+        const pending = readMigrations().filter(migration => !applied.has(migration.version));
+        if (pending.length === 0) {
+            console.log('La base de datos está al día.');
+            return;
+        }
+        for (const migration of pending) {
+            console.log(`Aplicando ${migration.version}...`);
+            await runStatements(connection, migration, 'up');
+            await connection.query('INSERT INTO schema_migrations (version) VALUES (?)', [migration.version]);
+        }
+        console.log(`${pending.length} migraciones aplicadas.`);
+    },
+
+    async down(connection, args) {
+        const steps = Number((args.find(arg => arg.startsWith('--steps=')) || '--steps=1').split('=')[1]) || 1;
+        const byVersion = new Map(readMigrations().map(migration => [migration.version, migration]));
+        const toRevert = (await appliedVersions(connection)).reverse().slice(0, steps);
+        if (toRevert.length === 0) {
+            console.log('No hay migraciones aplicadas.');
+            return;
+        }
+        for (const version of toRevert) {
+            const migration = byVersion.get(version);
+            if (!migration) {
+                throw new Error(`No se encontró el archivo de la migración ${version}.`);
+            }
+            console.log(`Revirtiendo ${version}...`);
+            await runStatements(connection, migration, 'down');
+            await connection.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        }
+        console.log(`${toRevert.length} migraciones revertidas.`);
+    },
+
+    async status(connection) {
+        const applied = new Set(await appliedVersions(connection));
+        for (const { version } of readMigrations()) {
+            console.log(`${applied.has(version) ? '[aplicada] ' : '[pendiente]'} ${version}`);
+        }
+    },
+
+    async baseline(connection, args) {
+        const target = args[0];
+        const migrations = readMigrations();
+        if (!target || !migrations.some(migration => migration.version === target)) {
+            throw new Error('Indique la versión hasta la que la base de datos ya está actualizada, p. ej. "baseline 20250815000000_initial_schema".');
+        }
+        const versions = migrations.map(migration => migration.version).filter(version => version <= target);
+        await appliedVersions(connection);
+        await connection.query('INSERT IGNORE INTO schema_migrations (version) VALUES ?', [versions.map(version => [version])]);
+        console.log(`${versions.length} migraciones marcadas como aplicadas.`);
+    },
+};
+
+const run = async () => {
+    const [command = 'up', ...args] = process.argv.slice(2);
+    if (!commands[command]) {
+        throw new Error(`Comando desconocido "${command}". Use up, down, status o baseline.`);
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        // Two deploys running migrations at the same time would apply them twice
+        const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, 10) AS locked', [LOCK_NAME]);
+        if (!locked) {
+            throw new Error('Otra ejecución de las migraciones está en curso.');
+        }
+        await commands[command](connection, args);
+    } finally {
+        await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+        connection.release();
+    }
+};
+
+run()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Error en las migraciones:', error.message || error);
+        process.exit(1);
+    });
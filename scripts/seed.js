@@ -0,0 +1,85 @@
+// Initial data for a new environment: the seven cooperative principles of the International
+// Cooperative Alliance, a cooperative and its first administrator. Run after `npm run migrate`.
+// Safe to run more than once: existing principles and cooperatives are left as they are and the
+// administrator is only created while the cooperative has none. Further cooperatives get their
+// first administrator through POST /api/auth/register with the BOOTSTRAP_TOKEN.
+//
+//   SEED_ADMIN_NAME=admin SEED_ADMIN_PASSWORD=... [SEED_ADMIN_AREA=Gerencia] \
+//   [SEED_COOPERATIVE_ID=default] [SEED_COOPERATIVE_NAME=Cooperativa] npm run seed
+const crypto = require('crypto');
+const pool = require('../src/db');
+const { ADMIN_ROLE } = require('../src/utils/permissions');
+const { hashPassword, passwordProblems } = require('../src/services/passwordService');
+
+const PRINCIPLES = [
+    [1, 'Adhesión voluntaria y abierta', 'Las cooperativas están abiertas a todas las personas dispuestas a utilizar sus servicios y a aceptar las responsabilidades de ser socias, sin discriminación.'],
+    [2, 'Gestión democrática por parte de los socios', 'Las cooperativas son controladas por sus socios, que participan activamente en la definición de sus políticas y en la toma de decisiones.'],
+    [3, 'Participación económica de los socios', 'Los socios contribuyen equitativamente al capital de la cooperativa y lo gestionan de forma democrática.'],
+    [4, 'Autonomía e independencia', 'Las cooperativas son organizaciones autónomas de autoayuda, controladas por sus socios.'],
+    [5, 'Educación, formación e información', 'Las cooperativas brindan educación y formación a sus socios, dirigentes y trabajadores, e informan al público sobre la cooperación.'],
+    [6, 'Cooperación entre cooperativas', 'Las cooperativas fortalecen el movimiento cooperativo trabajando de manera conjunta.'],
+    [7, 'Interés por la comunidad', 'Las cooperativas trabajan para el desarrollo sostenible de sus comunidades.'],
+];
+
+const seedPrinciples = async () => {
+    const [result] = await pool.query('INSERT IGNORE INTO cooperative_principles (id, name, description) VALUES ?', [PRINCIPLES]);
+    console.log(`Principios cooperativos creados: ${result.affectedRows}.`);
+};
+
+const COOPERATIVE_ID = process.env.SEED_COOPERATIVE_ID || 'default';
+
+const seedCooperative = async () => {
+    const [result] = await pool.query(
+        'INSERT IGNORE INTO cooperatives (id, name) VALUES (?, ?)',
+        [COOPERATIVE_ID, process.env.SEED_COOPERATIVE_NAME || 'Cooperativa']
+    );
+    console.log(result.affectedRows ? `Cooperativa "${COOPERATIVE_ID}" creada.` : `La cooperativa "${COOPERATIVE_ID}" ya existe.`);
+};
+
+const seedAdministrator = async () => {
+    const [[{ admins }]] = await pool.query(
+        'SELECT COUNT(*) AS admins FROM users WHERE role = ? AND cooperative_id = ? AND deletedAt IS NULL',
+        [ADMIN_ROLE, COOPERATIVE_ID]
+    );
+    if (admins > 0) {
+        console.log('La cooperativa ya tiene un administrador; no se crea otro.');
+        return true;
+    }
+
+    const name = process.env.SEED_ADMIN_NAME;
+    const password = process.env.SEED_ADMIN_PASSWORD;
+    if (!name || !password) {
+        console.error('Defina SEED_ADMIN_NAME y SEED_ADMIN_PASSWORD para crear el primer administrador.');
+        return false;
+    }
+    const problems = passwordProblems(password, { name });
+    if (problems.length) {
+        console.error(`SEED_ADMIN_PASSWORD no cumple la política de seguridad: ${problems.join(' ')}`);
+        return false;
+    }
+
+    await pool.query('INSERT INTO users SET ?', {
+        id: crypto.randomUUID(),
+        name,
+        role: ADMIN_ROLE,
+        area: process.env.SEED_ADMIN_AREA || 'Administración',
+        password: await hashPassword(password),
+        readThreadIds: JSON.stringify([]),
+        cooperative_id: COOPERATIVE_ID,
+    });
+    console.log(`Administrador "${name}" creado.`);
+    return true;
+};
+
+const run = async () => {
+    await seedPrinciples();
+    await seedCooperative();
+    return seedAdministrator();
+};
+
+run()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error('Error al cargar los datos iniciales:', error);
+        process.exit(1);
+    });
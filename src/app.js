@@ -0,0 +1,71 @@
+const express = require('express');
+const cors = require('cors');
+
+const authRoutes = require('./routes/authRoutes');
+const dataRoutes = require('./routes/dataRoutes');
+const indicatorRoutes = require('./routes/indicatorRoutes');
+const actionPlanRoutes = require('./routes/actionPlanRoutes');
+const meetingRoutes = require('./routes/meetingRoutes');
+const threadRoutes = require('./routes/threadRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const attachmentRoutes = require('./routes/attachmentRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const importRoutes = require('./routes/importRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const trashRoutes = require('./routes/trashRoutes');
+const riskRoutes = require('./routes/riskRoutes');
+const searchRoutes = require('./routes/searchRoutes');
+const federationRoutes = require('./routes/federationRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+
+// Builds the Express app. `repositories` is where login, getAppData and saveAppData read and write
+// (see repositories/index.js); controllers find it in `req.app.locals.repositories`.
+const createApp = ({ repositories }) => {
+    const app = express();
+    app.locals.repositories = repositories;
+
+    // Middlewares
+    app.use(cors()); // Permite peticiones desde el frontend
+    app.use(express.json({ limit: '2mb' })); // Permite al servidor entender JSON (los adjuntos se suben aparte, como multipart)
+
+    // Rutas de la API
+    app.use('/api/auth', authRoutes);
+    app.use('/api/data', dataRoutes);
+    app.use('/api/indicators', indicatorRoutes);
+    app.use('/api/action-plans', actionPlanRoutes);
+    app.use('/api/meetings', meetingRoutes);
+    app.use('/api/threads', threadRoutes);
+    app.use('/api/audit', auditRoutes);
+    app.use('/api/attachments', attachmentRoutes);
+    app.use('/api/reports', reportRoutes);
+    app.use('/api/import', importRoutes);
+    app.use('/api/notifications', notificationRoutes);
+    app.use('/api/events', eventRoutes);
+    app.use('/api/trash', trashRoutes);
+    app.use('/api/risks', riskRoutes);
+    app.use('/api/search', searchRoutes);
+    app.use('/api/federation', federationRoutes);
+    app.use('/api/calendar', calendarRoutes);
+
+    // Ruta de bienvenida para verificar que el servidor está funcionando
+    app.get('/', (req, res) => {
+        res.send('API del Balance Social Cooperativo está funcionando correctamente.');
+    });
+
+    // Errores no atendidos por las rutas (p. ej. un cuerpo JSON mal formado): siempre como JSON y sin detalles internos
+    app.use((err, req, res, next) => {
+        if (err.type === 'entity.parse.failed') {
+            return res.status(400).json({ message: 'El cuerpo de la solicitud no es un JSON válido.' });
+        }
+        if (err.type === 'entity.too.large') {
+            return res.status(413).json({ message: 'La solicitud supera el tamaño máximo permitido.' });
+        }
+        console.error('Error no controlado:', err);
+        res.status(500).json({ message: 'Error en el servidor.' });
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,136 @@
+const pool = require('../db');
+const { sendError } = require('../utils/httpErrors');
+const { ACTION_PLAN_STATUSES, CLOSED_PLAN_STATUSES, COMPLETED_PLAN_STATUS } = require('../models/statuses');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// A plan is overdue when its due date has passed and it is still open.
+const OVERDUE = 'p.dueDate < CURDATE() AND (p.status IS NULL OR p.status NOT IN (?))';
+
+const PLAN_FROM = 'FROM action_plans p JOIN indicators i ON i.id = p.indicator_id';
+
+// --- Helper Functions ---
+
+// Filters shared by the list and the metrics: plans of the user's cooperative only. Plans of
+// indicators in the trash are left out.
+const buildFilters = (query, cooperativeId) => {
+    const conditions = ['i.cooperative_id = ?', 'i.deletedAt IS NULL'];
+    const params = [cooperativeId];
+
+    if (query.overdue === 'true') {
+        conditions.push(OVERDUE);
+        params.push(CLOSED_PLAN_STATUSES);
+    } else if (query.overdue === 'false') {
+        conditions.push(`NOT COALESCE(${OVERDUE}, FALSE)`);
+        params.push(CLOSED_PLAN_STATUSES);
+    }
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        const unknownStatus = statuses.find(status => !ACTION_PLAN_STATUSES.includes(status));
+        if (unknownStatus) {
+            throw { status: 400, message: `Estado de plan de acción desconocido: "${unknownStatus}".` };
+        }
+        // Plans stored without a status are pending, as in the metrics and their lifecycle
+        conditions.push('COALESCE(p.status, ?) IN (?)');
+        params.push(ACTION_PLAN_STATUSES[0], statuses);
+    }
+    if (query.owner) {
+        conditions.push('p.owner = ?');
+        params.push(String(query.owner));
+    }
+    if (query.indicatorId) {
+        conditions.push('p.indicator_id = ?');
+        params.push(String(query.indicatorId));
+    }
+    if (query.area) {
+        conditions.push('i.responsibleArea = ?');
+        params.push(String(query.area));
+    }
+
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+// --- LIST ---
+
+// GET /api/action-plans?overdue=true|false&owner=&indicatorId=&area=&status=&limit=&offset=
+// Action plans of every indicator, soonest due first, each with its indicator, whether it is
+// overdue and by how many days. `status` takes a comma-separated list.
+exports.listActionPlans = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    try {
+        const { where, params } = buildFilters(req.query, req.user.cooperativeId);
+        const [[[{ total }]], [rows]] = await Promise.all([
+            pool.query(`SELECT COUNT(*) AS total ${PLAN_FROM} ${where}`, params),
+            pool.query(
+                `SELECT p.id, p.indicator_id, p.title, p.description, p.owner, p.status, DATE_FORMAT(p.dueDate, '%Y-%m-%d') AS dueDate,
+                        p.createdDate, i.name AS indicatorName, i.responsibleArea,
+                        COALESCE(${OVERDUE}, FALSE) AS overdue, DATEDIFF(CURDATE(), p.dueDate) AS daysPastDue
+                 ${PLAN_FROM} ${where}
+                 ORDER BY p.dueDate IS NULL, p.dueDate, p.createdDate, p.id LIMIT ? OFFSET ?`,
+                [CLOSED_PLAN_STATUSES, ...params, limit, offset]
+            ),
+        ]);
+        const actionPlans = rows.map(({ indicator_id: indicatorId, overdue, daysPastDue, ...plan }) => ({
+            ...plan,
+            indicatorId,
+            overdue: Boolean(overdue),
+            daysOverdue: overdue ? daysPastDue : 0,
+        }));
+        res.json({ total, limit, offset, actionPlans });
+    } catch (error) {
+        sendError(res, error, 'Error al listar los planes de acción', 'Error en el servidor al obtener los planes de acción.');
+    }
+};
+
+// --- METRICS ---
+
+// GET /api/action-plans/metrics?owner=&indicatorId=&area=
+// Plans per responsible area: how many there are in each status, how many are overdue and the
+// completion rate (percentage of completed plans among those not cancelled), plus the same figures overall.
+exports.getMetrics = async (req, res) => {
+    try {
+        const { where, params } = buildFilters({ ...req.query, overdue: undefined, status: undefined }, req.user.cooperativeId);
+        const [rows] = await pool.query(
+            `SELECT i.responsibleArea AS area, p.status, COUNT(*) AS total, SUM(COALESCE(${OVERDUE}, FALSE)) AS overdue
+             ${PLAN_FROM} ${where}
+             GROUP BY i.responsibleArea, p.status`,
+            [CLOSED_PLAN_STATUSES, ...params]
+        );
+
+        const emptyMetrics = (area) => ({
+            area,
+            total: 0,
+            byStatus: Object.fromEntries(ACTION_PLAN_STATUSES.map(status => [status, 0])),
+            overdue: 0,
+            completionRate: null,
+        });
+        const overall = emptyMetrics(null);
+        const areas = new Map();
+        for (const row of rows) {
+            if (!areas.has(row.area)) areas.set(row.area, emptyMetrics(row.area));
+            for (const metrics of [areas.get(row.area), overall]) {
+                // Plans stored without a status count as pending, as in their lifecycle
+                const status = row.status || ACTION_PLAN_STATUSES[0];
+                metrics.total += Number(row.total);
+                metrics.byStatus[status] = (metrics.byStatus[status] || 0) + Number(row.total);
+                metrics.overdue += Number(row.overdue);
+            }
+        }
+        const withRate = (metrics) => {
+            const cancelled = CLOSED_PLAN_STATUSES
+                .filter(status => status !== COMPLETED_PLAN_STATUS)
+                .reduce((sum, status) => sum + metrics.byStatus[status], 0);
+            const countable = metrics.total - cancelled;
+            return { ...metrics, completionRate: countable ? Math.round((metrics.byStatus[COMPLETED_PLAN_STATUS] / countable) * 1000) / 10 : null };
+        };
+
+        res.json({
+            areas: [...areas.values()].map(withRate).sort((a, b) => String(a.area ?? '').localeCompare(String(b.area ?? ''))),
+            overall: withRate(overall),
+        });
+    } catch (error) {
+        sendError(res, error, 'Error al calcular las métricas de los planes de acción', 'Error en el servidor al calcular las métricas de los planes de acción.');
+    }
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const blobStore = require('../storage');
+const { toMySQLDateTime } = require('../utils/dataUtils');
+const { withTransaction } = require('../utils/transaction');
+const { sendError, forbiddenError } = require('../utils/httpErrors');
+const { canEditIndicator } = require('../utils/permissions');
+const { diffAggregate } = require('../utils/diff');
+const auditService = require('../services/auditService');
+const attachmentService = require('../services/attachmentService');
+const realtimeService = require('../services/realtimeService');
+
+// --- Helper Functions ---
+
+// Indicators and attachments of other cooperatives are not found, nor those of indicators in
+// the trash: they come back with their indicator when it is restored.
+const findIndicator = async (db, user, indicatorId) => {
+    const [rows] = await db.query(
+        'SELECT id, responsibleArea FROM indicators WHERE id = ? AND cooperative_id = ? AND deletedAt IS NULL',
+        [indicatorId, user.cooperativeId]
+    );
+    return rows[0] || null;
+};
+
+const OWN_ATTACHMENT = 'indicator_id IN (SELECT id FROM indicators WHERE cooperative_id = ? AND deletedAt IS NULL)';
+
+const assertCanEditIndicator = (user, indicator) => {
+    if (!canEditIndicator(user, indicator)) {
+        throw forbiddenError([{
+            entity: 'indicators',
+            id: indicator.id,
+            reason: 'outOfArea',
+            responsibleArea: indicator.responsibleArea
+        }]);
+    }
+};
+
+const toMetadata = (attachment) => Object.fromEntries(
+    attachmentService.METADATA_COLUMNS.map(column => [column, attachment[column]])
+);
+
+// --- UPLOAD ---
+
+// Runs before the multipart body is read, so nothing is stored for indicators the user can't edit.
+exports.authorizeUpload = async (req, res, next) => {
+    try {
+        const indicator = await findIndicator(pool, req.user, req.params.parentId);
+        if (!indicator) {
+            return res.status(404).json({ message: 'El indicador no existe.' });
+        }
+        assertCanEditIndicator(req.user, indicator);
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error al autorizar la carga del adjunto', 'Error en el servidor al guardar el adjunto.');
+    }
+};
+
+// POST /api/indicators/:parentId/attachments (multipart, campo "file")
+// The file has already been streamed into the blob store by uploadMiddleware; this stores its metadata.
+exports.uploadAttachment = async (req, res) => {
+    const { storageKey, size, originalname, mimetype } = req.file;
+
+    try {
+        const events = [];
+        const attachment = await withTransaction(async (connection) => {
+            const indicator = await findIndicator(connection, req.user, req.params.parentId);
+            if (!indicator) {
+                throw { status: 404, message: 'El indicador no existe.' };
+            }
+            assertCanEditIndicator(req.user, indicator);
+
+            const record = {
+                id: crypto.randomUUID(),
+                indicator_id: indicator.id,
+                fileName: originalname,
+                fileType: mimetype,
+                fileSize: size,
+                storageKey,
+                uploadedBy: req.user.name,
+                uploadDate: toMySQLDateTime(new Date().toISOString(), true),
+            };
+            await connection.query('INSERT INTO attachments SET ?', record);
+            await connection.query('UPDATE indicators SET version = version + 1 WHERE id = ?', [indicator.id]);
+            const changes = diffAggregate('attachments', null, record);
+            await auditService.recordChanges(connection, req.user, changes, { name: 'indicators', id: indicator.id });
+            events.push(await realtimeService.changeEvent(connection, req.user, { name: 'indicators', id: indicator.id }, changes));
+            return toMetadata(record);
+        });
+        realtimeService.publish(events);
+        res.status(201).json(attachment);
+    } catch (error) {
+        await attachmentService.removeBlobs([storageKey]);
+        sendError(res, error, 'Error al guardar el adjunto', 'Error en el servidor al guardar el adjunto.');
+    }
+};
+
+// --- DOWNLOAD ---
+
+// GET /api/attachments/:id
+// Streams the file with its original content type. Rows not yet moved to the blob store by
+// `npm run migrate:attachments` are served from their legacy `dataUrl`.
+exports.downloadAttachment = async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT fileName, fileType, fileSize, storageKey, dataUrl IS NOT NULL AS hasDataUrl FROM attachments WHERE id = ? AND ${OWN_ATTACHMENT}`,
+            [req.params.id, req.user.cooperativeId]
+        );
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'Adjunto no encontrado.' });
+        }
+        const attachment = rows[0];
+
+        if (attachment.storageKey) {
+            const stream = blobStore.createReadStream(attachment.storageKey);
+            stream.once('open', () => {
+                res.attachment(attachment.fileName);
+                res.type(attachment.fileType || 'application/octet-stream');
+                if (attachment.fileSize) res.set('Content-Length', String(attachment.fileSize));
+                stream.pipe(res);
+            });
+            stream.once('error', (error) => {
+                console.error(`Error al leer el adjunto ${req.params.id}:`, error);
+                if (res.headersSent) return res.destroy(error);
+                res.status(404).json({ message: 'El archivo del adjunto no está disponible.' });
+            });
+            return;
+        }
+
+        if (attachment.hasDataUrl) {
+            const [[{ dataUrl }]] = await pool.query('SELECT dataUrl FROM attachments WHERE id = ?', [req.params.id]);
+            const decoded = attachmentService.decodeDataUrl(dataUrl);
+            if (decoded) {
+                res.attachment(attachment.fileName);
+                res.type(attachment.fileType || decoded.contentType);
+                return res.send(decoded.buffer);
+            }
+        }
+
+        res.status(404).json({ message: 'El archivo del adjunto no está disponible.' });
+    } catch (error) {
+        sendError(res, error, 'Error al descargar el adjunto', 'Error en el servidor al descargar el adjunto.');
+    }
+};
+
+// --- DELETE ---
+
+// DELETE /api/attachments/:id
+// Action plan updates that referenced the attachment keep their text but lose the link.
+exports.deleteAttachment = async (req, res) => {
+    try {
+        const events = [];
+        const storageKey = await withTransaction(async (connection) => {
+            const [rows] = await connection.query(`SELECT * FROM attachments WHERE id = ? AND ${OWN_ATTACHMENT}`, [req.params.id, req.user.cooperativeId]);
+            const indicator = rows.length ? await findIndicator(connection, req.user, rows[0].indicator_id) : null;
+            if (!indicator) {
+                throw { status: 404, message: 'Adjunto no encontrado.' };
+            }
+            assertCanEditIndicator(req.user, indicator);
+            const attachment = rows[0];
+
+            await connection.query('UPDATE action_plan_updates SET attachmentId = NULL WHERE attachmentId = ?', [attachment.id]);
+            await connection.query('DELETE FROM attachments WHERE id = ?', [attachment.id]);
+            await connection.query('UPDATE indicators SET version = version + 1 WHERE id = ?', [attachment.indicator_id]);
+            const changes = diffAggregate('attachments', attachment, null);
+            await auditService.recordChanges(connection, req.user, changes, { name: 'indicators', id: attachment.indicator_id });
+            events.push(await realtimeService.changeEvent(connection, req.user, { name: 'indicators', id: attachment.indicator_id }, changes));
+            return attachment.storageKey;
+        });
+        realtimeService.publish(events);
+        if (storageKey) {
+            await attachmentService.removeBlobs([storageKey]);
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Error al eliminar el adjunto', 'Error en el servidor al eliminar el adjunto.');
+    }
+};
@@ -0,0 +1,70 @@
+const pool = require('../db');
+const { toMySQLDateTime } = require('../utils/dataUtils');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// --- QUERY AUDIT LOG ---
+
+// GET /api/audit?entityType=&entityId=&userId=&action=&from=&to=&limit=&offset=
+// Filtering by entity returns the entries of the record itself and of everything nested in it
+// (e.g. an indicator together with its observations, risks and action plans). Only the entries
+// of the user's cooperative are returned.
+exports.getAuditLog = async (req, res) => {
+    const { entityType, entityId, userId, action, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const conditions = ['cooperative_id = ?'];
+    const params = [req.user.cooperativeId];
+
+    if (entityType && entityId) {
+        conditions.push('((entityType = ? AND entityId = ?) OR (rootType = ? AND rootId = ?))');
+        params.push(entityType, entityId, entityType, entityId);
+    } else if (entityType) {
+        conditions.push('entityType = ?');
+        params.push(entityType);
+    } else if (entityId) {
+        conditions.push('entityId = ?');
+        params.push(entityId);
+    }
+    if (userId) {
+        conditions.push('userId = ?');
+        params.push(userId);
+    }
+    if (action) {
+        conditions.push('action = ?');
+        params.push(action);
+    }
+    if (from) {
+        const fromDate = toMySQLDateTime(from, true);
+        if (!fromDate) {
+            return res.status(400).json({ message: 'El parámetro "from" no es una fecha válida.' });
+        }
+        conditions.push('timestamp >= ?');
+        params.push(fromDate);
+    }
+    if (to) {
+        const toDate = toMySQLDateTime(to, true);
+        if (!toDate) {
+            return res.status(400).json({ message: 'El parámetro "to" no es una fecha válida.' });
+        }
+        // A date without time includes the whole day
+        const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(to);
+        conditions.push(isDateOnly ? 'timestamp < DATE_ADD(?, INTERVAL 1 DAY)' : 'timestamp <= ?');
+        params.push(toDate);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    try {
+        const [[{ total }], [entries]] = await Promise.all([
+            pool.query(`SELECT COUNT(*) AS total FROM audit_logs ${where}`, params),
+            pool.query(`SELECT * FROM audit_logs ${where} ORDER BY timestamp DESC, id LIMIT ? OFFSET ?`, [...params, limit, offset]),
+        ]);
+        res.json({ total, limit, offset, entries });
+    } catch (error) {
+        console.error("Error al consultar el registro de auditoría:", error);
+        res.status(500).json({ message: 'Error en el servidor al consultar el registro de auditoría.' });
+    }
+};
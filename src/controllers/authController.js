@@ -1,15 +1,117 @@
+const crypto = require('crypto');
 const pool = require('../db');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const entities = require('../models/entities');
+const authMiddleware = require('../middleware/authMiddleware');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const auditService = require('../services/auditService');
+const tenantService = require('../services/tenantService');
+const { withTransaction } = require('../utils/transaction');
+const { sendError } = require('../utils/httpErrors');
+const { ADMIN_ROLE, FEDERATION_ROLE, ROLES, isAdmin, isValidRole } = require('../utils/permissions');
+
+const clientInfo = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+// Columns of `users` that never leave the server
+const PRIVATE_USER_COLUMNS = entities.users.hidden;
+
+const tokensEqual = (a, b) => {
+    const hash = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+// Audit entry for a password change; the password itself is never logged, not even hashed.
+const passwordChange = (userId) => ({
+    entity: 'users',
+    key: userId,
+    action: 'update',
+    fields: { password: { before: '***', after: '***' } }
+});
+
+// Live users with `role`, of one cooperative or of all of them.
+const countUsers = async (role, cooperativeId = null) => {
+    const [[{ users }]] = await pool.query(
+        `SELECT COUNT(*) AS users FROM users WHERE role = ? AND deletedAt IS NULL${cooperativeId ? ' AND cooperative_id = ?' : ''}`,
+        cooperativeId ? [role, cooperativeId] : [role]
+    );
+    return users;
+};
+
+// Registration is reserved to administrators, who register users of their own cooperative. The
+// exceptions go through the BOOTSTRAP_TOKEN of the environment, which only sets a deployment up:
+//  - the first administrator of a cooperative (`cooperativeId`), while it has none; a cooperative
+//    that doesn't exist yet is created with the `cooperativeName` sent, while no cooperative has
+//    an administrator;
+//  - the first user of the federation, which belongs to no cooperative.
+exports.authorizeRegistration = async (req, res, next) => {
+    const bootstrapToken = req.get('x-bootstrap-token') || req.body.bootstrapToken;
+
+    if (!bootstrapToken) {
+        return authMiddleware(req, res, () => {
+            if (!isAdmin(req.user)) {
+                return res.status(403).json({ message: 'Solo un administrador puede registrar usuarios.' });
+            }
+            next();
+        });
+    }
+
+    try {
+        if (!process.env.BOOTSTRAP_TOKEN || !tokensEqual(bootstrapToken, process.env.BOOTSTRAP_TOKEN)) {
+            return res.status(403).json({ message: 'El token de inicialización no es válido.' });
+        }
+        if (req.body.role === FEDERATION_ROLE) {
+            if (await countUsers(FEDERATION_ROLE) > 0) {
+                return res.status(403).json({ message: 'La federación ya tiene usuarios; el token de inicialización ya no es válido para ella.' });
+            }
+            req.bootstrap = { cooperative: null };
+            return next();
+        }
+        if (req.body.role !== ADMIN_ROLE) {
+            return res.status(400).json({ message: `El primer usuario de una cooperativa debe tener el rol "${ADMIN_ROLE}".` });
+        }
+        const { cooperativeId, cooperativeName } = req.body;
+        if (!cooperativeId) {
+            return res.status(400).json({ message: 'Indique la cooperativa (cooperativeId) del administrador.' });
+        }
+
+        const cooperative = await tenantService.findCooperative(pool, String(cooperativeId));
+        if (!cooperative) {
+            if (await countUsers(ADMIN_ROLE) > 0) {
+                return res.status(403).json({ message: 'Ya hay cooperativas con administrador; el token de inicialización ya no permite crear cooperativas.' });
+            }
+            if (!cooperativeName) {
+                return res.status(400).json({ message: `La cooperativa "${cooperativeId}" no existe; indique su nombre (cooperativeName) para crearla.` });
+            }
+            req.bootstrap = { cooperative: { id: String(cooperativeId), name: String(cooperativeName) }, createCooperative: true };
+            return next();
+        }
+        if (await countUsers(ADMIN_ROLE, cooperative.id) > 0) {
+            return res.status(403).json({ message: 'La cooperativa ya tiene un administrador; el token de inicialización ya no es válido para ella.' });
+        }
+        req.bootstrap = { cooperative };
+        next();
+    } catch (error) {
+        sendError(res, error, 'Error al verificar el token de inicialización', 'Error en el servidor al registrar el usuario.');
+    }
+};
 
 
 exports.register = async (req, res) => {
     const { id, name, role, area, password, readThreadIds } = req.body;
+    // Federation users have no area, as they belong to no cooperative
+    const isFederationUser = Boolean(req.bootstrap) && role === FEDERATION_ROLE;
 
 
-    if (!id || !name || !role || !area || !password) {
+    if (!id || !name || !role || (!area && !isFederationUser) || !password) {
         return res.status(400).json({ message: 'Todos los campos son requeridos para el registro.' });
     }
+    if (!isValidRole(role) && !isFederationUser) {
+        return res.status(400).json({ message: `El rol "${role}" no existe.`, roles: ROLES });
+    }
+    const problems = passwordService.passwordProblems(password, { name });
+    if (problems.length) {
+        return res.status(400).json({ message: 'La contraseña no cumple la política de seguridad.', problems });
+    }
 
 
     try {
@@ -20,21 +122,38 @@ exports.register = async (req, res) => {
         }
 
 
-        // Hashear la contraseña
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
-
-        // Guardar el nuevo usuario en la base de datos
+        // Guardar el nuevo usuario en la base de datos, con la contraseña hasheada
+        const cooperative = req.bootstrap ? req.bootstrap.cooperative : { id: req.user.cooperativeId };
         const newUser = {
             id,
             name,
             role,
-            area,
-            password: hashedPassword,
-            readThreadIds: JSON.stringify(readThreadIds || [])
+            area: area || null,
+            password: await passwordService.hashPassword(password),
+            readThreadIds: JSON.stringify(readThreadIds || []),
+            cooperative_id: cooperative ? cooperative.id : null
         };
-        await pool.query('INSERT INTO users SET ?', newUser);
+
+        // The bootstrap administrator registers itself
+        const author = req.bootstrap ? { id, name, cooperativeId: newUser.cooperative_id } : req.user;
+        await withTransaction(async (connection) => {
+            if (req.bootstrap?.createCooperative) {
+                await tenantService.createCooperative(connection, cooperative);
+            }
+            await connection.query('INSERT INTO users SET ?', newUser);
+            await auditService.recordChanges(connection, author, [{
+                entity: 'users',
+                key: id,
+                action: 'create',
+                fields: {
+                    id: { before: null, after: id },
+                    name: { before: null, after: name },
+                    role: { before: null, after: role },
+                    area: { before: null, after: newUser.area },
+                    password: { before: null, after: '***' }
+                }
+            }]);
+        });
 
 
         res.status(201).json({ message: 'Usuario registrado exitosamente.' });
@@ -57,57 +176,49 @@ exports.login = async (req, res) => {
 
 
     try {
-        const [rows] = await pool.query('SELECT * FROM users WHERE name = ?', [name]);
-        if (rows.length === 0) {
+        const { repositories } = req.app.locals;
+        const user = await repositories.users.findForLogin(name);
+        if (!user) {
             return res.status(401).json({ message: 'Credenciales inválidas.' });
         }
 
 
-        const user = rows[0];
-
-
-        let isMatch = false;
+        // Accounts with too many failed attempts are locked for a while, even for the right password
+        const retryAfter = passwordService.secondsLocked(user);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                message: `La cuenta está bloqueada por intentos fallidos. Intente nuevamente en ${Math.ceil(retryAfter / 60)} minutos.`,
+                retryAfter
+            });
+        }
 
 
-        // Auto-healing mechanism for plain-text passwords
-        if (user.password && user.password.startsWith('$2a$')) {
-            // Password is a hash, compare securely
-            isMatch = await bcrypt.compare(password, user.password);
-        } else {
-            // Password is likely plain text, compare directly
-            isMatch = (password === user.password);
-            if (isMatch) {
-                // If it matches, upgrade the password to a hash for future security
-                console.log(`Upgrading password hash for user: ${user.name}`);
-                const salt = await bcrypt.genSalt(10);
-                const hashedPassword = await bcrypt.hash(password, salt);
-                await pool.query('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, user.id]);
-            }
-        }
+        const isMatch = await passwordService.verifyPassword(password, user.password);
 
 
         if (!isMatch) {
+            if (!passwordService.isHashed(user.password)) {
+                console.warn(`El usuario ${user.name} tiene una contraseña sin hashear; ejecute "npm run migrate:passwords".`);
+            }
+            await repositories.users.registerFailedLogin(user);
             return res.status(401).json({ message: 'Credenciales inválidas.' });
         }
+        await repositories.users.clearFailedLogins(user.id);
 
 
-        // Create and sign the JWT
-        const payload = {
-            id: user.id,
-            name: user.name,
-            role: user.role,
-            area: user.area
-        };
-        const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '8h' });
+        // Open a server-side session: short-lived access token plus a rotating refresh token
+        const tokens = await repositories.sessions.create(user, clientInfo(req));
 
 
         // Prepare the user object to send to the frontend (without the password)
-        const userToSend = { ...user };
-        delete userToSend.password;
+        const { cooperative_id: cooperativeId, cooperativeName, ...userToSend } = user;
+        PRIVATE_USER_COLUMNS.forEach(column => delete userToSend[column]);
+        userToSend.cooperative = cooperativeId ? { id: cooperativeId, name: cooperativeName } : null;
 
 
         res.json({
-            token,
+            ...tokens,
             user: userToSend
         });
 
@@ -119,3 +230,148 @@ exports.login = async (req, res) => {
 };
 
 
+// POST /api/auth/refresh { refreshToken }
+// Returns a new access token and a new refresh token; the one sent can't be used again.
+exports.refresh = async (req, res) => {
+    try {
+        const tokens = await sessionService.rotateSession(pool, req.body.refreshToken);
+        res.json(tokens);
+    } catch (error) {
+        sendError(res, error, 'Error al renovar la sesión', 'Error en el servidor al renovar la sesión.');
+    }
+};
+
+
+// POST /api/auth/logout { refreshToken }
+// Closes the session; its access tokens stop working right away.
+exports.logout = async (req, res) => {
+    try {
+        await sessionService.revokeByRefreshToken(pool, req.body.refreshToken);
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Error al cerrar la sesión', 'Error en el servidor al cerrar la sesión.');
+    }
+};
+
+
+// POST /api/auth/users/:id/revoke-sessions (solo administradores)
+// Signs a user out of every device, e.g. after a lost laptop or a leaked password.
+exports.revokeUserSessions = async (req, res) => {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({ message: 'No tiene permiso para gestionar usuarios.' });
+    }
+
+    try {
+        const [users] = await pool.query(
+            'SELECT id FROM users WHERE id = ? AND cooperative_id = ? AND deletedAt IS NULL',
+            [req.params.id, req.user.cooperativeId]
+        );
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'Usuario no encontrado.' });
+        }
+        const revoked = await sessionService.revokeUserSessions(pool, req.params.id, 'adminRevoked');
+        await auditService.recordChanges(pool, req.user, [{
+            entity: 'users',
+            key: req.params.id,
+            action: 'update',
+            fields: { sessions: { before: revoked, after: 0 } }
+        }]);
+        res.json({ revoked });
+    } catch (error) {
+        sendError(res, error, 'Error al revocar las sesiones', 'Error en el servidor al revocar las sesiones.');
+    }
+};
+
+
+// POST /api/auth/change-password { currentPassword, newPassword }
+// Self-service change. Every other session of the user is closed; the current one stays open.
+exports.changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: 'La contraseña actual y la nueva son requeridas.' });
+    }
+
+    try {
+        const [rows] = await pool.query('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        const user = rows[0];
+        if (!await passwordService.verifyPassword(currentPassword, user.password)) {
+            // Counts towards the lockout, so a stolen token can't be used to guess the password
+            await passwordService.registerFailedLogin(pool, user);
+            return res.status(400).json({ message: 'La contraseña actual no es correcta.' });
+        }
+        if (currentPassword === newPassword) {
+            return res.status(400).json({ message: 'La nueva contraseña debe ser distinta de la actual.' });
+        }
+        passwordService.assertPasswordPolicy(newPassword, user);
+
+        await withTransaction(async (connection) => {
+            await passwordService.setPassword(connection, user.id, newPassword);
+            await sessionService.revokeUserSessions(connection, user.id, 'passwordChanged', req.user.sid);
+            await auditService.recordChanges(connection, req.user, [passwordChange(user.id)]);
+        });
+        res.json({ message: 'Contraseña actualizada.' });
+    } catch (error) {
+        sendError(res, error, 'Error al cambiar la contraseña', 'Error en el servidor al cambiar la contraseña.');
+    }
+};
+
+
+// POST /api/auth/users/:id/reset-token (solo administradores)
+// Issues a one-time token the administrator hands to the user, who then chooses a new password
+// with POST /api/auth/reset-password. The current password keeps working until then.
+exports.createResetToken = async (req, res) => {
+    if (!isAdmin(req.user)) {
+        return res.status(403).json({ message: 'No tiene permiso para gestionar usuarios.' });
+    }
+
+    try {
+        const reset = await withTransaction(async (connection) => {
+            const [users] = await connection.query(
+                'SELECT id FROM users WHERE id = ? AND cooperative_id = ? AND deletedAt IS NULL',
+                [req.params.id, req.user.cooperativeId]
+            );
+            if (users.length === 0) {
+                throw { status: 404, message: 'Usuario no encontrado.' };
+            }
+            const token = await passwordService.createResetToken(connection, req.params.id, req.user.id);
+            await auditService.recordChanges(connection, req.user, [{
+                entity: 'users',
+                key: req.params.id,
+                action: 'update',
+                fields: { passwordResetToken: { before: null, after: '***' } }
+            }]);
+            return token;
+        });
+        res.status(201).json(reset);
+    } catch (error) {
+        sendError(res, error, 'Error al generar el token de restablecimiento', 'Error en el servidor al generar el token de restablecimiento.');
+    }
+};
+
+
+// POST /api/auth/reset-password { token, newPassword }
+// Sets a new password with a reset token; closes every session of the user.
+exports.resetPassword = async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+        return res.status(400).json({ message: 'El token y la nueva contraseña son requeridos.' });
+    }
+
+    try {
+        await withTransaction(async (connection) => {
+            const user = await passwordService.consumeResetToken(connection, token);
+            if (!user) {
+                throw { status: 400, message: 'El token de restablecimiento no es válido o ya expiró.' };
+            }
+            passwordService.assertPasswordPolicy(newPassword, user);
+            await passwordService.setPassword(connection, user.id, newPassword);
+            await sessionService.revokeUserSessions(connection, user.id, 'passwordReset');
+            await auditService.recordChanges(connection, user, [passwordChange(user.id)]);
+        });
+        res.json({ message: 'Contraseña restablecida. Ya puede iniciar sesión.' });
+    } catch (error) {
+        sendError(res, error, 'Error al restablecer la contraseña', 'Error en el servidor al restablecer la contraseña.');
+    }
+};
@@ -0,0 +1,67 @@
+const pool = require('../db');
+const { sendError } = require('../utils/httpErrors');
+const calendarService = require('../services/calendarService');
+
+// --- Helper Functions ---
+
+// Absolute URL of a feed, for the user to paste into their calendar app. PUBLIC_API_URL is the
+// address clients reach the API at (e.g. behind a proxy); by default, the one of this request.
+const feedUrl = (req, token) => {
+    const base = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    return `${base}/api/calendar/feeds/${token}.ics`;
+};
+
+const readScope = (value) => String(value || 'user');
+
+// --- SUBSCRIPTIONS ---
+
+// POST /api/calendar/feed { scope: 'user' | 'cooperative' }
+// Issues the subscription URL of the user's calendar (`user`, by default) or, for administrators,
+// of the whole cooperative's (`cooperative`). The URL is shown only once; issuing it again
+// replaces the previous one, which stops working.
+exports.createFeed = async (req, res) => {
+    try {
+        const scope = readScope(req.body.scope);
+        const token = await calendarService.issueFeedToken(pool, req.user, scope);
+        const url = feedUrl(req, token);
+        res.status(201).json({ scope, url, webcalUrl: url.replace(/^https?:/, 'webcal:') });
+    } catch (error) {
+        sendError(res, error, 'Error al generar el calendario', 'Error en el servidor al generar el calendario.');
+    }
+};
+
+// DELETE /api/calendar/feed?scope=user
+// Revokes the subscription URL of that scope: calendar apps subscribed to it stop receiving events.
+exports.revokeFeed = async (req, res) => {
+    try {
+        const revoked = await calendarService.revokeFeedToken(pool, req.user.id, readScope(req.query.scope));
+        if (!revoked) {
+            return res.status(404).json({ message: 'No hay una suscripción al calendario para revocar.' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        sendError(res, error, 'Error al revocar el calendario', 'Error en el servidor al revocar el calendario.');
+    }
+};
+
+// --- FEED ---
+
+// GET /api/calendar/feeds/:token.ics (sin JWT: el token de la URL es la credencial)
+// The iCalendar document described in calendarService.js.
+exports.getFeed = async (req, res) => {
+    try {
+        const feed = await calendarService.findFeed(pool, req.params.token);
+        if (!feed) {
+            return res.status(404).json({ message: 'Calendario no encontrado.' });
+        }
+        const records = await calendarService.loadFeedRecords(pool, feed);
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="balance-social.ics"',
+            'Cache-Control': 'private, no-cache',
+        });
+        res.send(calendarService.renderCalendar(feed, records));
+    } catch (error) {
+        sendError(res, error, 'Error al generar el calendario', 'Error en el servidor al generar el calendario.');
+    }
+};
@@ -1,345 +1,475 @@
-const pool = require('../db');
-const bcrypt = require('bcryptjs');
+const { normalizeNumber, sameName } = require('../utils/dataUtils');
+const { diffAggregate, diffCollection, diffFields } = require('../utils/diff');
+const { sendError, conflictError, forbiddenError } = require('../utils/httpErrors');
+const { ROLES, isAdmin, isValidRole, canEditIndicator } = require('../utils/permissions');
+const riskService = require('../services/riskService');
+const actionPlanService = require('../services/actionPlanService');
+const realtimeService = require('../services/realtimeService');
+const passwordService = require('../services/passwordService');
+const { parseSyncCursor } = require('../services/appDataService');
+const { appDataSchema, assertValid, validationError } = require('../models/schemas');
 
 // --- Helper Functions ---
 
-// Groups an array of child objects by a foreign key.
-const groupChildrenBy = (children, key) => {
-    return children.reduce((acc, child) => {
-        const parentId = child[key];
-        if (!acc[parentId]) {
-            acc[parentId] = [];
-        }
-        delete child[key]; // Clean up foreign key from child object for cleaner output
-        acc[parentId].push(child);
-        return acc;
-    }, {});
+// Numeric columns may arrive formatted ("1.234,5"); text that is not a number is kept as sent.
+const toNumberColumn = (value) => {
+    const number = normalizeNumber(value);
+    return Number.isNaN(number) ? value : number;
 };
 
-// A robust function to format a date string into a MySQL DATETIME compatible format.
-// Final attempt to make this robust against different environments and formats.
-const toMySQLDateTime = (dateString, keepTime = false) => {
-    // Return null immediately for falsy inputs to prevent errors down the line.
-    if (!dateString) return null;
+// Brings an incoming indicator to the shape loadAppData returns, so both can be diffed: values
+// and targets are plain numbers, risk scores are computed by the server and each action plan
+// update points to its attachment through `attachmentId`. Attachments themselves are uploaded
+// and deleted through /api/attachments and are not written by saveAppData.
+const toStoredIndicator = (indicator) => {
+    const actionPlans = (indicator.actionPlans || []).map(plan => {
+        const updates = (plan.updates || []).map(update => ({
+            ...update,
+            attachmentId: update.attachmentId ?? update.attachment?.id ?? null
+        }));
+        return { ...plan, updates };
+    });
 
-    try {
-        const dateStr = String(dateString);
-
-        // Priority 1: Handle the standard ISO format (e.g., "2024-08-20T10:30:00.000Z")
-        // which is generated by the frontend and returned by the DB driver.
-        // This method avoids parsing with `new Date()` which can be environment-sensitive.
-        if (dateStr.includes('T') && dateStr.endsWith('Z')) {
-            const base = dateStr.substring(0, 19).replace('T', ' '); // -> "YYYY-MM-DD HH:mm:ss"
-            if (keepTime) {
-                return base;
-            } else {
-                return dateStr.substring(0, 10) + ' 00:00:00'; // -> "YYYY-MM-DD 00:00:00"
-            }
-        }
-        
-        // Priority 2: Handle date-only strings (e.g., "2024-12-31") from date pickers.
-        const dateOnlyRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (dateOnlyRegex.test(dateStr)) {
-            return dateStr + ' 00:00:00'; // Time is always 00:00:00 for date-only strings.
-        }
+    return {
+        ...indicator,
+        historicalData: (indicator.historicalData || []).map(row => ({ ...row, value: toNumberColumn(row.value) })),
+        goals: (indicator.goals || []).map(row => ({ ...row, target: toNumberColumn(row.target) })),
+        risks: (indicator.risks || []).map(riskService.withScore),
+        actionPlans
+    };
+};
 
-        // Priority 3: Fallback for other potential formats, like MySQL's own DATETIME string "YYYY-MM-DD HH:MM:SS".
-        // This makes the function idempotent if it receives an already-formatted string.
-        const mysqlDateTimeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
-        if (mysqlDateTimeRegex.test(dateStr)) {
-             if (keepTime) {
-                return dateStr;
-            } else {
-                return dateStr.substring(0, 10) + ' 00:00:00';
-            }
-        }
+// Checks that every attachment referenced by an action plan update exists and belongs to the
+// update's indicator. Attachments are linked to an indicator when uploaded, so this also keeps
+// updates from pointing to files of other indicators or cooperatives. Throws a 400 listing
+// each invalid reference.
+const checkAttachmentReferences = async (repositories, indicators = []) => {
+    const references = [];
+    indicators.forEach((indicator, i) => (indicator.actionPlans || []).forEach((plan, j) =>
+        (plan.updates || []).forEach((update, k) => {
+            const path = ['indicators', i, 'actionPlans', j, 'updates', k];
+            if (update.attachmentId) references.push({ indicatorId: indicator.id, id: update.attachmentId, path: [...path, 'attachmentId'] });
+            else if (update.attachment?.id) references.push({ indicatorId: indicator.id, id: update.attachment.id, path: [...path, 'attachment', 'id'] });
+        })));
+    if (references.length === 0) return;
 
-        // Final Fallback: Attempt to parse with `new Date()` as a last resort.
-        const date = new Date(dateString);
-        if (isNaN(date.getTime())) {
-            console.warn(`[Final Fallback] Could not parse date: "${dateString}". Returning null.`);
-            return null; // Return null if date is invalid.
-        }
+    const owners = await repositories.attachments.findIndicators([...new Set(references.map(ref => ref.id))]);
+    const invalid = references.filter(ref => owners.get(ref.id) !== ref.indicatorId);
+    if (invalid.length) {
+        throw validationError(invalid.map(ref => ({
+            path: ref.path,
+            message: 'El adjunto no existe o no pertenece a este indicador.',
+            type: 'attachment.invalid',
+        })));
+    }
+};
 
-        const year = date.getUTCFullYear();
-        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
-        const day = String(date.getUTCDate()).padStart(2, '0');
-        
-        if (keepTime) {
-            const hours = String(date.getUTCHours()).padStart(2, '0');
-            const minutes = String(date.getUTCMinutes()).padStart(2, '0');
-            const seconds = String(date.getUTCSeconds()).padStart(2, '0');
-            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-        } else {
-             return `${year}-${month}-${day} 00:00:00`;
+const readLoadOptions = (query) => {
+    const options = {};
+    if (query.since) {
+        options.since = parseSyncCursor(query.since);
+        if (!options.since) {
+            throw { status: 400, message: 'El parámetro "since" debe ser el valor "syncedAt" devuelto por una carga anterior.' };
         }
-    } catch (error) {
-        console.error(`Error formatting date string: "${dateString}"`, error);
-        return null;
     }
+    if (query.year !== undefined && query.year !== '') {
+        const year = Number(query.year);
+        if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+            throw { status: 400, message: 'El parámetro "year" debe ser un año válido.' };
+        }
+        options.year = year;
+    }
+    if (query.principle) options.principle = String(query.principle);
+    if (query.area) options.area = String(query.area);
+    return options;
 };
 
-
 // --- GET DATA ---
 
+// GET /api/data/app-data?since=&year=&principle=&area=
+// Without parameters returns everything. With `since` (the `syncedAt` of a previous response) only
+// the records created or updated after it are returned, plus `deleted`: the keys of the top-level
+// records deleted meanwhile. Indicators, meetings and threads are always returned whole.
+// `year`, `principle` and `area` narrow what is read (see appDataService.loadAppData); records
+// that stop matching them are not reported, so a client that changes its filters loads again.
+// Filtered responses come with `partial: true`, which has to be sent back when they are saved:
+// saveAppData then deletes nothing that is missing from them.
 exports.getAppData = async (req, res) => {
-    // The existing getAppData logic is sound and efficient.
+    const { repositories } = req.app.locals;
     try {
-        const [
-            users, strategicGoals, indicators, meetings, discussionThreads, notifications
-        ] = await Promise.all([
-            pool.query('SELECT id, name, role, area, readThreadIds FROM users'),
-            pool.query('SELECT * FROM strategic_goals'),
-            pool.query('SELECT * FROM indicators'),
-            pool.query('SELECT * FROM meetings'),
-            pool.query('SELECT * FROM discussion_threads'),
-            pool.query('SELECT * FROM notifications'),
-        ]);
-
-        const [
-            historicalData, goals, observations, risks, actionPlans, actionPlanUpdates, attachments, auditLogs, decisions, threadReplies
-        ] = await Promise.all([
-            pool.query('SELECT * FROM historical_data'),
-            pool.query('SELECT * FROM goals'),
-            pool.query('SELECT * FROM observations'),
-            pool.query('SELECT * FROM risks'),
-            pool.query('SELECT * FROM action_plans'),
-            pool.query('SELECT * FROM action_plan_updates'),
-            pool.query('SELECT * FROM attachments'),
-            pool.query('SELECT * FROM audit_logs'),
-            pool.query('SELECT * FROM decisions'),
-            pool.query('SELECT * FROM thread_replies'),
+        const options = readLoadOptions(req.query);
+        // The cursor is read first, so anything written while the data is read is sent again next time
+        const syncedAt = await repositories.appData.syncCursor();
+        const [appData, deleted] = await Promise.all([
+            // Each user only receives their own notifications
+            repositories.appData.load({ ...options, userId: req.user.id, cooperativeId: req.user.cooperativeId }),
+            options.since ? repositories.appData.loadDeletions(options.since, req.user.cooperativeId) : null,
         ]);
-
-        const historicalDataByIndicator = groupChildrenBy(historicalData[0], 'indicator_id');
-        const goalsByIndicator = groupChildrenBy(goals[0], 'indicator_id');
-        const observationsByIndicator = groupChildrenBy(observations[0], 'indicator_id');
-        const risksByIndicator = groupChildrenBy(risks[0], 'indicator_id');
-        const actionPlansByIndicator = groupChildrenBy(actionPlans[0], 'indicator_id');
-        const updatesByActionPlan = groupChildrenBy(actionPlanUpdates[0], 'action_plan_id');
-        const attachmentsByIndicator = groupChildrenBy(attachments[0], 'indicator_id');
-        const auditLogsByIndicator = groupChildrenBy(auditLogs[0], 'indicator_id');
-        const decisionsByMeeting = groupChildrenBy(decisions[0], 'meeting_id');
-        const repliesByThread = groupChildrenBy(threadReplies[0], 'thread_id');
-        
-        const assembledIndicators = indicators[0].map(indicator => {
-            const plans = actionPlansByIndicator[indicator.id] || [];
-            plans.forEach(plan => {
-                plan.updates = updatesByActionPlan[plan.id] || [];
-            });
-
-            return {
-                ...indicator,
-                historicalData: historicalDataByIndicator[indicator.id] || [],
-                goals: goalsByIndicator[indicator.id] || [],
-                observations: observationsByIndicator[indicator.id] || [],
-                risks: risksByIndicator[indicator.id] || [],
-                actionPlans: plans,
-                attachments: attachmentsByIndicator[indicator.id] || [],
-                auditLog: auditLogsByIndicator[indicator.id] || [],
-            };
-        });
-
-        const assembledMeetings = meetings[0].map(meeting => ({ ...meeting, decisions: decisionsByMeeting[meeting.id] || [] }));
-        const assembledThreads = discussionThreads[0].map(thread => ({ ...thread, replies: repliesByThread[thread.id] || [] }));
-        
-        res.json({
-            users: users[0],
-            strategicGoals: strategicGoals[0],
-            indicators: assembledIndicators,
-            meetings: assembledMeetings,
-            discussionThreads: assembledThreads,
-            notifications: notifications[0],
+        // Every indicator is readable; only those of the user's area (or all, for admins) are editable.
+        appData.indicators.forEach(indicator => {
+            indicator.canEdit = canEditIndicator(req.user, indicator);
         });
-
+        const partial = Boolean(options.year || options.principle || options.area);
+        res.json({ ...appData, ...(deleted && { deleted }), since: options.since || null, syncedAt, partial });
     } catch (error) {
-        console.error("Error al obtener los datos de la aplicación:", error);
-        res.status(500).json({ message: 'Error en el servidor al obtener los datos.' });
+        sendError(res, error, 'Error al obtener los datos de la aplicación', 'Error en el servidor al obtener los datos.');
     }
 };
 
 // --- SAVE DATA (REFACTORED) ---
 
+// Indicators, meetings and threads are versioned. A record is only written when it differs from
+// what is stored; if it does and the client edited an older version, it is reported as a conflict.
+// Records missing from the payload are deleted, unless they were modified after the client's
+// `syncedAt` (i.e. the client never saw that version) or the payload is `partial` (see getAppData),
+// which only creates and updates. Any conflict aborts the whole save with a 409.
+// Deleted users, indicators, meetings and threads go to the trash with their children (trashService.js);
+// sending a record that is in the trash is a conflict too, as it has to be restored instead.
+// Non-admin users can only create, change or delete indicators of their own area; any attempt
+// outside it aborts the save with a 403 listing the refused records.
+// Action plans follow their lifecycle (actionPlanService.js): a status moved by a new update is applied
+// to its plan, a transition the lifecycle does not allow aborts the save with a 409 and closing a plan
+// someone else owns with a 403.
+// Everything is read and written within the user's cooperative (tenantService.js): records of other
+// cooperatives are neither deleted nor overwritten, and sending one of their keys is a conflict.
+// Every change is recorded in the audit log by the server; `auditLog` arrays sent by clients are ignored.
+// Notifications are generated by the server as well (notificationService.js); clients can't write them.
+// The payload is validated against models/schemas.js first; invalid fields are answered with a 400,
+// as are action plan updates linked to an attachment that is not one of their indicator.
 exports.saveAppData = async (req, res) => {
     const data = req.body;
     const currentUser = req.user;
-    const connection = await pool.getConnection();
+    const { cooperativeId } = currentUser;
+    const { repositories } = req.app.locals;
 
+    // Invalid payloads are rejected before a transaction is opened
     try {
-        await connection.beginTransaction();
+        assertValid(appDataSchema, data);
+        await checkAttachmentReferences(repositories, data.indicators);
+    } catch (error) {
+        return sendError(res, error, 'Error al validar los datos', 'Error en el servidor al guardar los datos.');
+    }
 
-        // --- SYNCHRONIZE USERS ---
-        if (data.users) {
-            if (currentUser.role !== 'Administrador') {
-                throw { status: 403, message: 'No tiene permiso para gestionar usuarios.' };
-            }
-            const [existingUsers] = await connection.query('SELECT id FROM users');
-            const existingIds = new Set(existingUsers.map(u => u.id));
-            const incomingIds = new Set(data.users.map(u => u.id));
-            const idsToDelete = [...existingIds].filter(id => !incomingIds.has(id) && id !== currentUser.id);
-            if (idsToDelete.length > 0) {
-                await connection.query('DELETE FROM users WHERE id IN (?)', [idsToDelete]);
+    // New version of every aggregate written, returned so the client can keep editing without reloading.
+    const versions = { indicators: {}, meetings: {}, discussionThreads: {} };
+    // Real-time events, published once the transaction commits.
+    const events = [];
+
+    try {
+        await repositories.transaction(async (store) => {
+            const conflicts = [];
+            const refused = [];
+            const invalidTransitions = [];
+            // Changes written to indicators and threads, checked for notifications once everything is stored.
+            const notifiable = [];
+            // Aggregates written or deleted, announced to the connected clients.
+            const changedAggregates = [];
+
+            // Lock the versioned aggregates so concurrent saves are serialized, then read what is stored.
+            let stored = null;
+            if (data.indicators || data.meetings || data.discussionThreads) {
+                await store.indicators.lock(cooperativeId);
+                await store.meetings.lock(cooperativeId);
+                await store.discussionThreads.lock(cooperativeId);
+                stored = await store.appData.load({ cooperativeId });
             }
-            for (const user of data.users) {
-                const [existing] = await connection.query('SELECT password FROM users WHERE id = ?', [user.id]);
-                let passwordToSave = existing.length ? existing[0].password : null;
-                if (user.password && !user.password.startsWith('$2a$')) {
-                    passwordToSave = await bcrypt.hash(user.password, await bcrypt.genSalt(10));
+
+            const refuseIndicator = (indicator) => refused.push({
+                entity: 'indicators',
+                id: indicator.id,
+                reason: 'outOfArea',
+                responsibleArea: indicator.responsibleArea
+            });
+
+            // Returns the changes `incoming` makes to the stored aggregate, or null when nothing has to be
+            // written. Registers a refusal when `canWrite` rejects a changed record and a conflict when
+            // the record is based on a stale version.
+            const changesToWrite = (entityName, existing, incoming, canWrite = () => true) => {
+                const changes = diffAggregate(entityName, existing || null, incoming);
+                if (changes.length === 0) return null;
+                if (!canWrite(existing, incoming)) return null;
+                if (!existing) {
+                    versions[entityName][incoming.id] = 1;
+                    return changes;
                 }
-                await connection.query(
-                    `INSERT INTO users (id, name, role, area, password, readThreadIds) VALUES (?, ?, ?, ?, ?, ?)
-                     ON DUPLICATE KEY UPDATE name=VALUES(name), role=VALUES(role), area=VALUES(area), password=VALUES(password), readThreadIds=VALUES(readThreadIds)`,
-                    [user.id, user.name, user.role, user.area, passwordToSave, JSON.stringify(user.readThreadIds || [])]
-                );
-            }
-        }
-        
-        // --- SYNCHRONIZE INDICATORS & CHILDREN ---
-        if (data.indicators) {
-             const incomingIndicatorIds = new Set(data.indicators.map(i => i.id));
-             const [dbIndicators] = await connection.query('SELECT id FROM indicators');
-             const dbIndicatorIds = new Set(dbIndicators.map(i => i.id));
-             const indicatorsToDelete = [...dbIndicatorIds].filter(id => !incomingIndicatorIds.has(id));
-
-             if (indicatorsToDelete.length > 0) {
-                 const tables = ['historical_data', 'goals', 'observations', 'risks', 'attachments', 'audit_logs'];
-                 for (const table of tables) {
-                     await connection.query(`DELETE FROM ${table} WHERE indicator_id IN (?)`, [indicatorsToDelete]);
-                 }
-                 await connection.query(`DELETE FROM action_plan_updates WHERE action_plan_id IN (SELECT id FROM action_plans WHERE indicator_id IN (?))`, [indicatorsToDelete]);
-                 await connection.query(`DELETE FROM action_plans WHERE indicator_id IN (?)`, [indicatorsToDelete]);
-                 await connection.query('DELETE FROM indicators WHERE id IN (?)', [indicatorsToDelete]);
-             }
-
-            for (const indicator of data.indicators) {
-                await connection.query(
-                    `INSERT INTO indicators (id, principle, name, calculation, purpose, responsibleArea, strategicGoalId) VALUES (?, ?, ?, ?, ?, ?, ?)
-                     ON DUPLICATE KEY UPDATE principle=VALUES(principle), name=VALUES(name), calculation=VALUES(calculation), purpose=VALUES(purpose), responsibleArea=VALUES(responsibleArea), strategicGoalId=VALUES(strategicGoalId)`,
-                    [indicator.id, indicator.principle, indicator.name, indicator.calculation, indicator.purpose, indicator.responsibleArea, indicator.strategicGoalId || null]
-                );
-
-                await connection.query('DELETE FROM historical_data WHERE indicator_id = ?', [indicator.id]);
-                if (indicator.historicalData?.length) {
-                    const values = indicator.historicalData.map(d => [indicator.id, d.year, d.value, d.formattedValue]);
-                    await connection.query('INSERT INTO historical_data (indicator_id, year, value, formattedValue) VALUES ?', [values]);
+                if (Number(incoming.version) !== existing.version) {
+                    conflicts.push({
+                        entity: entityName,
+                        id: existing.id,
+                        reason: 'stale',
+                        clientVersion: incoming.version ?? null,
+                        serverVersion: existing.version,
+                        serverRecord: existing
+                    });
+                    return null;
                 }
-                
-                await connection.query('DELETE FROM goals WHERE indicator_id = ?', [indicator.id]);
-                if (indicator.goals?.length) {
-                    const values = indicator.goals.map(g => [indicator.id, g.year, g.target]);
-                    await connection.query('INSERT INTO goals (indicator_id, year, target) VALUES ?', [values]);
+                versions[entityName][incoming.id] = existing.version + 1;
+                return changes;
+            };
+
+            // Moves whole aggregates to the trash (see trashService.js) and audits their deletion, children included.
+            const moveToTrash = async (entityName, ids, existingById) => {
+                for (const id of ids) {
+                    const changes = diffAggregate(entityName, existingById.get(id), null);
+                    await store.auditLog.record(currentUser, changes, { name: entityName, id });
+                    changedAggregates.push({ changes, root: { name: entityName, id } });
                 }
+                await store[entityName].moveToTrash(currentUser, ids);
+            };
 
-                await connection.query('DELETE FROM observations WHERE indicator_id = ?', [indicator.id]);
-                if (indicator.observations?.length) {
-                    const values = indicator.observations.map(o => [indicator.id, o.id, o.author, o.role, toMySQLDateTime(o.date, true), o.text]);
-                    await connection.query('INSERT INTO observations (indicator_id, id, author, role, date, text) VALUES ?', [values]);
+            // Registers a conflict for each record sent with the key of a record in the trash: it has to be
+            // restored (POST /api/trash/:entity/:id/restore) instead of being written again.
+            const checkTrashed = async (entityName, records) => {
+                const trashed = await store[entityName].findTrashed(records.map(record => record.id), cooperativeId);
+                for (const id of trashed) {
+                    conflicts.push({
+                        entity: entityName,
+                        id,
+                        reason: 'inTrash',
+                        clientVersion: null,
+                        serverVersion: null,
+                        serverRecord: null
+                    });
                 }
-                
-                await connection.query('DELETE FROM risks WHERE indicator_id = ?', [indicator.id]);
-                if (indicator.risks?.length) {
-                    const values = indicator.risks.map(r => [indicator.id, r.id, r.title, r.description, r.impact, r.probability, r.riskScore, r.mitigationPlan, r.status, r.owner, toMySQLDateTime(r.createdDate, true)]);
-                    await connection.query('INSERT INTO risks (indicator_id, id, title, description, impact, probability, riskScore, mitigationPlan, status, owner, createdDate) VALUES ?', [values]);
+            };
+
+            // Registers a conflict for each record sent with the key of a record of another cooperative:
+            // keys are unique across cooperatives, and that record can't be overwritten. Returns those
+            // keys, so they are never written, not even in a transaction that is rolled back.
+            const checkForeign = async (entityName, records) => {
+                const foreign = await store[entityName].findForeign(records.map(record => record.id), cooperativeId);
+                for (const id of foreign) {
+                    conflicts.push({
+                        entity: entityName,
+                        id,
+                        reason: 'idInUse',
+                        clientVersion: null,
+                        serverVersion: null,
+                        serverRecord: null
+                    });
                 }
-                
-                // --- CENTRALIZED ATTACHMENT HANDLING ---
-                const allAttachments = [];
-                if (indicator.attachments?.length) {
-                    allAttachments.push(...indicator.attachments);
+                return new Set(foreign);
+            };
+
+            // Registers a conflict for each user sent with the name of another user (of any cooperative,
+            // trashed ones included) or of another user of the payload: users log in by name, so it can't
+            // be taken over. Returns their keys, so they are never written.
+            const checkUserNames = async (users) => {
+                const owners = await store.users.findByNames(users.map(user => user.name));
+                const taken = users.filter(user => owners.some(owner => owner.id !== user.id && sameName(owner.name, user.name))
+                    || users.some(other => other.id !== user.id && sameName(other.name, user.name)));
+                for (const user of taken) {
+                    conflicts.push({
+                        entity: 'users',
+                        id: user.id,
+                        reason: 'nameInUse',
+                        clientVersion: null,
+                        serverVersion: null,
+                        serverRecord: null
+                    });
                 }
-                if (indicator.actionPlans?.length) {
-                    indicator.actionPlans.forEach(plan => {
-                        plan.updates?.forEach(update => {
-                            if (update.attachment) {
-                                allAttachments.push(update.attachment);
-                            }
-                        });
+                return new Set(taken.map(user => user.id));
+            };
+
+            // Keys of the stored aggregates missing from the payload, to be deleted. A partial payload (the
+            // result of a filtered load) deletes nothing: what it lacks was filtered out, not removed.
+            const missingFrom = (storedById, incomingIds) => (data.partial
+                ? []
+                : [...storedById.keys()].filter(id => !incomingIds.has(id)));
+
+            // Registers a conflict for each record about to be deleted that changed after the client synced.
+            const checkDeletions = async (entityName, ids, existingById) => {
+                if (!ids.length || !data.syncedAt) return;
+                const modified = await store[entityName].findModifiedSince(ids, parseSyncCursor(data.syncedAt));
+                for (const id of modified) {
+                    const existing = existingById.get(id);
+                    conflicts.push({
+                        entity: entityName,
+                        id,
+                        reason: 'modifiedSinceSync',
+                        clientVersion: null,
+                        serverVersion: existing.version,
+                        serverRecord: existing
                     });
                 }
-                const uniqueAttachments = Object.values(allAttachments.reduce((acc, cur) => {
-                    if (cur && cur.id) acc[cur.id] = cur;
-                    return acc;
-                }, {}));
-
-                await connection.query('DELETE FROM attachments WHERE indicator_id = ?', [indicator.id]);
-                if (uniqueAttachments.length > 0) {
-                    const attachmentValues = uniqueAttachments.map(f => [indicator.id, f.id, f.fileName, f.fileType, f.fileSize, f.dataUrl, f.uploadedBy, toMySQLDateTime(f.uploadDate, true)]);
-                    await connection.query('INSERT INTO attachments (indicator_id, id, fileName, fileType, fileSize, dataUrl, uploadedBy, uploadDate) VALUES ?', [attachmentValues]);
+            };
+
+            // --- SYNCHRONIZE USERS ---
+            if (data.users) {
+                if (!isAdmin(currentUser)) {
+                    throw { status: 403, message: 'No tiene permiso para gestionar usuarios.' };
                 }
-                // --- END ATTACHMENT HANDLING ---
+                const existingUsers = await store.users.list(cooperativeId);
+                const existingById = new Map(existingUsers.map(u => [u.id, u]));
+                const incomingIds = new Set(data.users.map(u => u.id));
+                const idsToDelete = [...existingById.keys()].filter(id => !incomingIds.has(id) && id !== currentUser.id);
+                if (idsToDelete.length > 0) {
+                    await moveToTrash('users', idsToDelete, existingById);
+                    for (const id of idsToDelete) {
+                        await store.sessions.revokeForUser(id, 'userDeleted');
+                    }
+                }
+                await checkTrashed('users', data.users);
+                const foreignUsers = await checkForeign('users', data.users);
+                const usersWithTakenNames = await checkUserNames(data.users.filter(user => !foreignUsers.has(user.id)));
+                for (const user of data.users.filter(user => !foreignUsers.has(user.id) && !usersWithTakenNames.has(user.id))) {
+                    const previous = existingById.get(user.id) || null;
+                    const fields = diffFields('users', previous, user) || {};
+                    // Roles are checked when assigned, so users keeping an older role are left alone
+                    if ((!previous || fields.role) && !isValidRole(user.role)) {
+                        throw { status: 400, message: `El rol "${user.role}" del usuario ${user.name} no existe.`, roles: ROLES };
+                    }
 
-                await connection.query('DELETE FROM audit_logs WHERE indicator_id = ?', [indicator.id]);
-                if (indicator.auditLog?.length) {
-                    const values = indicator.auditLog.map(l => [indicator.id, l.id, toMySQLDateTime(l.id, true), l.user, l.action, l.details]);
-                    await connection.query('INSERT INTO audit_logs (indicator_id, id, timestamp, user, action, details) VALUES ?', [values]);
+                    let passwordToSave = await store.users.findPassword(user.id);
+                    const passwordChanged = Boolean(user.password && !passwordService.isHashed(user.password));
+                    if (passwordChanged) {
+                        passwordService.assertPasswordPolicy(user.password, user);
+                        passwordToSave = await passwordService.hashPassword(user.password);
+                    }
+
+                    if (passwordChanged) {
+                        // Never store the password itself in the log, not even hashed
+                        fields.password = { before: '***', after: '***' };
+                    }
+                    if (!previous || Object.keys(fields).length > 0) {
+                        const change = { entity: 'users', key: user.id, action: previous ? 'update' : 'create', fields };
+                        await store.auditLog.record(currentUser, [change]);
+                    }
+                    // A new role or area changes what the user may do: their current tokens no longer apply
+                    // (the same goes for a password set by an administrator)
+                    if (previous && (fields.role || fields.area || passwordChanged)) {
+                        await store.sessions.revokeForUser(user.id, passwordChanged ? 'passwordReset' : 'roleChanged');
+                    }
+
+                    await store.users.save(user, passwordToSave, cooperativeId);
                 }
+            }
+
+            // --- SYNCHRONIZE INDICATORS & CHILDREN ---
+            if (data.indicators) {
+                 const storedIndicators = new Map(stored.indicators.map(i => [i.id, i]));
+                 const incomingIndicatorIds = new Set(data.indicators.map(i => i.id));
+                 const indicatorsToDelete = missingFrom(storedIndicators, incomingIndicatorIds);
+                 indicatorsToDelete
+                     .map(id => storedIndicators.get(id))
+                     .filter(indicator => !canEditIndicator(currentUser, indicator))
+                     .forEach(refuseIndicator);
+                 await checkDeletions('indicators', indicatorsToDelete, storedIndicators);
 
-                await connection.query('DELETE FROM action_plan_updates WHERE action_plan_id IN (SELECT id FROM action_plans WHERE indicator_id = ?)', [indicator.id]);
-                await connection.query('DELETE FROM action_plans WHERE indicator_id = ?', [indicator.id]);
-                if (indicator.actionPlans?.length) {
-                    for (const plan of indicator.actionPlans) {
-                        await connection.query('INSERT INTO action_plans (id, indicator_id, title, description, owner, status, dueDate, createdDate) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-                            [plan.id, indicator.id, plan.title, plan.description, plan.owner, plan.status, toMySQLDateTime(plan.dueDate, false), toMySQLDateTime(plan.createdDate, true)]);
-                        if (plan.updates?.length) {
-                            const updateValues = plan.updates.map(u => [u.id, plan.id, toMySQLDateTime(u.date, true), u.author, u.text, u.statusChange, u.attachment?.id || null]);
-                            await connection.query('INSERT INTO action_plan_updates (id, action_plan_id, date, author, text, statusChange, attachmentId) VALUES ?', [updateValues]);
-                        }
+                 if (indicatorsToDelete.length > 0) {
+                     // Their history, goals, risks, action plans and attachments stay with them in the trash
+                     await moveToTrash('indicators', indicatorsToDelete, storedIndicators);
+                 }
+                 await checkTrashed('indicators', data.indicators);
+                 const foreignIndicators = await checkForeign('indicators', data.indicators);
+
+                for (const incomingIndicator of data.indicators.filter(indicator => !foreignIndicators.has(indicator.id))) {
+                    const indicator = actionPlanService.applyIndicatorStatusChanges(storedIndicators.get(incomingIndicator.id), toStoredIndicator(incomingIndicator));
+                    const canWrite = (existing, incoming) => {
+                        // Both the stored area and the new one must be editable, so records can't be moved out of reach.
+                        const outOfScope = [existing, incoming].find(version => version && !canEditIndicator(currentUser, version));
+                        if (outOfScope) refuseIndicator(outOfScope);
+                        return !outOfScope;
+                    };
+                    const changes = changesToWrite('indicators', storedIndicators.get(indicator.id), indicator, canWrite);
+                    if (!changes) {
+                        continue;
+                    }
+                    const planCheck = actionPlanService.checkIndicatorPlans(currentUser, storedIndicators.get(indicator.id), indicator);
+                    if (planCheck.invalid.length || planCheck.refused.length) {
+                        invalidTransitions.push(...planCheck.invalid);
+                        refused.push(...planCheck.refused);
+                        continue;
                     }
+                    await store.auditLog.record(currentUser, changes, { name: 'indicators', id: indicator.id });
+                    await store.riskHistory.record(currentUser, changes, { name: 'indicators', id: indicator.id });
+                    changedAggregates.push({ changes, root: { name: 'indicators', id: indicator.id } });
+                    notifiable.push({ changes, root: { name: 'indicators', id: indicator.id } });
+                    await store.indicators.save(indicator, cooperativeId);
                 }
             }
-        }
 
-        // --- SYNCHRONIZE TOP-LEVEL COLLECTIONS ---
-        const syncTopLevel = async (tableName, collection, columns, dateConfig = {}) => {
-             await connection.query(`DELETE FROM ${tableName}`);
-             if (collection?.length) {
-                 const values = collection.map(item =>
-                     columns.map(col => {
-                         const val = item[col];
-                         const keepTime = dateConfig[col] === true;
-                         return dateConfig.hasOwnProperty(col) ? toMySQLDateTime(val, keepTime) : val;
-                     })
-                 );
-                 await connection.query(`INSERT INTO ${tableName} (${columns.join(',')}) VALUES ?`, [values]);
-             }
-        };
-        
-        if (data.strategicGoals) await syncTopLevel('strategic_goals', data.strategicGoals, ['id', 'title', 'description', 'targetDate'], { targetDate: false });
-        if (data.notifications) await syncTopLevel('notifications', data.notifications, ['id', 'userId', 'type', 'message', 'relatedIndicatorId', 'relatedMeetingId', 'relatedThreadId', 'isRead', 'timestamp'], { timestamp: true });
-        
-        if (data.meetings) {
-            await connection.query('DELETE FROM decisions');
-            await connection.query('DELETE FROM meetings');
-            for (const meeting of data.meetings) {
-                await connection.query('INSERT INTO meetings (id, date, attendees, agenda, minutes) VALUES (?, ?, ?, ?, ?)', 
-                    [meeting.id, toMySQLDateTime(meeting.date, true), meeting.attendees, meeting.agenda, meeting.minutes]);
-                if (meeting.decisions?.length) {
-                    const decisionValues = meeting.decisions.map(d => [d.id, meeting.id, d.text, d.responsibleUserId, toMySQLDateTime(d.dueDate, false), d.status]);
-                    await connection.query('INSERT INTO decisions (id, meeting_id, text, responsibleUserId, dueDate, status) VALUES ?', [decisionValues]);
+            // --- SYNCHRONIZE TOP-LEVEL COLLECTIONS ---
+            // Goals are replaced as a whole, so none is written while one belongs to another cooperative
+            const foreignGoals = data.strategicGoals ? await checkForeign('strategicGoals', data.strategicGoals) : null;
+            if (data.strategicGoals && foreignGoals.size === 0) {
+                const storedGoals = await store.strategicGoals.list(cooperativeId);
+                const goalChanges = diffCollection('strategicGoals', storedGoals, data.strategicGoals);
+                await store.auditLog.record(currentUser, goalChanges);
+                await store.appData.recordDeletions(currentUser, 'strategicGoals', goalChanges.filter(change => change.action === 'delete').map(change => change.key));
+                await store.strategicGoals.replace(data.strategicGoals, cooperativeId);
+            }
+
+            if (data.meetings) {
+                const storedMeetings = new Map(stored.meetings.map(m => [m.id, m]));
+                const incomingMeetingIds = new Set(data.meetings.map(m => m.id));
+                const meetingsToDelete = missingFrom(storedMeetings, incomingMeetingIds);
+                await checkDeletions('meetings', meetingsToDelete, storedMeetings);
+
+                if (meetingsToDelete.length > 0) {
+                    await moveToTrash('meetings', meetingsToDelete, storedMeetings);
+                }
+                await checkTrashed('meetings', data.meetings);
+                const foreignMeetings = await checkForeign('meetings', data.meetings);
+
+                for (const meeting of data.meetings.filter(meeting => !foreignMeetings.has(meeting.id))) {
+                    const changes = changesToWrite('meetings', storedMeetings.get(meeting.id), meeting);
+                    if (!changes) {
+                        continue;
+                    }
+                    await store.auditLog.record(currentUser, changes, { name: 'meetings', id: meeting.id });
+                    changedAggregates.push({ changes, root: { name: 'meetings', id: meeting.id } });
+                    await store.meetings.save(meeting, cooperativeId);
                 }
             }
-        }
 
-        if (data.discussionThreads) {
-            await connection.query('DELETE FROM thread_replies');
-            await connection.query('DELETE FROM discussion_threads');
-            for (const thread of data.discussionThreads) {
-                await connection.query('INSERT INTO discussion_threads (id, title, content, authorId, timestamp, principleTag) VALUES (?, ?, ?, ?, ?, ?)',
-                    [thread.id, thread.title, thread.content, thread.authorId, toMySQLDateTime(thread.timestamp, true), thread.principleTag]);
-                if (thread.replies?.length) {
-                    const replyValues = thread.replies.map(r => [r.id, thread.id, r.authorId, toMySQLDateTime(r.timestamp, true), r.content]);
-                    await connection.query('INSERT INTO thread_replies (id, thread_id, authorId, timestamp, content) VALUES ?', [replyValues]);
+            if (data.discussionThreads) {
+                const storedThreads = new Map(stored.discussionThreads.map(t => [t.id, t]));
+                const incomingThreadIds = new Set(data.discussionThreads.map(t => t.id));
+                const threadsToDelete = missingFrom(storedThreads, incomingThreadIds);
+                await checkDeletions('discussionThreads', threadsToDelete, storedThreads);
+
+                if (threadsToDelete.length > 0) {
+                    await moveToTrash('discussionThreads', threadsToDelete, storedThreads);
+                }
+                await checkTrashed('discussionThreads', data.discussionThreads);
+                const foreignThreads = await checkForeign('discussionThreads', data.discussionThreads);
+
+                for (const thread of data.discussionThreads.filter(thread => !foreignThreads.has(thread.id))) {
+                    const changes = changesToWrite('discussionThreads', storedThreads.get(thread.id), thread);
+                    if (!changes) {
+                        continue;
+                    }
+                    await store.auditLog.record(currentUser, changes, { name: 'discussionThreads', id: thread.id });
+                    changedAggregates.push({ changes, root: { name: 'discussionThreads', id: thread.id } });
+                    notifiable.push({ changes, root: { name: 'discussionThreads', id: thread.id } });
+                    await store.discussionThreads.save(thread, cooperativeId);
                 }
             }
-        }
 
-        await connection.commit();
-        res.status(200).json({ message: 'Datos guardados exitosamente.' });
+            if (refused.length > 0) {
+                throw forbiddenError(refused);
+            }
+            if (invalidTransitions.length > 0) {
+                throw actionPlanService.transitionError(invalidTransitions);
+            }
+            if (conflicts.length > 0) {
+                throw conflictError(conflicts);
+            }
+
+            for (const { changes, root } of notifiable) {
+                const notifications = await store.notifications.notifyChanges(currentUser, changes, root);
+                events.push(...realtimeService.notificationEvents(notifications));
+            }
+            // Versions are read once every write is done
+            for (const { changes, root } of changedAggregates) {
+                events.push(await realtimeService.buildChangeEvent(currentUser, root, changes, ({ name, id }) => store[name].findVersion(id)));
+            }
+        });
+
+        realtimeService.publish(events);
+        res.status(200).json({ message: 'Datos guardados exitosamente.', versions, syncedAt: await repositories.appData.syncCursor() });
     } catch (error) {
-        await connection.rollback();
-        console.error("Error al guardar datos:", error);
-        res.status(error.status || 500).json({ message: error.message || 'Error en el servidor al guardar los datos.' });
-    } finally {
-        connection.release();
+        sendError(res, error, 'Error al guardar datos', 'Error en el servidor al guardar los datos.');
     }
 };
@@ -0,0 +1,54 @@
+const realtimeService = require('../services/realtimeService');
+
+// How long a client waits before reconnecting, and how often the stream is checked and kept alive
+// (proxies close connections that stay silent for too long).
+const RETRY_MS = 5 * 1000;
+const HEARTBEAT_MS = 30 * 1000;
+
+// --- Helper Functions ---
+
+const writeEvent = (res, name, data, id) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${name}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// --- STREAM ---
+
+// GET /api/events (Server-Sent Events; el token puede enviarse como ?token=)
+// Pushes the `change` and `notification` events described in realtimeService.js. The stream is
+// closed with a `sessionExpired` event as soon as the token expires or its session is revoked:
+// the client refreshes its token and reconnects. Events published while a client was disconnected
+// are not replayed, so on reconnection it should reload its data.
+exports.stream = (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // nginx would otherwise buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    writeEvent(res, 'ready', { userId: req.user.id });
+
+    const unsubscribe = realtimeService.subscribe(req.user, event => writeEvent(res, event.type, event, event.eventId));
+
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    };
+
+    const heartbeat = setInterval(async () => {
+        try {
+            const expired = req.user.exp && Date.now() >= req.user.exp * 1000;
+            if (expired || !await req.app.locals.repositories.sessions.isTokenCurrent(req.user)) {
+                writeEvent(res, 'sessionExpired', { message: 'La sesión expiró. Renueve el token y vuelva a conectarse.' });
+                close();
+                return res.end();
+            }
+            res.write(': ping\n\n');
+        } catch (error) {
+            console.error('Error al verificar la sesión del canal de eventos:', error);
+        }
+    }, HEARTBEAT_MS);
+
+    req.on('close', close);
+};
@@ -0,0 +1,178 @@
+const pool = require('../db');
+const { groupChildrenBy } = require('../utils/dataUtils');
+const { sendError } = require('../utils/httpErrors');
+const { isFederation } = require('../utils/permissions');
+const { CLOSED_RISK_STATUSES, CLOSED_PLAN_STATUSES, COMPLETED_PLAN_STATUS } = require('../models/statuses');
+const { DEFAULT_ON_TRACK_THRESHOLD, indicatorYears } = require('../services/performanceService');
+
+// Read-only comparisons between the cooperatives of the deployment, for the federation's users.
+// Only aggregated figures leave this controller: no record of a cooperative is returned as such.
+// Records in the trash are left out, as everywhere else.
+
+// --- Helper Functions ---
+
+const assertFederation = (user) => {
+    if (!isFederation(user)) {
+        throw { status: 403, message: 'Solo los usuarios de la federación pueden consultar las comparaciones entre cooperativas.' };
+    }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Cooperatives name their indicators independently: the same indicator is recognized by its
+// principle and its name, ignoring case, accents and spacing.
+const comparisonKey = (indicator) => `${indicator.principle}|${String(indicator.name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()}`;
+
+const countBy = (rows) => new Map(rows.map(row => [row.cooperativeId, Number(row.total)]));
+
+const summarize = (values) => (values.length
+    ? {
+        average: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+        min: Math.min(...values),
+        max: Math.max(...values),
+    }
+    : { average: null, min: null, max: null });
+
+// --- COOPERATIVES ---
+
+// GET /api/federation/cooperatives (solo la federación)
+// Each cooperative with how many users, indicators and meetings it has, its open risks and the
+// completion rate of its action plans (completed among those not cancelled).
+exports.listCooperatives = async (req, res) => {
+    try {
+        assertFederation(req.user);
+        const cancelledStatuses = CLOSED_PLAN_STATUSES.filter(status => status !== COMPLETED_PLAN_STATUS);
+        const [[cooperatives], [users], [indicators], [meetings], [openRisks], [plans]] = await Promise.all([
+            pool.query('SELECT id, name FROM cooperatives ORDER BY name'),
+            pool.query('SELECT cooperative_id AS cooperativeId, COUNT(*) AS total FROM users WHERE deletedAt IS NULL GROUP BY cooperative_id'),
+            pool.query('SELECT cooperative_id AS cooperativeId, COUNT(*) AS total FROM indicators WHERE deletedAt IS NULL GROUP BY cooperative_id'),
+            pool.query('SELECT cooperative_id AS cooperativeId, COUNT(*) AS total FROM meetings WHERE deletedAt IS NULL GROUP BY cooperative_id'),
+            pool.query(
+                `SELECT i.cooperative_id AS cooperativeId, COUNT(*) AS total
+                 FROM risks r JOIN indicators i ON i.id = r.indicator_id
+                 WHERE i.deletedAt IS NULL AND (r.status IS NULL OR r.status NOT IN (?))
+                 GROUP BY i.cooperative_id`,
+                [CLOSED_RISK_STATUSES]
+            ),
+            pool.query(
+                `SELECT i.cooperative_id AS cooperativeId, COUNT(*) AS total,
+                        SUM(p.status = ?) AS completed, SUM(p.status IN (?)) AS cancelled
+                 FROM action_plans p JOIN indicators i ON i.id = p.indicator_id
+                 WHERE i.deletedAt IS NULL
+                 GROUP BY i.cooperative_id`,
+                [COMPLETED_PLAN_STATUS, cancelledStatuses]
+            ),
+        ]);
+
+        const userCounts = countBy(users);
+        const indicatorCounts = countBy(indicators);
+        const meetingCounts = countBy(meetings);
+        const openRiskCounts = countBy(openRisks);
+        const planCounts = new Map(plans.map(row => [row.cooperativeId, row]));
+
+        res.json(cooperatives.map(cooperative => {
+            const planRow = planCounts.get(cooperative.id);
+            const countable = planRow ? Number(planRow.total) - Number(planRow.cancelled) : 0;
+            return {
+                id: cooperative.id,
+                name: cooperative.name,
+                users: userCounts.get(cooperative.id) || 0,
+                indicators: indicatorCounts.get(cooperative.id) || 0,
+                meetings: meetingCounts.get(cooperative.id) || 0,
+                openRisks: openRiskCounts.get(cooperative.id) || 0,
+                actionPlans: planRow ? Number(planRow.total) : 0,
+                planCompletionRate: countable ? Math.round((Number(planRow.completed) / countable) * 1000) / 10 : null,
+            };
+        }));
+    } catch (error) {
+        sendError(res, error, 'Error al listar las cooperativas', 'Error en el servidor al listar las cooperativas.');
+    }
+};
+
+// --- INDICATOR COMPARISON ---
+
+// GET /api/federation/indicators?year=2024&principle= (solo la federación)
+// The indicators the cooperatives have in common (same principle and name), each with the value,
+// target and percentage of the target every cooperative reached in the year (the current one by
+// default), plus the average, minimum and maximum among those that reported a value.
+exports.compareIndicators = async (req, res) => {
+    const { principle } = req.query;
+    const year = req.query.year || String(new Date().getFullYear());
+    if (!/^\d{4}$/.test(year)) {
+        return res.status(400).json({ message: 'El parámetro "year" debe ser un año de cuatro dígitos.' });
+    }
+
+    try {
+        assertFederation(req.user);
+        const conditions = ['i.deletedAt IS NULL'];
+        const params = [];
+        if (principle) {
+            conditions.push('i.principle = ?');
+            params.push(principle);
+        }
+        const [indicators] = await pool.query(
+            `SELECT i.id, i.name, i.principle, i.cooperative_id, c.name AS cooperativeName
+             FROM indicators i JOIN cooperatives c ON c.id = i.cooperative_id
+             WHERE ${conditions.join(' AND ')} ORDER BY i.principle, i.name, c.name`,
+            params
+        );
+        if (indicators.length === 0) {
+            return res.json({ year: Number(year), threshold: DEFAULT_ON_TRACK_THRESHOLD, indicators: [] });
+        }
+
+        const ids = indicators.map(indicator => indicator.id);
+        const [[historicalData], [goals]] = await Promise.all([
+            pool.query('SELECT indicator_id, year, value, formattedValue FROM historical_data WHERE indicator_id IN (?) AND year = ?', [ids, year]),
+            pool.query('SELECT indicator_id, year, target FROM goals WHERE indicator_id IN (?) AND year = ?', [ids, year]),
+        ]);
+        const historicalDataByIndicator = groupChildrenBy(historicalData, 'indicator_id');
+        const goalsByIndicator = groupChildrenBy(goals, 'indicator_id');
+
+        const groups = new Map();
+        for (const indicator of indicators) {
+            const key = comparisonKey(indicator);
+            if (!groups.has(key)) {
+                groups.set(key, { name: indicator.name, principle: indicator.principle, cooperatives: [] });
+            }
+            const [result] = indicatorYears(
+                historicalDataByIndicator[indicator.id] || [],
+                goalsByIndicator[indicator.id] || [],
+                DEFAULT_ON_TRACK_THRESHOLD
+            );
+            groups.get(key).cooperatives.push({
+                cooperativeId: indicator.cooperative_id,
+                cooperativeName: indicator.cooperativeName,
+                value: result ? result.value : null,
+                formattedValue: result ? result.formattedValue : null,
+                target: result ? result.target : null,
+                percentOfTarget: result ? result.percentOfTarget : null,
+                status: result ? result.status : 'noData',
+            });
+        }
+
+        res.json({
+            year: Number(year),
+            threshold: DEFAULT_ON_TRACK_THRESHOLD,
+            indicators: [...groups.values()].map(group => {
+                const values = group.cooperatives.map(entry => entry.value).filter(value => value !== null);
+                const percents = group.cooperatives.map(entry => entry.percentOfTarget).filter(percent => percent !== null);
+                return {
+                    ...group,
+                    summary: {
+                        cooperatives: group.cooperatives.length,
+                        reporting: values.length,
+                        ...summarize(values),
+                        averagePercentOfTarget: summarize(percents).average,
+                    },
+                };
+            }),
+        });
+    } catch (error) {
+        sendError(res, error, 'Error al comparar los indicadores de las cooperativas', 'Error en el servidor al comparar los indicadores de las cooperativas.');
+    }
+};
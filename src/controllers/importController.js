@@ -0,0 +1,61 @@
+const pool = require('../db');
+const { withTransaction } = require('../utils/transaction');
+const { sendError } = require('../utils/httpErrors');
+const importService = require('../services/importService');
+const realtimeService = require('../services/realtimeService');
+
+// --- Helper Functions ---
+
+// Multipart fields arrive as text: `mapping` is a JSON object and `dryRun` (field or query
+// parameter) defaults to true, so a file is only written when the client explicitly asks for it.
+const readOptions = (req) => {
+    let mapping = {};
+    if (req.body.mapping) {
+        try {
+            mapping = JSON.parse(req.body.mapping);
+        } catch {
+            mapping = null;
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+            throw { status: 400, message: 'El campo "mapping" debe ser un objeto JSON, por ejemplo {"indicatorId": "Código", "value": "Resultado"}.' };
+        }
+    }
+    const dryRun = String(req.query.dryRun ?? req.body.dryRun ?? 'true').toLowerCase() !== 'false';
+    return { mapping, dryRun };
+};
+
+// --- IMPORT ---
+
+// POST /api/import/indicator-results?dryRun=true|false (multipart: "file" y opcionalmente "mapping")
+// Imports historical values and targets for several indicators and years at once. A dry run
+// returns the normalized rows and the errors per row without writing anything; the real import
+// refuses the whole file while it has errors and otherwise writes it in a single transaction;
+// connected clients are told about the indicators written once it commits.
+exports.importIndicatorResults = async (req, res) => {
+    try {
+        const { mapping, dryRun } = readOptions(req);
+        const sheet = await importService.readSpreadsheet(req.file.buffer, req.file.originalname);
+        const columns = importService.resolveColumns(sheet.headers, mapping);
+
+        const [indicators] = await pool.query(
+            'SELECT id, responsibleArea FROM indicators WHERE cooperative_id = ? AND deletedAt IS NULL',
+            [req.user.cooperativeId]
+        );
+        const { rows, errors } = importService.validateRows(sheet.rows, columns, { indicators, user: req.user, decimalSeparator: sheet.decimalSeparator });
+        const preview = { dryRun, columns, totalRows: sheet.rows.length, validRows: rows.length, errors, rows };
+
+        if (dryRun) {
+            return res.json(preview);
+        }
+        if (errors.length) {
+            return res.status(400).json({ message: 'El archivo tiene errores. Corríjalos y vuelva a importarlo.', ...preview });
+        }
+
+        const events = [];
+        const result = await withTransaction(connection => importService.applyImport(connection, req.user, rows, events));
+        realtimeService.publish(events);
+        res.json({ ...preview, ...result });
+    } catch (error) {
+        sendError(res, error, 'Error al importar los resultados', 'Error en el servidor al importar el archivo.');
+    }
+};
@@ -0,0 +1,61 @@
+const pool = require('../db');
+const { sendError } = require('../utils/httpErrors');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Notifications are generated by the server (see services/notificationService.js). Every
+// endpoint here only sees the notifications of the authenticated user.
+
+// --- LIST ---
+
+// GET /api/notifications?unread=true&limit=&offset=
+// Newest first. `unread` counts every unread notification of the user, regardless of the page.
+exports.listNotifications = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const onlyUnread = String(req.query.unread).toLowerCase() === 'true';
+    const where = `WHERE userId = ?${onlyUnread ? ' AND isRead = FALSE' : ''}`;
+
+    try {
+        const [[{ total }], [[{ unread }]], [notifications]] = await Promise.all([
+            pool.query(`SELECT COUNT(*) AS total FROM notifications ${where}`, [req.user.id]),
+            pool.query('SELECT COUNT(*) AS unread FROM notifications WHERE userId = ? AND isRead = FALSE', [req.user.id]),
+            pool.query(`SELECT * FROM notifications ${where} ORDER BY timestamp DESC, id LIMIT ? OFFSET ?`, [req.user.id, limit, offset]),
+        ]);
+        res.json({ total, unread, limit, offset, notifications });
+    } catch (error) {
+        sendError(res, error, 'Error al obtener las notificaciones', 'Error en el servidor al obtener las notificaciones.');
+    }
+};
+
+// --- MARK AS READ ---
+
+// PATCH /api/notifications/:id/read
+exports.markAsRead = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE notifications SET isRead = TRUE WHERE id = ? AND userId = ?',
+            [req.params.id, req.user.id]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Notificación no encontrada.' });
+        }
+        res.json({ id: req.params.id, isRead: true });
+    } catch (error) {
+        sendError(res, error, 'Error al marcar la notificación como leída', 'Error en el servidor al actualizar la notificación.');
+    }
+};
+
+// POST /api/notifications/read-all
+exports.markAllAsRead = async (req, res) => {
+    try {
+        const [result] = await pool.query(
+            'UPDATE notifications SET isRead = TRUE WHERE userId = ? AND isRead = FALSE',
+            [req.user.id]
+        );
+        res.json({ updated: result.affectedRows });
+    } catch (error) {
+        sendError(res, error, 'Error al marcar las notificaciones como leídas', 'Error en el servidor al actualizar las notificaciones.');
+    }
+};
@@ -0,0 +1,103 @@
+const pool = require('../db');
+const { groupChildrenBy } = require('../utils/dataUtils');
+const { computePerformance } = require('../services/performanceService');
+const { loadAppData } = require('../services/appDataService');
+const { buildBalanceSocialReport } = require('../services/balanceSocialReport');
+const { renderCsv, renderXlsx, renderPdf } = require('../services/reportRenderers');
+
+const EXPORT_FORMATS = {
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', render: renderXlsx },
+    csv: { contentType: 'text/csv; charset=utf-8', render: renderCsv },
+    pdf: { contentType: 'application/pdf', render: renderPdf },
+};
+
+// --- Helper Functions ---
+
+// Loads the indicators of a cooperative matching the report filters, each with its historical
+// data and goals.
+const loadIndicatorsWithResults = async (db, cooperativeId, { principle, strategicGoalId, area } = {}) => {
+    const conditions = ['cooperative_id = ?', 'deletedAt IS NULL'];
+    const params = [cooperativeId];
+    if (principle) {
+        conditions.push('principle = ?');
+        params.push(principle);
+    }
+    if (strategicGoalId) {
+        conditions.push('strategicGoalId = ?');
+        params.push(strategicGoalId);
+    }
+    if (area) {
+        conditions.push('responsibleArea = ?');
+        params.push(area);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [indicators] = await db.query(`SELECT * FROM indicators ${where} ORDER BY principle, name`, params);
+    if (indicators.length === 0) return [];
+
+    const ids = indicators.map(indicator => indicator.id);
+    const [[historicalData], [goals]] = await Promise.all([
+        db.query('SELECT * FROM historical_data WHERE indicator_id IN (?) ORDER BY year', [ids]),
+        db.query('SELECT * FROM goals WHERE indicator_id IN (?) ORDER BY year', [ids]),
+    ]);
+    const historicalDataByIndicator = groupChildrenBy(historicalData, 'indicator_id');
+    const goalsByIndicator = groupChildrenBy(goals, 'indicator_id');
+
+    return indicators.map(indicator => ({
+        ...indicator,
+        historicalData: historicalDataByIndicator[indicator.id] || [],
+        goals: goalsByIndicator[indicator.id] || [],
+    }));
+};
+
+// --- PERFORMANCE ---
+
+// GET /api/reports/performance?year=&principle=&strategicGoalId=&area=&threshold=
+exports.getPerformance = async (req, res) => {
+    const { year, principle, strategicGoalId, area } = req.query;
+    if (year && !/^\d{4}$/.test(year)) {
+        return res.status(400).json({ message: 'El parámetro "year" debe ser un año de cuatro dígitos.' });
+    }
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : undefined;
+    if (threshold !== undefined && !(threshold > 0)) {
+        return res.status(400).json({ message: 'El parámetro "threshold" debe ser un porcentaje positivo.' });
+    }
+
+    try {
+        const [indicators, [strategicGoals]] = await Promise.all([
+            loadIndicatorsWithResults(pool, req.user.cooperativeId, { principle, strategicGoalId, area }),
+            pool.query('SELECT id, title FROM strategic_goals WHERE cooperative_id = ?', [req.user.cooperativeId]),
+        ]);
+        res.json(computePerformance(indicators, strategicGoals, { year, threshold }));
+    } catch (error) {
+        console.error("Error al calcular el desempeño de los indicadores:", error);
+        res.status(500).json({ message: 'Error en el servidor al calcular el desempeño de los indicadores.' });
+    }
+};
+
+// --- BALANCE SOCIAL EXPORT ---
+
+// GET /api/reports/balance-social?year=2024&format=xlsx|csv|pdf
+// Built from the same data getAppData returns, grouped by cooperative principle.
+exports.exportBalanceSocial = async (req, res) => {
+    try {
+        // Repeated query parameters arrive as arrays, which are refused as any other invalid value
+        const { year } = req.query;
+        const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : req.query.format ?? 'xlsx';
+        if (typeof year !== 'string' || !/^\d{4}$/.test(year)) {
+            return res.status(400).json({ message: 'El parámetro "year" es requerido y debe ser un año de cuatro dígitos.' });
+        }
+        if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+            return res.status(400).json({ message: `Formato no soportado. Use uno de: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+        }
+
+        const report = buildBalanceSocialReport(await loadAppData(pool, { cooperativeId: req.user.cooperativeId }), year);
+        res.attachment(`balance-social-${year}.${format}`);
+        res.type(EXPORT_FORMATS[format].contentType);
+        await EXPORT_FORMATS[format].render(report, res);
+    } catch (error) {
+        console.error("Error al generar el Balance Social:", error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ message: 'Error en el servidor al generar el Balance Social.' });
+    }
+};
@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const pool = require('../db');
+const entities = require('../models/entities');
+const { schemaFor, assertValid } = require('../models/schemas');
+const { toMySQLDateTime } = require('../utils/dataUtils');
+const { withTransaction } = require('../utils/transaction');
+const { sendError, conflictError, forbiddenError } = require('../utils/httpErrors');
+const { canEditArea } = require('../utils/permissions');
+const { diffAggregate, diffFields } = require('../utils/diff');
+const auditService = require('../services/auditService');
+const notificationService = require('../services/notificationService');
+const attachmentService = require('../services/attachmentService');
+const realtimeService = require('../services/realtimeService');
+const riskService = require('../services/riskService');
+const actionPlanService = require('../services/actionPlanService');
+const trashService = require('../services/trashService');
+const { recordDeletions } = require('../services/appDataService');
+const { findRecord, stripHidden, attachChildren, deleteChildren } = require('../services/aggregateService');
+
+// --- Helper Functions ---
+
+// Picks the writable columns present in the body and normalizes its dates.
+const toRow = (entity, body) => {
+    const row = {};
+    for (const column of entity.columns) {
+        if (body[column] === undefined) continue;
+        row[column] = entity.dates.hasOwnProperty(column)
+            ? toMySQLDateTime(body[column], entity.dates[column])
+            : body[column];
+    }
+    return row;
+};
+
+// Columns the server derives from the rest of the record, whatever the client sends.
+const DERIVED_COLUMNS = {
+    risks: (record) => ({ riskScore: riskService.computeScore(record.impact, record.probability) }),
+};
+
+const deriveColumns = (entityName, record) => (DERIVED_COLUMNS[entityName] ? DERIVED_COLUMNS[entityName](record) : {});
+
+// Strips the foreign key (as getAppData does) and hidden columns, and tells the client whether it may edit the record.
+const formatRecord = (entity, record, user) => {
+    if (entity.parent) delete record[entity.parent.foreignKey];
+    stripHidden(entity, record);
+    if (entity.areaScoped) record.canEdit = canEditArea(user, record.responsibleArea);
+    return record;
+};
+
+// Reads and writes only reach the records of the user's cooperative (see tenantService.js).
+const tenantOf = (user) => ({ cooperativeId: user.cooperativeId });
+
+const ensureParentExists = async (db, entity, parentId, user) => {
+    const parent = await findRecord(db, entities[entity.parent.entity], parentId, undefined, tenantOf(user));
+    if (!parent) {
+        throw { status: 404, message: 'El registro padre no existe.' };
+    }
+};
+
+// Finds the top-level aggregate (indicator, meeting or thread) a record belongs to, walking up
+// the parent chain from the record identified by `entityName` and `keyValue`.
+const findAggregateRoot = async (db, entityName, keyValue, user) => {
+    let name = entityName;
+    let record = await findRecord(db, entities[name], keyValue, undefined, tenantOf(user));
+    while (record && entities[name].parent) {
+        const { entity: parentName, foreignKey } = entities[name].parent;
+        record = await findRecord(db, entities[parentName], record[foreignKey], undefined, tenantOf(user));
+        name = parentName;
+    }
+    // The aggregate may be in the trash (or belong to another cooperative): its records can't be written
+    if (!record) {
+        throw { status: 404, message: 'El registro padre no existe.' };
+    }
+    return { name, record };
+};
+
+// Bumps the version of an aggregate root, so that a change to an observation or a reply
+// is seen as a change to its indicator or thread.
+const touchAggregate = async (db, root) => {
+    const entity = entities[root.name];
+    if (entity.versioned) {
+        await db.query(`UPDATE ${entity.table} SET version = version + 1 WHERE ${entity.key} = ?`, [root.record[entity.key]]);
+    }
+};
+
+// Identifies the aggregate an audit entry belongs to: the root found above, or the record itself.
+const auditRoot = (root, entityName, keyValue) => (root
+    ? { name: root.name, id: root.record[entities[root.name].key] }
+    : { name: entityName, id: keyValue });
+
+// Area-scoped authorization: every given version of the aggregate root (the stored one and,
+// when the root itself is written, the incoming one) must belong to an area the user can edit.
+const assertCanWrite = (user, rootName, rootRecords) => {
+    const entity = entities[rootName];
+    if (!entity.areaScoped) return;
+    for (const record of rootRecords) {
+        if (!canEditArea(user, record.responsibleArea)) {
+            throw forbiddenError([{
+                entity: rootName,
+                id: record[entity.key],
+                reason: 'outOfArea',
+                responsibleArea: record.responsibleArea
+            }]);
+        }
+    }
+};
+
+// Rejects a write on a versioned aggregate when the client says which version it edited
+// (`version` in the body or an If-Match header) and that version is no longer current.
+const assertCurrentVersion = (entityName, existing, req) => {
+    const entity = entities[entityName];
+    const expected = req.body?.version ?? req.get('If-Match');
+    if (!entity.versioned || expected === undefined) return;
+    if (Number(expected) !== existing.version) {
+        throw conflictError([{
+            entity: entityName,
+            id: existing[entity.key],
+            reason: 'stale',
+            clientVersion: Number(expected),
+            serverVersion: existing.version,
+            serverRecord: existing
+        }]);
+    }
+};
+
+// --- Handler Factory ---
+
+// Builds list/get/create/update/remove handlers for an entity declared in models/entities.js.
+// Child entities read their parent from `req.params.parentId` and their own key from `req.params.id`;
+// when the parent is not part of the route (e.g. /api/action-plans/:id) the key alone identifies the record.
+exports.buildResourceController = (entityName) => {
+    const entity = entities[entityName];
+    if (!entity) {
+        throw new Error(`Entidad desconocida: ${entityName}`);
+    }
+    const createSchema = schemaFor(entityName, { generateKey: true });
+    const updateSchema = schemaFor(entityName, { partial: true });
+
+    const list = async (req, res) => {
+        try {
+            let rows;
+            if (entity.parent) {
+                await ensureParentExists(pool, entity, req.params.parentId, req.user);
+                [rows] = await pool.query(`SELECT * FROM ${entity.table} WHERE ${entity.parent.foreignKey} = ?`, [req.params.parentId]);
+            } else {
+                [rows] = await pool.query(
+                    `SELECT * FROM ${entity.table} WHERE cooperative_id = ?${entity.softDelete ? ' AND deletedAt IS NULL' : ''}`,
+                    [req.user.cooperativeId]
+                );
+            }
+            res.json(rows.map(row => formatRecord(entity, row, req.user)));
+        } catch (error) {
+            sendError(res, error, `Error al listar ${entity.table}`, 'Error en el servidor al obtener los datos.');
+        }
+    };
+
+    const get = async (req, res) => {
+        try {
+            const record = await findRecord(pool, entity, req.params.id, req.params.parentId, tenantOf(req.user));
+            if (!record) {
+                return res.status(404).json({ message: 'Registro no encontrado.' });
+            }
+            await attachChildren(pool, entity, record);
+            res.json(formatRecord(entity, record, req.user));
+        } catch (error) {
+            sendError(res, error, `Error al obtener ${entity.table}`, 'Error en el servidor al obtener los datos.');
+        }
+    };
+
+    const create = async (req, res) => {
+        try {
+            assertValid(createSchema, req.body);
+            const events = [];
+            const created = await withTransaction(async (connection) => {
+                const row = toRow(entity, req.body);
+                Object.assign(row, deriveColumns(entityName, row));
+                if (entity.key === 'id' && row.id == null) {
+                    row.id = crypto.randomUUID();
+                }
+                if (row[entity.key] == null) {
+                    throw { status: 400, message: `El campo "${entity.key}" es requerido.` };
+                }
+                let root = null;
+                if (entity.parent) {
+                    await ensureParentExists(connection, entity, req.params.parentId, req.user);
+                    row[entity.parent.foreignKey] = req.params.parentId;
+                    root = await findAggregateRoot(connection, entity.parent.entity, req.params.parentId, req.user);
+                    assertCanWrite(req.user, root.name, [root.record]);
+                } else {
+                    assertCanWrite(req.user, entityName, [row]);
+                    row.cooperative_id = req.user.cooperativeId;
+                }
+                // Keys are unique across cooperatives, so the duplicate may belong to another one
+                const duplicate = await findRecord(connection, entity, row[entity.key], req.params.parentId, { includeDeleted: true });
+                if (duplicate) {
+                    throw {
+                        status: 409,
+                        message: duplicate.deletedAt && duplicate.cooperative_id === req.user.cooperativeId
+                            ? 'Ya existe un registro con ese identificador en la papelera. Restáurelo en lugar de crearlo de nuevo.'
+                            : 'Ya existe un registro con ese identificador.'
+                    };
+                }
+                // A new plan update may move its plan to another status (see actionPlanService.js)
+                const planChanges = await actionPlanService.checkResourceWrite(connection, req.user, entityName, null, row);
+                await connection.query(`INSERT INTO ${entity.table} SET ?`, row);
+                if (root) {
+                    await touchAggregate(connection, root);
+                }
+                const record = await findRecord(connection, entity, row[entity.key], req.params.parentId);
+                await attachChildren(connection, entity, record);
+                const changes = [...diffAggregate(entityName, null, record), ...planChanges];
+                const changeRoot = auditRoot(root, entityName, row[entity.key]);
+                await auditService.recordChanges(connection, req.user, changes, changeRoot);
+                await riskService.recordStatusChanges(connection, req.user, changes, changeRoot);
+                const notifications = await notificationService.notifyChanges(connection, req.user, changes, changeRoot);
+                events.push(await realtimeService.changeEvent(connection, req.user, changeRoot, changes), ...realtimeService.notificationEvents(notifications));
+                return record;
+            });
+            realtimeService.publish(events);
+            res.status(201).json(formatRecord(entity, created, req.user));
+        } catch (error) {
+            sendError(res, error, `Error al crear en ${entity.table}`, 'Error en el servidor al guardar los datos.');
+        }
+    };
+
+    const update = async (req, res) => {
+        try {
+            assertValid(updateSchema, req.body);
+            const events = [];
+            const updated = await withTransaction(async (connection) => {
+                const existing = await findRecord(connection, entity, req.params.id, req.params.parentId, tenantOf(req.user));
+                if (!existing) {
+                    throw { status: 404, message: 'Registro no encontrado.' };
+                }
+                assertCurrentVersion(entityName, existing, req);
+                const changes = toRow(entity, req.body);
+                delete changes[entity.key];
+                if (Object.keys(changes).length === 0) {
+                    throw { status: 400, message: 'No se enviaron campos para actualizar.' };
+                }
+                Object.assign(changes, deriveColumns(entityName, { ...existing, ...changes }));
+                let root = null;
+                if (entity.parent) {
+                    root = await findAggregateRoot(connection, entity.parent.entity, existing[entity.parent.foreignKey], req.user);
+                    assertCanWrite(req.user, root.name, [root.record]);
+                } else {
+                    assertCanWrite(req.user, entityName, [existing, { ...existing, ...changes }]);
+                }
+                await actionPlanService.checkResourceWrite(connection, req.user, entityName, existing, { ...existing, ...changes });
+
+                let sql = `UPDATE ${entity.table} SET ?${entity.versioned ? ', version = version + 1' : ''} WHERE ${entity.key} = ?`;
+                const params = [changes, req.params.id];
+                if (entity.parent) {
+                    sql += ` AND ${entity.parent.foreignKey} = ?`;
+                    params.push(existing[entity.parent.foreignKey]);
+                }
+                await connection.query(sql, params);
+                if (root) {
+                    await touchAggregate(connection, root);
+                }
+
+                const record = await findRecord(connection, entity, req.params.id, existing[entity.parent?.foreignKey]);
+                const fields = diffFields(entityName, existing, record);
+                if (fields) {
+                    const change = { entity: entityName, key: existing[entity.key], action: 'update', fields };
+                    const changeRoot = auditRoot(root, entityName, existing[entity.key]);
+                    await auditService.recordChanges(connection, req.user, [change], changeRoot);
+                    await riskService.recordStatusChanges(connection, req.user, [change], changeRoot);
+                    const notifications = await notificationService.notifyChanges(connection, req.user, [change], changeRoot);
+                    events.push(await realtimeService.changeEvent(connection, req.user, changeRoot, [change]), ...realtimeService.notificationEvents(notifications));
+                }
+                return attachChildren(connection, entity, record);
+            });
+            realtimeService.publish(events);
+            res.json(formatRecord(entity, updated, req.user));
+        } catch (error) {
+            sendError(res, error, `Error al actualizar ${entity.table}`, 'Error en el servidor al guardar los datos.');
+        }
+    };
+
+    const remove = async (req, res) => {
+        try {
+            const blobKeys = [];
+            const events = [];
+            await withTransaction(async (connection) => {
+                const existing = await findRecord(connection, entity, req.params.id, req.params.parentId, tenantOf(req.user));
+                if (!existing) {
+                    throw { status: 404, message: 'Registro no encontrado.' };
+                }
+                assertCurrentVersion(entityName, existing, req);
+                let root = null;
+                if (entity.parent) {
+                    root = await findAggregateRoot(connection, entity.parent.entity, existing[entity.parent.foreignKey], req.user);
+                    assertCanWrite(req.user, root.name, [root.record]);
+                } else {
+                    assertCanWrite(req.user, entityName, [existing]);
+                }
+                await attachChildren(connection, entity, existing);
+                const changes = diffAggregate(entityName, existing, null);
+                const changeRoot = auditRoot(root, entityName, existing[entity.key]);
+                await auditService.recordChanges(connection, req.user, changes, changeRoot);
+                if (entity.softDelete) {
+                    // Kept in the trash with its children until restored or purged (see trashService.js)
+                    await trashService.moveToTrash(connection, req.user, entityName, [existing[entity.key]]);
+                } else {
+                    await deleteChildren(connection, entity, existing[entity.key], blobKeys);
+                    let sql = `DELETE FROM ${entity.table} WHERE ${entity.key} = ?`;
+                    const params = [existing[entity.key]];
+                    if (entity.parent) {
+                        sql += ` AND ${entity.parent.foreignKey} = ?`;
+                        params.push(existing[entity.parent.foreignKey]);
+                    }
+                    await connection.query(sql, params);
+                    if (root) {
+                        await touchAggregate(connection, root);
+                    } else {
+                        await recordDeletions(connection, req.user, entityName, [existing[entity.key]]);
+                    }
+                }
+                events.push(await realtimeService.changeEvent(connection, req.user, changeRoot, changes));
+            });
+            realtimeService.publish(events);
+            await attachmentService.removeBlobs(blobKeys);
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error, `Error al eliminar en ${entity.table}`, 'Error en el servidor al eliminar los datos.');
+        }
+    };
+
+    return { list, get, create, update, remove };
+};
@@ -0,0 +1,170 @@
+const pool = require('../db');
+const { sendError } = require('../utils/httpErrors');
+const { RISK_STATUSES, CLOSED_RISK_STATUSES } = require('../models/statuses');
+const riskService = require('../services/riskService');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// --- Helper Functions ---
+
+const listParam = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const toScore = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const score = Number(value);
+    if (!Number.isInteger(score)) {
+        throw { status: 400, message: `El parámetro "${name}" debe ser un número entero.` };
+    }
+    return score;
+};
+
+// Filters shared by the register and the heat map: risks of the user's cooperative only. Risks of
+// indicators in the trash are left out. Closed risks are only included when asked for (`status` or
+// `includeClosed=true`), unless `includeClosedByDefault` is set.
+const buildFilters = (query, { cooperativeId, includeClosedByDefault }) => {
+    const conditions = ['i.cooperative_id = ?', 'i.deletedAt IS NULL'];
+    const params = [cooperativeId];
+
+    const statuses = listParam(query.status);
+    const unknownStatus = statuses.find(status => !RISK_STATUSES.includes(status));
+    if (unknownStatus) {
+        throw { status: 400, message: `Estado de riesgo desconocido: "${unknownStatus}".` };
+    }
+    if (statuses.length) {
+        conditions.push('r.status IN (?)');
+        params.push(statuses);
+    } else if (!includeClosedByDefault && query.includeClosed !== 'true') {
+        conditions.push('(r.status IS NULL OR r.status NOT IN (?))');
+        params.push(CLOSED_RISK_STATUSES);
+    }
+    if (query.owner) {
+        conditions.push('r.owner = ?');
+        params.push(String(query.owner));
+    }
+    if (query.area) {
+        conditions.push('i.responsibleArea = ?');
+        params.push(String(query.area));
+    }
+    if (query.indicatorId) {
+        conditions.push('r.indicator_id = ?');
+        params.push(String(query.indicatorId));
+    }
+    if (query.band) {
+        const band = riskService.findBand(query.band);
+        if (!band) {
+            throw { status: 400, message: `Banda de puntaje desconocida: "${query.band}".` };
+        }
+        conditions.push('r.riskScore BETWEEN ? AND ?');
+        params.push(band.from, band.to);
+    }
+    const minScore = toScore(query.minScore, 'minScore');
+    if (minScore !== null) {
+        conditions.push('r.riskScore >= ?');
+        params.push(minScore);
+    }
+    const maxScore = toScore(query.maxScore, 'maxScore');
+    if (maxScore !== null) {
+        conditions.push('r.riskScore <= ?');
+        params.push(maxScore);
+    }
+
+    return { where: `WHERE ${conditions.join(' AND ')}`, params };
+};
+
+const RISK_FROM = 'FROM risks r JOIN indicators i ON i.id = r.indicator_id';
+
+// --- REGISTER ---
+
+// GET /api/risks?status=&owner=&area=&indicatorId=&band=&minScore=&maxScore=&includeClosed=&limit=&offset=
+// Risks of every indicator, highest score first, each with its indicator and score band.
+// `status` takes a comma-separated list; without it every status is listed.
+exports.listRisks = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    try {
+        const { where, params } = buildFilters(req.query, { cooperativeId: req.user.cooperativeId, includeClosedByDefault: true });
+        const [[[{ total }]], [rows]] = await Promise.all([
+            pool.query(`SELECT COUNT(*) AS total ${RISK_FROM} ${where}`, params),
+            pool.query(
+                `SELECT r.*, i.name AS indicatorName, i.responsibleArea ${RISK_FROM} ${where}
+                 ORDER BY r.riskScore IS NULL, r.riskScore DESC, r.createdDate DESC, r.id LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            ),
+        ]);
+        const risks = rows.map(({ indicator_id: indicatorId, ...risk }) => ({
+            ...risk,
+            indicatorId,
+            band: riskService.bandFor(risk.riskScore),
+        }));
+        res.json({ total, limit, offset, bands: riskService.SCORE_BANDS, risks });
+    } catch (error) {
+        sendError(res, error, 'Error al consultar el registro de riesgos', 'Error en el servidor al consultar el registro de riesgos.');
+    }
+};
+
+// --- HEAT MAP ---
+
+// GET /api/risks/heat-map?status=&owner=&area=&indicatorId=&band=&includeClosed=
+// Impact x probability matrix with the risks in each cell, plus how many risks fall in each band.
+// Closed risks are left out unless asked for. Risks without impact or probability are only counted.
+exports.getHeatMap = async (req, res) => {
+    try {
+        const { where, params } = buildFilters(req.query, { cooperativeId: req.user.cooperativeId, includeClosedByDefault: false });
+        const [rows] = await pool.query(`SELECT r.id, r.impact, r.probability ${RISK_FROM} ${where}`, params);
+
+        const scale = riskService.RISK_SCALE_MAX;
+        const cells = [];
+        for (let impact = scale; impact >= 1; impact--) {
+            for (let probability = 1; probability <= scale; probability++) {
+                const score = riskService.computeScore(impact, probability);
+                cells.push({ impact, probability, score, band: riskService.bandFor(score), count: 0, riskIds: [] });
+            }
+        }
+        const cellFor = (impact, probability) => cells[(scale - impact) * scale + probability - 1];
+
+        const bands = Object.fromEntries(riskService.SCORE_BANDS.map(band => [band.name, 0]));
+        let unrated = 0;
+        for (const risk of rows) {
+            const impact = Number(risk.impact);
+            const probability = Number(risk.probability);
+            const rated = [impact, probability].every(value => Number.isInteger(value) && value >= 1 && value <= scale);
+            if (!rated) {
+                unrated++;
+                continue;
+            }
+            const cell = cellFor(impact, probability);
+            cell.count++;
+            cell.riskIds.push(risk.id);
+            if (cell.band) bands[cell.band]++;
+        }
+
+        res.json({ scale, total: rows.length, unrated, bands, cells });
+    } catch (error) {
+        sendError(res, error, 'Error al generar el mapa de calor de riesgos', 'Error en el servidor al generar el mapa de calor de riesgos.');
+    }
+};
+
+// --- STATUS HISTORY ---
+
+// GET /api/risks/:id/history
+// Status changes of a risk, oldest first. The history is kept after the risk is deleted.
+exports.getStatusHistory = async (req, res) => {
+    try {
+        const [history] = await pool.query(
+            `SELECT id, risk_id AS riskId, indicator_id AS indicatorId, fromStatus, toStatus, changedAt, changedBy, changedByName
+             FROM risk_status_history WHERE risk_id = ? AND cooperative_id = ? ORDER BY changedAt, id`,
+            [req.params.id, req.user.cooperativeId]
+        );
+        if (history.length === 0) {
+            const [[risk]] = await pool.query(
+                `SELECT r.id ${RISK_FROM} WHERE r.id = ? AND i.cooperative_id = ?`,
+                [req.params.id, req.user.cooperativeId]
+            );
+            if (!risk) throw { status: 404, message: 'Riesgo no encontrado.' };
+        }
+        res.json(history);
+    } catch (error) {
+        sendError(res, error, 'Error al consultar el historial del riesgo', 'Error en el servidor al consultar el historial del riesgo.');
+    }
+};
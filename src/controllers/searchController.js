@@ -0,0 +1,37 @@
+const pool = require('../db');
+const { sendError } = require('../utils/httpErrors');
+const searchService = require('../services/searchService');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// --- SEARCH ---
+
+// GET /api/search?q=&types=observations,meetings&limit=&offset=
+// Indicators, observations, risks, action plan updates, meetings, decisions, threads and replies
+// containing every word of `q` (or its "quoted phrases"), best match first. Each result carries a
+// snippet of the matching text and a link to the record and to its indicator, meeting or thread.
+exports.search = async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    try {
+        const query = String(req.query.q || '').trim();
+        if (!query) {
+            throw { status: 400, message: 'El parámetro "q" es requerido.' };
+        }
+        const types = req.query.types
+            ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+            : searchService.SOURCE_TYPES;
+        if (types.length === 0) {
+            throw { status: 400, message: 'Indique al menos un tipo de registro en "types".', types: searchService.SOURCE_TYPES };
+        }
+        const unknownType = types.find(type => !searchService.SOURCE_TYPES.includes(type));
+        if (unknownType) {
+            throw { status: 400, message: `Tipo de registro desconocido: "${unknownType}".`, types: searchService.SOURCE_TYPES };
+        }
+        const { terms, results } = await searchService.search(pool, query, { cooperativeId: req.user.cooperativeId, types, limit, offset });
+        res.json({ query, terms, limit, offset, results });
+    } catch (error) {
+        sendError(res, error, 'Error al buscar', 'Error en el servidor al realizar la búsqueda.');
+    }
+};
@@ -0,0 +1,54 @@
+const { sendError } = require('../utils/httpErrors');
+const { isAdmin } = require('../utils/permissions');
+const trashService = require('../services/trashService');
+const realtimeService = require('../services/realtimeService');
+
+// --- Helper Functions ---
+
+const assertAdmin = (user) => {
+    if (!isAdmin(user)) {
+        throw { status: 403, message: 'Solo los administradores pueden gestionar la papelera.' };
+    }
+};
+
+// --- LIST ---
+
+// GET /api/trash?entity=indicators (solo administradores)
+// Deleted indicators, meetings, threads and users, with who deleted them, when, and when they
+// will be purged. `entity` limits the listing to one of them.
+exports.listTrash = async (req, res) => {
+    const { repositories } = req.app.locals;
+    try {
+        assertAdmin(req.user);
+        const entityNames = req.query.entity ? [String(req.query.entity)] : undefined;
+        res.json({
+            retentionDays: trashService.TRASH_RETENTION_DAYS,
+            ...await repositories.trash.list(req.user.cooperativeId, entityNames),
+        });
+    } catch (error) {
+        sendError(res, error, 'Error al consultar la papelera', 'Error en el servidor al consultar la papelera.');
+    }
+};
+
+// --- RESTORE ---
+
+// POST /api/trash/:entity/:id/restore (solo administradores)
+// Returns the restored record with its children.
+exports.restore = async (req, res) => {
+    const { repositories } = req.app.locals;
+    try {
+        assertAdmin(req.user);
+        const { entity: entityName, id } = req.params;
+        const events = [];
+        const record = await repositories.transaction(async (store) => {
+            const restored = await store.trash.restore(req.user, entityName, id);
+            const change = { entity: entityName, key: id, action: 'restore', fields: {} };
+            events.push(await realtimeService.buildChangeEvent(req.user, { name: entityName, id }, [change], (root) => store[root.name].findVersion(root.id)));
+            return restored;
+        });
+        realtimeService.publish(events);
+        res.json(record);
+    } catch (error) {
+        sendError(res, error, 'Error al restaurar el registro', 'Error en el servidor al restaurar el registro.');
+    }
+};
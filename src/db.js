@@ -13,7 +13,9 @@ const pool = mysql.createPool({
   queueLimit: 0
 });
 
-pool.getConnection()
+// Creating the pool opens no connection: requiring this module never touches the database.
+// The server checks the connection once it starts (see checkConnection).
+const checkConnection = () => pool.getConnection()
     .then(connection => {
         console.log('Conexión a la base de datos establecida con éxito.');
         connection.release();
@@ -23,3 +25,4 @@ pool.getConnection()
     });
 
 module.exports = pool;
+module.exports.checkConnection = checkConnection;
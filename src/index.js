@@ -1,28 +1,19 @@
 
-const express = require('express');
-const cors = require('cors');
 require('dotenv').config();
 
-const authRoutes = require('./routes/authRoutes');
-const dataRoutes = require('./routes/dataRoutes');
+const notificationScheduler = require('./jobs/notificationScheduler');
+const trashPurgeScheduler = require('./jobs/trashPurgeScheduler');
+const { createApp } = require('./app');
+const { createRepositories } = require('./repositories');
+const db = require('./db');
 
-const app = express();
-
-// Middlewares
-app.use(cors()); // Permite peticiones desde el frontend
-app.use(express.json({ limit: '10mb' })); // Permite al servidor entender JSON y aumenta el límite para adjuntos
-
-// Rutas de la API
-app.use('/api/auth', authRoutes);
-app.use('/api/data', dataRoutes);
-
-// Ruta de bienvenida para verificar que el servidor está funcionando
-app.get('/', (req, res) => {
-    res.send('API del Balance Social Cooperativo está funcionando correctamente.');
-});
+const app = createApp({ repositories: createRepositories() });
 
 const PORT = process.env.PORT || 3001;
 
 app.listen(PORT, () => {
     console.log(`Servidor corriendo en el puerto ${PORT}`);
+    db.checkConnection();
+    notificationScheduler.start();
+    trashPurgeScheduler.start();
 });
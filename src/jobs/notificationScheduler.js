@@ -0,0 +1,38 @@
+const scheduler = require('./scheduler');
+const notificationService = require('../services/notificationService');
+const realtimeService = require('../services/realtimeService');
+
+// Runs the date-based notification checks (decision due dates, overdue action plans, missing
+// yearly values) periodically. Dedupe keys make repeated runs harmless.
+//
+//   NOTIFICATION_SCHEDULER=off            disables it (e.g. when a cron job runs the checks instead)
+//   NOTIFICATION_INTERVAL_MINUTES=60      how often the checks run
+
+const LOCK_NAME = 'coop_backend_notification_scheduler';
+const ERROR_MESSAGE = 'Error al generar las notificaciones programadas';
+const INTERVAL_MINUTES = Number(process.env.NOTIFICATION_INTERVAL_MINUTES) || 60;
+
+const task = async (connection) => {
+    const created = await notificationService.runScheduledChecks(connection);
+    if (created.length > 0) {
+        console.log(`Notificaciones programadas generadas: ${created.length}.`);
+        realtimeService.publish(realtimeService.notificationEvents(created));
+    }
+};
+
+const runOnce = () => scheduler.runExclusive(LOCK_NAME, task, ERROR_MESSAGE);
+
+const start = () => {
+    if (process.env.NOTIFICATION_SCHEDULER === 'off') return null;
+    return scheduler.schedule({
+        lockName: LOCK_NAME,
+        intervalMinutes: INTERVAL_MINUTES,
+        task,
+        errorMessage: ERROR_MESSAGE,
+    });
+};
+
+module.exports = {
+    runOnce,
+    start
+};
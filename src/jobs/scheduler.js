@@ -0,0 +1,41 @@
+const pool = require('../db');
+
+// Runs background tasks periodically inside the API process. With several instances running,
+// a MySQL named lock lets only one of them run a task at a time; the others skip that round.
+// Timers never keep the process alive on their own.
+
+// The first run waits a little so it doesn't compete with the server start
+const FIRST_RUN_DELAY_MS = 10 * 1000;
+
+// Runs `task(connection)` once while holding the lock `lockName`. Errors are logged, never thrown.
+const runExclusive = async (lockName, task, errorMessage) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        const [[{ locked }]] = await connection.query('SELECT GET_LOCK(?, 0) AS locked', [lockName]);
+        if (!locked) return;
+        try {
+            await task(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+        }
+    } catch (error) {
+        console.error(`${errorMessage}:`, error);
+    } finally {
+        if (connection) connection.release();
+    }
+};
+
+// Schedules `task` every `intervalMinutes`. Returns the interval timer.
+const schedule = ({ lockName, intervalMinutes, task, errorMessage }) => {
+    const run = () => runExclusive(lockName, task, errorMessage);
+    setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+    const timer = setInterval(run, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    runExclusive,
+    schedule
+};
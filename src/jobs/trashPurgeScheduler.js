@@ -0,0 +1,47 @@
+const scheduler = require('./scheduler');
+const trashService = require('../services/trashService');
+const attachmentService = require('../services/attachmentService');
+
+// Purges the records that have been in the trash longer than TRASH_RETENTION_DAYS
+// (see services/trashService.js).
+//
+//   TRASH_PURGE=off                       disables it
+//   TRASH_PURGE_INTERVAL_MINUTES=1440     how often the trash is checked
+
+const LOCK_NAME = 'coop_backend_trash_purge';
+const ERROR_MESSAGE = 'Error al vaciar la papelera';
+const INTERVAL_MINUTES = Number(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 24 * 60;
+
+const task = async (connection) => {
+    let result;
+    await connection.beginTransaction();
+    try {
+        result = await trashService.purgeExpired(connection);
+        await connection.commit();
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    }
+    // Files are only removed once their rows are gone for good
+    await attachmentService.removeBlobs(result.blobKeys);
+    if (result.purged > 0) {
+        console.log(`Registros eliminados definitivamente de la papelera: ${result.purged}.`);
+    }
+};
+
+const runOnce = () => scheduler.runExclusive(LOCK_NAME, task, ERROR_MESSAGE);
+
+const start = () => {
+    if (process.env.TRASH_PURGE === 'off') return null;
+    return scheduler.schedule({
+        lockName: LOCK_NAME,
+        intervalMinutes: INTERVAL_MINUTES,
+        task,
+        errorMessage: ERROR_MESSAGE,
+    });
+};
+
+module.exports = {
+    runOnce,
+    start
+};
@@ -1,25 +1,56 @@
-
 const jwt = require('jsonwebtoken');
 
-module.exports = (req, res, next) => {
+// El token viene en formato "Bearer <token>". Solo las rutas que lo permiten explícitamente
+// (p. ej. el canal de eventos, ya que EventSource no puede enviar cabeceras) lo aceptan como ?token=
+const readToken = (req, allowQueryToken) => {
     const authHeader = req.headers.authorization;
+    if (authHeader) {
+        return { provided: true, token: authHeader.split(' ')[1] };
+    }
+    if (allowQueryToken && req.query.token) {
+        return { provided: true, token: String(req.query.token) };
+    }
+    return { provided: false };
+};
 
-    if (!authHeader) {
+// Los usuarios de la federación no pertenecen a ninguna cooperativa: solo pasan por las rutas que
+// lo permiten explícitamente (las comparaciones entre cooperativas y su propia cuenta)
+const authenticate = ({ allowQueryToken = false, allowFederation = false } = {}) => async (req, res, next) => {
+    const { provided, token } = readToken(req, allowQueryToken);
+
+    if (!provided) {
         return res.status(401).json({ message: 'No se proveyó un token, autorización denegada.' });
     }
 
-    // El token viene en formato "Bearer <token>"
-    const token = authHeader.split(' ')[1];
-
     if (!token) {
         return res.status(401).json({ message: 'Token malformado.' });
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded; // Añade la información del usuario (id, role, etc.) a la petición
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (err) {
-        res.status(401).json({ message: 'El token no es válido.' });
+        return res.status(401).json({ message: 'El token no es válido.' });
     }
+
+    try {
+        // La sesión debe seguir abierta y el usuario debe existir con el mismo rol, área y cooperativa que el token
+        if (!await req.app.locals.repositories.sessions.isTokenCurrent(decoded)) {
+            return res.status(401).json({ message: 'La sesión ya no es válida. Inicie sesión nuevamente.' });
+        }
+    } catch (error) {
+        console.error("Error al verificar la sesión:", error);
+        return res.status(500).json({ message: 'Error en el servidor al verificar la sesión.' });
+    }
+
+    if (!decoded.cooperativeId && !allowFederation) {
+        return res.status(403).json({ message: 'Los usuarios de la federación solo pueden consultar las comparaciones entre cooperativas.' });
+    }
+
+    req.user = decoded; // Añade la información del usuario (id, role, cooperativeId, sid, etc.) a la petición
+    next();
 };
+
+module.exports = authenticate();
+module.exports.allowQueryToken = authenticate({ allowQueryToken: true });
+module.exports.allowFederation = authenticate({ allowFederation: true });
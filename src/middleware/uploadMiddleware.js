@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const blobStore = require('../storage');
+
+const MAX_SIZE_MB = Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+const IMPORT_MAX_SIZE_MB = Number(process.env.IMPORT_MAX_SIZE_MB) || 5;
+
+const DEFAULT_ALLOWED_TYPES = [
+    'application/pdf',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'text/plain',
+    'text/csv',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim())
+    : DEFAULT_ALLOWED_TYPES;
+
+// Multer storage engine that streams each file straight into the blob store,
+// without buffering it in memory. The generated key is exposed as `req.file.storageKey`.
+const blobStorageEngine = {
+    _handleFile(req, file, cb) {
+        const storageKey = `attachments/${crypto.randomUUID()}`;
+        blobStore.write(storageKey, file.stream)
+            .then(size => cb(null, { storageKey, size }))
+            .catch(cb);
+    },
+    _removeFile(req, file, cb) {
+        blobStore.remove(file.storageKey).then(() => cb(null), cb);
+    },
+};
+
+const upload = multer({
+    storage: blobStorageEngine,
+    defParamCharset: 'utf8', // Nombres de archivo con tildes y eñes
+    limits: { fileSize: Math.round(MAX_SIZE_MB * 1024 * 1024), files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!ALLOWED_TYPES.includes(file.mimetype)) {
+            return cb({ status: 415, message: `El tipo de archivo "${file.mimetype}" no está permitido.` });
+        }
+        cb(null, true);
+    },
+});
+
+// Spreadsheets for bulk imports are small and parsed right away, so they are kept in memory
+// (`req.file.buffer`). The type is checked by the import itself, from the file extension.
+const spreadsheet = multer({
+    storage: multer.memoryStorage(),
+    defParamCharset: 'utf8',
+    limits: { fileSize: Math.round(IMPORT_MAX_SIZE_MB * 1024 * 1024), files: 1 },
+});
+
+// Accepts a single multipart file in the `file` field and answers upload errors
+// (size, type, missing file) with a JSON message like the rest of the API.
+const singleFile = (instance, maxSizeMb) => (req, res, next) => {
+    instance.single('file')(req, res, (err) => {
+        if (err) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ message: `El archivo supera el tamaño máximo de ${maxSizeMb} MB.` });
+            }
+            if (err.status) {
+                return res.status(err.status).json({ message: err.message });
+            }
+            console.error("Error al recibir el archivo:", err);
+            return res.status(400).json({ message: 'No se pudo procesar el archivo enviado.' });
+        }
+        if (!req.file) {
+            return res.status(400).json({ message: 'Debe enviar un archivo en el campo "file".' });
+        }
+        next();
+    });
+};
+
+module.exports = {
+    attachmentUpload: singleFile(upload, MAX_SIZE_MB),
+    spreadsheetUpload: singleFile(spreadsheet, IMPORT_MAX_SIZE_MB),
+};
@@ -0,0 +1,160 @@
+// Describes the tables behind the data API: the granular REST endpoints, the change detection
+// of saveAppData and the audit log all work from these definitions.
+//
+// - table:     MySQL table name.
+// - key:       column that identifies a record inside its parent (or globally for top-level entities).
+// - parent:    name of the parent entity and the foreign key column that points to it.
+// - columns:   writable columns accepted from the client (the key is included, the foreign key is not).
+// - dates:     columns normalized with toMySQLDateTime; `true` keeps the time part.
+// - children:  nested collections returned when a single record is fetched, and deleted with it.
+//              `readOnly` children are never written through the parent nor compared for changes;
+//              `keepOnDelete` children outlive the parent.
+// - hidden:    columns never returned to clients.
+// - blobColumn: column holding a blob store key; the blob is removed with the record.
+// - versioned: top-level aggregates that carry `version`/`updatedAt` for optimistic concurrency.
+//              Any write to the record or to one of its descendants bumps the version.
+// - areaScoped: top-level aggregates whose writes are restricted to the record's responsibleArea
+//              (see utils/permissions.js). The restriction also covers every descendant.
+// - softDelete: top-level records that are moved to the trash (`deletedAt`/`deletedBy`) instead of
+//              being deleted; their children stay untouched until the record is purged
+//              (see services/trashService.js). Reads skip records in the trash.
+// - tenantScoped: top-level records that belong to a cooperative (`cooperative_id`); their
+//              descendants belong to it through them (see services/tenantService.js).
+const entities = {
+    users: {
+        table: 'users',
+        key: 'id',
+        softDelete: true,
+        tenantScoped: true,
+        columns: ['id', 'name', 'role', 'area', 'readThreadIds'],
+        dates: {},
+        hidden: ['password', 'failedLoginAttempts', 'lockedUntil', 'passwordChangedAt'],
+    },
+    strategicGoals: {
+        table: 'strategic_goals',
+        key: 'id',
+        tenantScoped: true,
+        columns: ['id', 'title', 'description', 'targetDate'],
+        dates: { targetDate: false },
+    },
+    indicators: {
+        table: 'indicators',
+        key: 'id',
+        versioned: true,
+        softDelete: true,
+        areaScoped: true,
+        tenantScoped: true,
+        columns: ['id', 'principle', 'name', 'calculation', 'purpose', 'responsibleArea', 'strategicGoalId'],
+        dates: {},
+        children: [
+            { entity: 'historicalData', as: 'historicalData' },
+            { entity: 'goals', as: 'goals' },
+            { entity: 'observations', as: 'observations' },
+            { entity: 'risks', as: 'risks' },
+            { entity: 'actionPlans', as: 'actionPlans' },
+            { entity: 'attachments', as: 'attachments', readOnly: true },
+            { entity: 'auditLogs', as: 'auditLog', readOnly: true, keepOnDelete: true },
+        ],
+    },
+    historicalData: {
+        table: 'historical_data',
+        key: 'year',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['year', 'value', 'formattedValue'],
+        dates: {},
+    },
+    goals: {
+        table: 'goals',
+        key: 'year',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['year', 'target'],
+        dates: {},
+    },
+    observations: {
+        table: 'observations',
+        key: 'id',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['id', 'author', 'role', 'date', 'text'],
+        dates: { date: true },
+    },
+    risks: {
+        table: 'risks',
+        key: 'id',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['id', 'title', 'description', 'impact', 'probability', 'riskScore', 'mitigationPlan', 'status', 'owner', 'createdDate'],
+        dates: { createdDate: true },
+    },
+    actionPlans: {
+        table: 'action_plans',
+        key: 'id',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['id', 'title', 'description', 'owner', 'status', 'dueDate', 'createdDate'],
+        dates: { dueDate: false, createdDate: true },
+        children: [
+            { entity: 'actionPlanUpdates', as: 'updates' },
+        ],
+    },
+    actionPlanUpdates: {
+        table: 'action_plan_updates',
+        key: 'id',
+        parent: { entity: 'actionPlans', foreignKey: 'action_plan_id' },
+        columns: ['id', 'date', 'author', 'text', 'statusChange', 'attachmentId'],
+        dates: { date: true },
+    },
+    attachments: {
+        table: 'attachments',
+        key: 'id',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['id', 'fileName', 'fileType', 'fileSize', 'uploadedBy', 'uploadDate'],
+        dates: { uploadDate: true },
+        hidden: ['dataUrl', 'storageKey'],
+        blobColumn: 'storageKey',
+    },
+    auditLogs: {
+        table: 'audit_logs',
+        key: 'id',
+        parent: { entity: 'indicators', foreignKey: 'indicator_id' },
+        columns: ['id', 'timestamp', 'userId', 'user', 'action', 'entityType', 'entityId', 'rootType', 'rootId', 'details', 'changes'],
+        dates: { timestamp: true },
+    },
+    meetings: {
+        table: 'meetings',
+        key: 'id',
+        versioned: true,
+        softDelete: true,
+        tenantScoped: true,
+        columns: ['id', 'date', 'attendees', 'agenda', 'minutes'],
+        dates: { date: true },
+        children: [
+            { entity: 'decisions', as: 'decisions' },
+        ],
+    },
+    decisions: {
+        table: 'decisions',
+        key: 'id',
+        parent: { entity: 'meetings', foreignKey: 'meeting_id' },
+        columns: ['id', 'text', 'responsibleUserId', 'dueDate', 'status'],
+        dates: { dueDate: false },
+    },
+    discussionThreads: {
+        table: 'discussion_threads',
+        key: 'id',
+        versioned: true,
+        softDelete: true,
+        tenantScoped: true,
+        columns: ['id', 'title', 'content', 'authorId', 'timestamp', 'principleTag'],
+        dates: { timestamp: true },
+        children: [
+            { entity: 'threadReplies', as: 'replies' },
+        ],
+    },
+    threadReplies: {
+        table: 'thread_replies',
+        key: 'id',
+        parent: { entity: 'discussionThreads', foreignKey: 'thread_id' },
+        columns: ['id', 'authorId', 'timestamp', 'content'],
+        dates: { timestamp: true },
+    },
+};
+
+module.exports = entities;
@@ -0,0 +1,231 @@
+const Joi = require('joi');
+const entities = require('./entities');
+const { RISK_STATUSES, ACTION_PLAN_STATUSES } = require('./statuses');
+const { normalizeNumber } = require('../utils/dataUtils');
+const { RISK_SCALE_MAX } = require('../services/riskService');
+const { parseSyncCursor } = require('../services/appDataService');
+
+// Validation schemas for the records accepted by the data API (saveAppData and the REST
+// endpoints). Only the writable columns of entities.js are described; other properties the
+// frontend keeps on its records (`version`, `canEdit`, `auditLog`...) are let through untouched.
+// Nested collections are validated with the schema of their child entity.
+
+const id = Joi.string().trim().min(1).max(64);
+const optionalId = id.allow(null, '');
+const text = (max) => Joi.string().allow(null, '').max(max);
+const longText = Joi.string().allow(null, '');
+const date = Joi.date().allow(null, '');
+const year = Joi.number().integer().min(1900).max(2100);
+const riskLevel = Joi.number().integer().min(1).max(RISK_SCALE_MAX).allow(null, '');
+const oneOf = (values) => Joi.string().valid(...values).allow(null, '')
+    .messages({ 'any.only': `Debe ser uno de: ${values.join(', ')}.` });
+
+// Numbers may arrive formatted ("1.234,5"), as saveAppData normalizes them with normalizeNumber.
+const numeric = Joi.any().custom((value, helpers) => {
+    if (value === null || value === '') return value;
+    if (typeof value !== 'number' && typeof value !== 'string') return helpers.error('number.base');
+    const number = normalizeNumber(value);
+    return number === null || Number.isNaN(number) ? helpers.error('number.base') : value;
+});
+
+// Writable fields of each entity. The record key is required: saveAppData and the audit log
+// identify records by it. (The REST create endpoint generates ids, see `schemaFor`.)
+const FIELDS = {
+    users: {
+        id: id.required(),
+        name: Joi.string().trim().max(100).required(),
+        // Roles are checked against the known list when assigned (see utils/permissions.js)
+        role: Joi.string().max(50).required(),
+        area: text(100),
+        password: Joi.string().allow(null, '').max(255),
+        readThreadIds: Joi.array().items(id).allow(null),
+    },
+    strategicGoals: {
+        id: id.required(),
+        title: Joi.string().trim().max(255).required(),
+        description: longText,
+        targetDate: date,
+    },
+    indicators: {
+        id: id.required(),
+        principle: text(255),
+        name: Joi.string().trim().max(255).required(),
+        calculation: longText,
+        purpose: longText,
+        responsibleArea: text(100),
+        strategicGoalId: optionalId,
+    },
+    historicalData: {
+        year: year.required(),
+        value: numeric,
+        formattedValue: text(100),
+    },
+    goals: {
+        year: year.required(),
+        target: numeric,
+    },
+    observations: {
+        id: id.required(),
+        author: text(100),
+        role: text(50),
+        date,
+        text: longText,
+    },
+    risks: {
+        id: id.required(),
+        title: Joi.string().trim().max(255).required(),
+        description: longText,
+        impact: riskLevel,
+        probability: riskLevel,
+        // riskScore is computed by the server (see riskService.js); whatever the client sends is ignored
+        mitigationPlan: longText,
+        status: oneOf(RISK_STATUSES),
+        owner: text(100),
+        createdDate: date,
+    },
+    actionPlans: {
+        id: id.required(),
+        title: Joi.string().trim().max(255).required(),
+        description: longText,
+        owner: text(100),
+        status: oneOf(ACTION_PLAN_STATUSES),
+        dueDate: date,
+        createdDate: date,
+    },
+    actionPlanUpdates: {
+        id: id.required(),
+        date,
+        author: text(100),
+        text: longText,
+        statusChange: oneOf(ACTION_PLAN_STATUSES),
+        attachmentId: optionalId,
+    },
+    attachments: {
+        id: id.required(),
+        fileName: Joi.string().max(255).required(),
+        fileType: text(100),
+        fileSize: Joi.number().integer().min(0).allow(null),
+        uploadedBy: text(100),
+        uploadDate: date,
+    },
+    meetings: {
+        id: id.required(),
+        date: date,
+        attendees: longText,
+        agenda: longText,
+        minutes: longText,
+    },
+    decisions: {
+        id: id.required(),
+        text: longText,
+        responsibleUserId: optionalId,
+        dueDate: date,
+        status: text(50),
+    },
+    discussionThreads: {
+        id: id.required(),
+        title: Joi.string().trim().max(255).required(),
+        content: longText,
+        authorId: optionalId,
+        timestamp: date,
+        principleTag: text(255),
+    },
+    threadReplies: {
+        id: id.required(),
+        authorId: optionalId,
+        timestamp: date,
+        content: longText,
+    },
+};
+
+const MESSAGES = {
+    'any.required': 'Es requerido.',
+    'string.base': 'Debe ser un texto.',
+    'string.empty': 'No puede estar vacío.',
+    'string.min': 'Debe tener al menos {#limit} caracteres.',
+    'string.max': 'Debe tener como máximo {#limit} caracteres.',
+    'number.base': 'Debe ser un número.',
+    'number.integer': 'Debe ser un número entero.',
+    'number.min': 'Debe ser mayor o igual a {#limit}.',
+    'number.max': 'Debe ser menor o igual a {#limit}.',
+    'date.base': 'Debe ser una fecha válida.',
+    'boolean.base': 'Debe ser verdadero o falso.',
+    'array.base': 'Debe ser una lista.',
+    'array.unique': 'Está repetido en la lista.',
+    'object.base': 'Debe ser un objeto.',
+};
+
+// A list of records of `entityName`; keys must be unique within it.
+const collection = (entityName) => Joi.array()
+    .items(schemaFor(entityName))
+    .unique(entities[entityName].key);
+
+// Schema of one record of `entityName`, with its writable nested collections.
+//  - partial:     every field optional (PATCH).
+//  - generateKey: the key may be omitted because the server generates it (REST create).
+function schemaFor(entityName, { partial = false, generateKey = false } = {}) {
+    const entity = entities[entityName];
+    const fields = FIELDS[entityName] || {};
+    let schema = Joi.object(fields).unknown(true);
+    for (const child of entity.children || []) {
+        if (child.readOnly) continue;
+        schema = schema.keys({ [child.as]: collection(child.entity) });
+    }
+    if (partial) {
+        schema = schema.fork(Object.keys(fields), field => field.optional());
+    } else if (generateKey && entity.key === 'id' && fields.id) {
+        schema = schema.fork(['id'], field => field.optional());
+    }
+    return schema;
+}
+
+// Body of POST /api/data: every collection is optional, so clients can save only what changed.
+// Notifications are generated by the server and are not accepted (see notificationService.js).
+const appDataSchema = Joi.object({
+    users: collection('users'),
+    strategicGoals: collection('strategicGoals'),
+    indicators: collection('indicators'),
+    meetings: collection('meetings'),
+    discussionThreads: collection('discussionThreads'),
+    // The cursor of the load the payload is based on, in the formats `since` accepts (see getAppData)
+    syncedAt: Joi.string().allow(null, '').custom((value, helpers) => (parseSyncCursor(value)
+        ? value
+        : helpers.message({ custom: 'Debe ser el valor "syncedAt" devuelto por una carga anterior.' }))),
+    // Sent back from a filtered load: records missing from it are not deleted
+    partial: Joi.boolean(),
+}).unknown(true);
+
+// "$.indicators[3].historicalData[0].value"
+const toJsonPath = (segments) => segments.reduce(
+    (path, segment) => (typeof segment === 'number' ? `${path}[${segment}]` : `${path}.${segment}`),
+    '$'
+);
+
+// The 400 listing every invalid field as `{ path, message, type }`. `details` are given in the
+// shape of Joi's error details, with the path as a list of keys and indexes.
+const validationError = (details) => ({
+    status: 400,
+    message: 'Los datos enviados no son válidos.',
+    errors: details.map(detail => ({
+        path: toJsonPath(detail.path),
+        message: detail.message,
+        type: detail.type,
+    })),
+});
+
+// Validates `value` and throws the 400 of validationError when any field is invalid.
+const assertValid = (schema, value) => {
+    const { error } = schema.validate(value, {
+        abortEarly: false,
+        messages: MESSAGES,
+        errors: { wrap: { label: false, array: false } },
+    });
+    if (error) throw validationError(error.details);
+};
+
+module.exports = {
+    schemaFor,
+    appDataSchema,
+    assertValid,
+    validationError
+};
@@ -0,0 +1,30 @@
+// Status values accepted for risks and action plans. The closed ones no longer need attention:
+// reports show every other status as open.
+const RISK_STATUSES = ['Abierto', 'En seguimiento', 'Mitigado', 'Cerrado'];
+const CLOSED_RISK_STATUSES = ['Cerrado', 'Mitigado'];
+
+const ACTION_PLAN_STATUSES = ['Pendiente', 'En curso', 'Completado', 'Cancelado'];
+const CLOSED_PLAN_STATUSES = ['Completado', 'Cancelado'];
+const COMPLETED_PLAN_STATUS = 'Completado';
+
+// Lifecycle of an action plan: the statuses each one can move to (see actionPlanService.js).
+// Closed plans can't be reopened.
+const ACTION_PLAN_TRANSITIONS = {
+    'Pendiente': ['En curso', 'Cancelado'],
+    'En curso': ['Completado', 'Cancelado'],
+    'Completado': [],
+    'Cancelado': [],
+};
+
+// Meeting decisions keep a free-text status; these mean the decision needs no more follow-up.
+const CLOSED_DECISION_STATUSES = ['Completada', 'Cancelada'];
+
+module.exports = {
+    RISK_STATUSES,
+    CLOSED_RISK_STATUSES,
+    ACTION_PLAN_STATUSES,
+    CLOSED_PLAN_STATUSES,
+    COMPLETED_PLAN_STATUS,
+    ACTION_PLAN_TRANSITIONS,
+    CLOSED_DECISION_STATUSES
+};
@@ -0,0 +1,35 @@
+const { createMysqlRepositories } = require('./mysqlRepositories');
+const { createMemoryRepositories } = require('./memoryRepositories');
+
+// Repositories hide where the data is stored from the controllers that use them (so far login,
+// the session checks, getAppData, saveAppData and the trash; the other endpoints and the schedulers still
+// query db.js directly). The server always uses MySQL. The in-memory backend, which starts empty
+// and keeps nothing once the process exits, is only for the API tests in test/: they pass it to
+// createApp with their own data. It can't be selected for the server, whose other endpoints would
+// still read and write MySQL.
+//
+// Every backend exposes:
+//  - transaction(work): runs `work(repositories)` with repositories bound to one transaction,
+//    committed when `work` resolves and rolled back when it throws.
+//  - appData: load(options) (see appDataService.loadAppData), syncCursor(),
+//    loadDeletions(since, cooperativeId) and recordDeletions(user, entityName, ids).
+//  - users: findForLogin(name), list(cooperativeId), findPassword(id), findByNames(names),
+//    save(user, passwordHash, cooperativeId), registerFailedLogin(user) and clearFailedLogins(userId).
+//  - sessions: create(user, client), isTokenCurrent(decoded) and revokeForUser(userId, reason).
+//  - strategicGoals: list(cooperativeId) and replace(goals, cooperativeId).
+//  - indicators, meetings, discussionThreads: lock(cooperativeId), save(record, cooperativeId) with
+//    its children, and findVersion(id).
+//  - users, strategicGoals, indicators, meetings, discussionThreads: findTrashed(ids, cooperativeId),
+//    findForeign(ids, cooperativeId), findModifiedSince(ids, since) and moveToTrash(user, ids).
+//  - attachments: findIndicators(ids), the indicator of each attachment by attachment id.
+//  - trash: list(cooperativeId, entityNames) and restore(user, entityName, id) (see trashService.js).
+//  - auditLog.record, riskHistory.record and notifications.notifyChanges, all (user, changes, root).
+// Records are read and written in the shapes of appDataService.loadAppData.
+// The repositories of the server.
+const createRepositories = () => createMysqlRepositories(require('../db'));
+
+module.exports = {
+    createRepositories,
+    createMysqlRepositories,
+    createMemoryRepositories
+};
@@ -0,0 +1,410 @@
+const entities = require('../models/entities');
+const { toMySQLDateTime, sameName } = require('../utils/dataUtils');
+const { SYNC_OVERLAP_SECONDS, TOMBSTONE_ENTITIES, assembleAppData } = require('../services/appDataService');
+const { METADATA_COLUMNS } = require('../services/attachmentService');
+const auditService = require('../services/auditService');
+const riskService = require('../services/riskService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const notificationService = require('../services/notificationService');
+const trashService = require('../services/trashService');
+
+// Repositories kept in memory (see ./index.js for the interface), for the API tests. Each table
+// of the schema is an array of rows shaped as mysql2 returns them: DATETIME columns hold Date
+// objects (read as UTC), and `version`, `updatedAt` and `deletedAt` are maintained here the way
+// the database and the MySQL repositories do.
+// Rows are copied on the way in and out, so callers never share them with the state.
+// Transactions run one at a time and put the previous state back when their work throws.
+
+const TABLES = [
+    'cooperatives', 'users', 'sessions', 'strategic_goals', 'cooperative_principles', 'notifications', 'deleted_records',
+    'indicators', 'historical_data', 'goals', 'observations', 'risks', 'action_plans', 'action_plan_updates',
+    'attachments', 'audit_logs', 'risk_status_history', 'meetings', 'decisions', 'discussion_threads', 'thread_replies',
+];
+
+const copy = (row) => structuredClone(row);
+
+const pick = (row, columns) => Object.fromEntries(columns.map(column => [column, row[column]]));
+
+// "YYYY-MM-DD HH:mm:ss[.ffffff]" (as written by toMySQLDateTime and in sync cursors) or an ISO
+// timestamp, read as UTC.
+const parseDateTime = (text) => new Date(`${String(text).replace(' ', 'T').replace(/Z$/, '').substring(0, 23)}Z`);
+
+const toStoredDate = (value, keepTime) => {
+    const text = toMySQLDateTime(value, keepTime);
+    return text ? parseDateTime(text) : null;
+};
+
+// A record of a child entity as its row: the columns of models/entities.js, dates normalized.
+const toRow = (entityName, record) => {
+    const entity = entities[entityName];
+    return Object.fromEntries(entity.columns.map(column => [
+        column,
+        Object.hasOwn(entity.dates, column) ? toStoredDate(record[column], entity.dates[column]) : record[column] ?? null,
+    ]));
+};
+
+// `tables` seeds the state, as `{ tableName: [row, ...] }`.
+const createMemoryRepositories = (tables = {}) => {
+    let state = Object.fromEntries(TABLES.map(table => [table, (tables[table] || []).map(copy)]));
+    let queue = Promise.resolve();
+
+    const find = (table, predicate) => state[table].find(predicate) || null;
+    const insert = (table, row) => state[table].push(row);
+    const removeWhere = (table, predicate) => {
+        state[table] = state[table].filter(row => !predicate(row));
+    };
+    const live = (row) => !row.deletedAt;
+
+    // Inserts or updates a top-level row, as `INSERT ... ON DUPLICATE KEY UPDATE` does; versioned
+    // rows get a new version when updated.
+    const upsert = (entityName, values) => {
+        const entity = entities[entityName];
+        const existing = find(entity.table, row => row[entity.key] === values[entity.key]);
+        if (existing) {
+            // Records never move to another cooperative
+            const { cooperative_id: ignored, ...changed } = values;
+            Object.assign(existing, changed, { updatedAt: new Date() });
+            if (entity.versioned) existing.version += 1;
+            return;
+        }
+        insert(entity.table, {
+            ...values,
+            ...(entity.versioned && { version: 1 }),
+            ...(entity.softDelete && { deletedAt: null, deletedBy: null }),
+            updatedAt: new Date(),
+        });
+    };
+
+    // Replaces the rows of a child entity that belong to the parent `parentId`.
+    const replaceChildren = (entityName, parentId, records) => {
+        const { table, parent } = entities[entityName];
+        removeWhere(table, row => row[parent.foreignKey] === parentId);
+        for (const record of records || []) {
+            insert(table, { [parent.foreignKey]: parentId, ...toRow(entityName, record) });
+        }
+    };
+
+    const recordDeletions = (user, entityName, ids) => {
+        if (!TOMBSTONE_ENTITIES.includes(entityName)) return;
+        for (const id of ids.map(String)) {
+            const values = { deletedAt: new Date(), deletedBy: user?.id || null, cooperative_id: user?.cooperativeId || null };
+            const existing = find('deleted_records', row => row.entityType === entityName && row.entityId === id);
+            if (existing) Object.assign(existing, values);
+            else insert('deleted_records', { entityType: entityName, entityId: id, ...values });
+        }
+    };
+
+    const aggregateRepository = (entityName) => {
+        const entity = entities[entityName];
+        const rowsOf = (ids) => state[entity.table].filter(row => ids.includes(row[entity.key]));
+        return {
+            findTrashed: async (ids, cooperativeId) => rowsOf(ids)
+                .filter(row => row.cooperative_id === cooperativeId && row.deletedAt)
+                .map(row => row[entity.key]),
+            findForeign: async (ids, cooperativeId) => rowsOf(ids)
+                .filter(row => row.cooperative_id == null || row.cooperative_id !== cooperativeId)
+                .map(row => row[entity.key]),
+            findModifiedSince: async (ids, since) => rowsOf(ids)
+                .filter(row => row.updatedAt > parseDateTime(since))
+                .map(row => row[entity.key]),
+            moveToTrash: async (user, ids) => {
+                if (ids.length === 0) return;
+                for (const row of rowsOf(ids).filter(live)) {
+                    Object.assign(row, { deletedAt: new Date(), deletedBy: user.id, updatedAt: new Date() });
+                    if (entity.versioned) row.version += 1;
+                }
+                recordDeletions(user, entityName, ids);
+            },
+        };
+    };
+
+    const versionedRepository = (entityName) => {
+        const entity = entities[entityName];
+        return {
+            ...aggregateRepository(entityName),
+            // Transactions already run one at a time
+            lock: async () => {},
+            findVersion: async (id) => find(entity.table, row => row[entity.key] === id)?.version,
+        };
+    };
+
+    // What notificationService.changeNotifications reads.
+    const lookups = {
+        findThread: async (id) => {
+            const thread = find('discussion_threads', row => row.id === id && live(row));
+            return thread && pick(thread, ['id', 'title', 'authorId']);
+        },
+        findIndicator: async (id) => {
+            const indicator = find('indicators', row => row.id === id && live(row));
+            return indicator && pick(indicator, ['id', 'name', 'responsibleArea', 'cooperative_id']);
+        },
+        findRisk: async (id) => {
+            const risk = find('risks', row => row.id === id);
+            return risk && pick(risk, ['id', 'title']);
+        },
+        usersOfArea: async (cooperativeId, area, excludeUserId) => (area
+            ? state.users
+                .filter(user => live(user) && user.cooperative_id === cooperativeId && user.area === area && user.id !== excludeUserId)
+                .map(user => ({ id: user.id }))
+            : []),
+    };
+
+    // appDataService.loadAppData over the state, with the same options.
+    const load = async ({ since = null, year = null, principle = null, area = null, userId = null, cooperativeId = null } = {}) => {
+        const changedAfter = since ? new Date(parseDateTime(since).getTime() - SYNC_OVERLAP_SECONDS * 1000) : null;
+        const changed = (row) => !changedAfter || row.updatedAt > changedAfter;
+        const ofTenant = (row) => !cooperativeId || row.cooperative_id === cooperativeId;
+        const ofYear = (date) => !year || Boolean(date && date.getUTCFullYear() === Number(year));
+
+        const indicators = state.indicators.filter(row => ofTenant(row) && live(row) && changed(row)
+            && (!principle || row.principle === principle) && (!area || row.responsibleArea === area));
+        const meetings = state.meetings.filter(row => ofTenant(row) && live(row) && changed(row) && ofYear(row.date));
+        const threads = state.discussion_threads.filter(row => ofTenant(row) && live(row) && changed(row)
+            && (!principle || row.principleTag === principle));
+
+        const indicatorIds = new Set(indicators.map(row => row.id));
+        const meetingIds = new Set(meetings.map(row => row.id));
+        const threadIds = new Set(threads.map(row => row.id));
+        const ofIndicators = (table) => state[table].filter(row => indicatorIds.has(row.indicator_id));
+        const actionPlans = ofIndicators('action_plans');
+        const actionPlanIds = new Set(actionPlans.map(row => row.id));
+
+        return assembleAppData(copy({
+            users: state.users
+                .filter(row => ofTenant(row) && live(row) && changed(row))
+                .map(row => pick(row, ['id', 'name', 'role', 'area', 'readThreadIds'])),
+            strategicGoals: state.strategic_goals.filter(row => ofTenant(row) && changed(row)),
+            indicators,
+            meetings,
+            discussionThreads: threads,
+            notifications: state.notifications.filter(row => (!userId || row.userId === userId) && changed(row)),
+            principles: state.cooperative_principles.filter(changed).sort((a, b) => a.id - b.id),
+            historicalData: ofIndicators('historical_data'),
+            goals: ofIndicators('goals'),
+            observations: ofIndicators('observations'),
+            risks: ofIndicators('risks'),
+            actionPlans,
+            actionPlanUpdates: state.action_plan_updates.filter(row => actionPlanIds.has(row.action_plan_id)),
+            attachments: ofIndicators('attachments').map(row => pick(row, ['indicator_id', ...METADATA_COLUMNS])),
+            auditLogs: ofIndicators('audit_logs').filter(row => ofYear(row.timestamp)),
+            decisions: state.decisions.filter(row => meetingIds.has(row.meeting_id)),
+            threadReplies: state.thread_replies.filter(row => threadIds.has(row.thread_id)),
+        }));
+    };
+
+    const repositories = {
+        async transaction(work) {
+            const bound = { ...repositories, transaction: (inner) => inner(bound) };
+            const run = queue.then(async () => {
+                const snapshot = copy(state);
+                try {
+                    return await work(bound);
+                } catch (error) {
+                    state = snapshot;
+                    throw error;
+                }
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+
+        appData: {
+            load,
+            syncCursor: async () => `${new Date().toISOString().substring(0, 23).replace('T', ' ')}000`,
+            loadDeletions: async (since, cooperativeId) => {
+                const deletedAfter = new Date(parseDateTime(since).getTime() - SYNC_OVERLAP_SECONDS * 1000);
+                const deleted = Object.fromEntries(TOMBSTONE_ENTITIES.map(entityName => [entityName, []]));
+                state.deleted_records
+                    .filter(row => row.cooperative_id === cooperativeId && row.deletedAt > deletedAfter)
+                    .forEach(row => deleted[row.entityType]?.push(row.entityId));
+                return deleted;
+            },
+            recordDeletions: async (user, entityName, ids) => recordDeletions(user, entityName, ids),
+        },
+
+        users: {
+            ...aggregateRepository('users'),
+            findForLogin: async (name) => {
+                const user = find('users', row => row.name === name && live(row));
+                if (!user) return null;
+                const cooperative = find('cooperatives', row => row.id === user.cooperative_id);
+                return { ...copy(user), cooperativeName: cooperative ? cooperative.name : null };
+            },
+            list: async (cooperativeId) => copy(state.users
+                .filter(row => row.cooperative_id === cooperativeId && live(row))
+                .map(row => pick(row, ['id', 'name', 'role', 'area', 'readThreadIds']))),
+            findPassword: async (id) => find('users', row => row.id === id)?.password ?? null,
+            findByNames: async (names) => copy(state.users
+                .filter(row => names.some(name => sameName(row.name, name)))
+                .map(row => pick(row, ['id', 'name', 'cooperative_id']))),
+            save: async (user, password, cooperativeId) => {
+                const existing = find('users', row => row.id === user.id);
+                // As the UPDATE of the MySQL repository, which only matches users of the cooperative
+                if (existing && existing.cooperative_id !== cooperativeId) return;
+                if (find('users', row => row.id !== user.id && sameName(row.name, user.name))) {
+                    throw Object.assign(new Error(`Duplicate entry '${user.name}' for key 'uq_users_name'`), { code: 'ER_DUP_ENTRY' });
+                }
+                const values = { id: user.id, name: user.name, role: user.role, area: user.area ?? null, password, readThreadIds: copy(user.readThreadIds || []) };
+                if (!existing) {
+                    Object.assign(values, { failedLoginAttempts: 0, lockedUntil: null, passwordChangedAt: null });
+                }
+                upsert('users', { ...values, cooperative_id: cooperativeId });
+            },
+            registerFailedLogin: async (user) => {
+                const { attempts, lockedUntil, seconds } = passwordService.nextLockout(user);
+                Object.assign(find('users', row => row.id === user.id), {
+                    failedLoginAttempts: attempts,
+                    lockedUntil: lockedUntil && parseDateTime(lockedUntil),
+                });
+                return seconds;
+            },
+            clearFailedLogins: async (userId) => {
+                Object.assign(find('users', row => row.id === userId), { failedLoginAttempts: 0, lockedUntil: null });
+            },
+        },
+
+        sessions: {
+            create: async (user, client) => {
+                removeWhere('sessions', row => row.userId === user.id && row.expiresAt < new Date());
+                const { session, tokens } = sessionService.newSession(user, client);
+                insert('sessions', {
+                    ...session,
+                    expiresAt: parseDateTime(session.expiresAt),
+                    createdAt: new Date(),
+                    lastUsedAt: null,
+                    revokedAt: null,
+                    revokedReason: null,
+                });
+                return tokens;
+            },
+            isTokenCurrent: async (decoded) => {
+                if (!decoded.sid) return false;
+                const session = find('sessions', row => row.id === decoded.sid && row.userId === decoded.id);
+                const user = find('users', row => row.id === decoded.id && live(row));
+                return sessionService.matchesToken(session && user && {
+                    role: user.role,
+                    area: user.area,
+                    cooperative_id: user.cooperative_id,
+                    revokedAt: session.revokedAt,
+                }, decoded);
+            },
+            revokeForUser: async (userId, reason) => {
+                const open = state.sessions.filter(row => row.userId === userId && !row.revokedAt && row.expiresAt >= new Date());
+                open.forEach(row => Object.assign(row, { revokedAt: new Date(), revokedReason: reason }));
+                return open.length;
+            },
+        },
+
+        strategicGoals: {
+            ...aggregateRepository('strategicGoals'),
+            list: async (cooperativeId) => copy(state.strategic_goals.filter(row => row.cooperative_id === cooperativeId)),
+            replace: async (goals, cooperativeId) => {
+                removeWhere('strategic_goals', row => row.cooperative_id === cooperativeId);
+                for (const goal of goals) {
+                    insert('strategic_goals', { ...toRow('strategicGoals', goal), cooperative_id: cooperativeId, updatedAt: new Date() });
+                }
+            },
+        },
+
+        indicators: {
+            ...versionedRepository('indicators'),
+            save: async (indicator, cooperativeId) => {
+                upsert('indicators', {
+                    ...pick(indicator, ['id', 'principle', 'name', 'calculation', 'purpose', 'responsibleArea']),
+                    strategicGoalId: indicator.strategicGoalId || null,
+                    cooperative_id: cooperativeId,
+                });
+                replaceChildren('historicalData', indicator.id, indicator.historicalData);
+                replaceChildren('goals', indicator.id, indicator.goals);
+                replaceChildren('observations', indicator.id, indicator.observations);
+                replaceChildren('risks', indicator.id, indicator.risks);
+
+                const storedPlanIds = new Set(state.action_plans.filter(row => row.indicator_id === indicator.id).map(row => row.id));
+                removeWhere('action_plan_updates', row => storedPlanIds.has(row.action_plan_id));
+                replaceChildren('actionPlans', indicator.id, indicator.actionPlans);
+                for (const plan of indicator.actionPlans || []) {
+                    replaceChildren('actionPlanUpdates', plan.id, plan.updates);
+                }
+            },
+        },
+
+        meetings: {
+            ...versionedRepository('meetings'),
+            save: async (meeting, cooperativeId) => {
+                upsert('meetings', { ...toRow('meetings', meeting), cooperative_id: cooperativeId });
+                replaceChildren('decisions', meeting.id, meeting.decisions);
+            },
+        },
+
+        discussionThreads: {
+            ...versionedRepository('discussionThreads'),
+            save: async (thread, cooperativeId) => {
+                upsert('discussionThreads', { ...toRow('discussionThreads', thread), cooperative_id: cooperativeId });
+                replaceChildren('threadReplies', thread.id, thread.replies);
+            },
+        },
+
+        attachments: {
+            findIndicators: async (ids) => new Map(state.attachments
+                .filter(row => ids.includes(row.id))
+                .map(row => [row.id, row.indicator_id])),
+        },
+
+        trash: {
+            list: async (cooperativeId, entityNames = trashService.TRASH_ENTITIES) => {
+                const trash = {};
+                for (const entityName of entityNames) {
+                    trashService.assertTrashEntity(entityName);
+                    const entity = entities[entityName];
+                    trash[entityName] = copy(state[entity.table]
+                        .filter(row => row.cooperative_id === cooperativeId && row.deletedAt)
+                        .sort((a, b) => b.deletedAt - a.deletedAt)
+                        .map(row => ({
+                            ...pick(row, [entity.key, ...trashService.SUMMARY_COLUMNS[entityName], 'deletedAt', 'deletedBy']),
+                            deletedByName: find('users', user => user.id === row.deletedBy)?.name ?? null,
+                            purgeAt: new Date(row.deletedAt.getTime() + trashService.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+                        })));
+                }
+                return trash;
+            },
+            restore: async (user, entityName, id) => {
+                trashService.assertTrashEntity(entityName);
+                const entity = entities[entityName];
+                const row = find(entity.table, candidate => candidate[entity.key] === id && candidate.cooperative_id === user.cooperativeId);
+                if (!row || !row.deletedAt) {
+                    throw trashService.notInTrashError();
+                }
+                Object.assign(row, { deletedAt: null, deletedBy: null, updatedAt: new Date() });
+                if (entity.versioned) row.version += 1;
+                await repositories.auditLog.record(user, [{ entity: entityName, key: id, action: 'restore', fields: {} }]);
+                return (await load({ cooperativeId: user.cooperativeId }))[entityName].find(record => record[entity.key] === id);
+            },
+        },
+
+        auditLog: {
+            record: async (user, changes, root) => {
+                auditService.buildEntries(user, changes, root).forEach(entry => insert('audit_logs', { ...entry, timestamp: new Date() }));
+            },
+        },
+
+        riskHistory: {
+            record: async (user, changes, root) => {
+                riskService.buildStatusHistory(user, changes, root).forEach(row => insert('risk_status_history', { ...row, changedAt: new Date() }));
+            },
+        },
+
+        notifications: {
+            notifyChanges: async (user, changes, root) => {
+                const notifications = await notificationService.changeNotifications(lookups, user, changes, root);
+                const created = notificationService.newNotifications(notifications, state.notifications);
+                created.forEach(notification => insert('notifications', { ...copy(notification), updatedAt: new Date() }));
+                return created;
+            },
+        },
+    };
+
+    return repositories;
+};
+
+module.exports = { createMemoryRepositories };
@@ -0,0 +1,250 @@
+const entities = require('../models/entities');
+const { toMySQLDateTime } = require('../utils/dataUtils');
+const appDataService = require('../services/appDataService');
+const auditService = require('../services/auditService');
+const riskService = require('../services/riskService');
+const trashService = require('../services/trashService');
+const tenantService = require('../services/tenantService');
+const sessionService = require('../services/sessionService');
+const passwordService = require('../services/passwordService');
+const notificationService = require('../services/notificationService');
+
+// Repositories backed by MySQL (see ./index.js for the interface). `db` is the pool, or the
+// connection of an open transaction: repositories built on a connection run every query in it.
+
+// Operations every top-level aggregate shares: trash, cooperative and sync checks.
+const aggregateRepository = (db, entityName) => {
+    const entity = entities[entityName];
+    return {
+        findTrashed: (ids, cooperativeId) => trashService.findTrashed(db, entityName, ids, cooperativeId),
+        findForeign: (ids, cooperativeId) => tenantService.findForeign(db, cooperativeId, entityName, ids),
+        // Keys of the given records updated after the cursor `since`.
+        findModifiedSince: async (ids, since) => {
+            if (ids.length === 0) return [];
+            const [rows] = await db.query(`SELECT ${entity.key} FROM ${entity.table} WHERE ${entity.key} IN (?) AND updatedAt > ?`, [ids, since]);
+            return rows.map(row => row[entity.key]);
+        },
+        moveToTrash: (user, ids) => trashService.moveToTrash(db, user, entityName, ids),
+    };
+};
+
+// Operations of the versioned aggregates: locking and reading their version.
+const versionedRepository = (db, entityName) => {
+    const entity = entities[entityName];
+    return {
+        ...aggregateRepository(db, entityName),
+        // Locks the cooperative's records until the transaction ends, so concurrent saves are serialized.
+        lock: async (cooperativeId) => {
+            await db.query(`SELECT ${entity.key} FROM ${entity.table} WHERE cooperative_id = ? FOR UPDATE`, [cooperativeId]);
+        },
+        findVersion: async (id) => {
+            const [rows] = await db.query(`SELECT version FROM ${entity.table} WHERE ${entity.key} = ?`, [id]);
+            return rows[0]?.version;
+        },
+    };
+};
+
+const createMysqlRepositories = (db) => ({
+    // Runs `work` in a transaction, with repositories bound to its connection. Repositories
+    // already bound to one run `work` in it.
+    async transaction(work) {
+        if (!db.getConnection) return work(this);
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(createMysqlRepositories(connection));
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    },
+
+    appData: {
+        load: (options) => appDataService.loadAppData(db, options),
+        syncCursor: () => appDataService.getSyncCursor(db),
+        loadDeletions: (since, cooperativeId) => appDataService.loadDeletions(db, since, cooperativeId),
+        recordDeletions: (user, entityName, ids) => appDataService.recordDeletions(db, user, entityName, ids),
+    },
+
+    users: {
+        ...aggregateRepository(db, 'users'),
+        // The user who logs in with `name`, private columns included, with the name of their cooperative.
+        findForLogin: async (name) => {
+            const [rows] = await db.query(
+                `SELECT u.*, c.name AS cooperativeName FROM users u LEFT JOIN cooperatives c ON c.id = u.cooperative_id
+                 WHERE u.name = ? AND u.deletedAt IS NULL`,
+                [name]
+            );
+            return rows[0] || null;
+        },
+        list: async (cooperativeId) => {
+            const [rows] = await db.query('SELECT id, name, role, area, readThreadIds FROM users WHERE cooperative_id = ? AND deletedAt IS NULL', [cooperativeId]);
+            return rows;
+        },
+        // Stored password hash of a user, or null.
+        findPassword: async (id) => {
+            const [rows] = await db.query('SELECT password FROM users WHERE id = ?', [id]);
+            return rows.length ? rows[0].password : null;
+        },
+        // Users with any of `names`, of every cooperative and trashed ones included (names are unique).
+        findByNames: async (names) => {
+            if (names.length === 0) return [];
+            const [rows] = await db.query('SELECT id, name, cooperative_id FROM users WHERE name IN (?)', [names]);
+            return rows;
+        },
+        // Creates a user or updates one of the cooperative; `password` is the hash to store. A new
+        // user is a plain INSERT, so a name in use fails instead of overwriting its owner.
+        save: async (user, password, cooperativeId) => {
+            const values = [user.name, user.role, user.area, password, JSON.stringify(user.readThreadIds || [])];
+            const [existing] = await db.query('SELECT id FROM users WHERE id = ?', [user.id]);
+            if (existing.length === 0) {
+                await db.query(
+                    'INSERT INTO users (name, role, area, password, readThreadIds, id, cooperative_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                    [...values, user.id, cooperativeId]
+                );
+                return;
+            }
+            await db.query(
+                'UPDATE users SET name = ?, role = ?, area = ?, password = ?, readThreadIds = ? WHERE id = ? AND cooperative_id = ?',
+                [...values, user.id, cooperativeId]
+            );
+        },
+        registerFailedLogin: (user) => passwordService.registerFailedLogin(db, user),
+        clearFailedLogins: (userId) => passwordService.clearFailedLogins(db, userId),
+    },
+
+    sessions: {
+        create: (user, client) => sessionService.createSession(db, user, client),
+        isTokenCurrent: (decoded) => sessionService.isTokenCurrent(db, decoded),
+        revokeForUser: (userId, reason) => sessionService.revokeUserSessions(db, userId, reason),
+    },
+
+    strategicGoals: {
+        ...aggregateRepository(db, 'strategicGoals'),
+        list: async (cooperativeId) => {
+            const [rows] = await db.query('SELECT * FROM strategic_goals WHERE cooperative_id = ?', [cooperativeId]);
+            return rows;
+        },
+        // Replaces the cooperative's goals with `goals`.
+        replace: async (goals, cooperativeId) => {
+            await db.query('DELETE FROM strategic_goals WHERE cooperative_id = ?', [cooperativeId]);
+            if (goals.length === 0) return;
+            await db.query(
+                'INSERT INTO strategic_goals (id, title, description, targetDate, cooperative_id) VALUES ?',
+                [goals.map(goal => [goal.id, goal.title, goal.description, toMySQLDateTime(goal.targetDate, false), cooperativeId])]
+            );
+        },
+    },
+
+    indicators: {
+        ...versionedRepository(db, 'indicators'),
+        // Creates or updates an indicator (bumping its version) and replaces its children.
+        // Attachments and the audit log are left as they are.
+        save: async (indicator, cooperativeId) => {
+            await db.query(
+                `INSERT INTO indicators (id, principle, name, calculation, purpose, responsibleArea, strategicGoalId, cooperative_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE principle=VALUES(principle), name=VALUES(name), calculation=VALUES(calculation), purpose=VALUES(purpose), responsibleArea=VALUES(responsibleArea), strategicGoalId=VALUES(strategicGoalId), version=version + 1`,
+                [indicator.id, indicator.principle, indicator.name, indicator.calculation, indicator.purpose, indicator.responsibleArea, indicator.strategicGoalId || null, cooperativeId]
+            );
+
+            await db.query('DELETE FROM historical_data WHERE indicator_id = ?', [indicator.id]);
+            if (indicator.historicalData?.length) {
+                const values = indicator.historicalData.map(d => [indicator.id, d.year, d.value, d.formattedValue]);
+                await db.query('INSERT INTO historical_data (indicator_id, year, value, formattedValue) VALUES ?', [values]);
+            }
+
+            await db.query('DELETE FROM goals WHERE indicator_id = ?', [indicator.id]);
+            if (indicator.goals?.length) {
+                const values = indicator.goals.map(g => [indicator.id, g.year, g.target]);
+                await db.query('INSERT INTO goals (indicator_id, year, target) VALUES ?', [values]);
+            }
+
+            await db.query('DELETE FROM observations WHERE indicator_id = ?', [indicator.id]);
+            if (indicator.observations?.length) {
+                const values = indicator.observations.map(o => [indicator.id, o.id, o.author, o.role, toMySQLDateTime(o.date, true), o.text]);
+                await db.query('INSERT INTO observations (indicator_id, id, author, role, date, text) VALUES ?', [values]);
+            }
+
+            await db.query('DELETE FROM risks WHERE indicator_id = ?', [indicator.id]);
+            if (indicator.risks?.length) {
+                const values = indicator.risks.map(r => [indicator.id, r.id, r.title, r.description, r.impact, r.probability, r.riskScore, r.mitigationPlan, r.status, r.owner, toMySQLDateTime(r.createdDate, true)]);
+                await db.query('INSERT INTO risks (indicator_id, id, title, description, impact, probability, riskScore, mitigationPlan, status, owner, createdDate) VALUES ?', [values]);
+            }
+
+            await db.query('DELETE FROM action_plan_updates WHERE action_plan_id IN (SELECT id FROM action_plans WHERE indicator_id = ?)', [indicator.id]);
+            await db.query('DELETE FROM action_plans WHERE indicator_id = ?', [indicator.id]);
+            for (const plan of indicator.actionPlans || []) {
+                await db.query('INSERT INTO action_plans (id, indicator_id, title, description, owner, status, dueDate, createdDate) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                    [plan.id, indicator.id, plan.title, plan.description, plan.owner, plan.status, toMySQLDateTime(plan.dueDate, false), toMySQLDateTime(plan.createdDate, true)]);
+                if (plan.updates?.length) {
+                    const updateValues = plan.updates.map(u => [u.id, plan.id, toMySQLDateTime(u.date, true), u.author, u.text, u.statusChange, u.attachmentId]);
+                    await db.query('INSERT INTO action_plan_updates (id, action_plan_id, date, author, text, statusChange, attachmentId) VALUES ?', [updateValues]);
+                }
+            }
+        },
+    },
+
+    meetings: {
+        ...versionedRepository(db, 'meetings'),
+        // Creates or updates a meeting (bumping its version) and replaces its decisions.
+        save: async (meeting, cooperativeId) => {
+            await db.query(
+                `INSERT INTO meetings (id, date, attendees, agenda, minutes, cooperative_id) VALUES (?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE date=VALUES(date), attendees=VALUES(attendees), agenda=VALUES(agenda), minutes=VALUES(minutes), version=version + 1`,
+                [meeting.id, toMySQLDateTime(meeting.date, true), meeting.attendees, meeting.agenda, meeting.minutes, cooperativeId]);
+            await db.query('DELETE FROM decisions WHERE meeting_id = ?', [meeting.id]);
+            if (meeting.decisions?.length) {
+                const decisionValues = meeting.decisions.map(d => [d.id, meeting.id, d.text, d.responsibleUserId, toMySQLDateTime(d.dueDate, false), d.status]);
+                await db.query('INSERT INTO decisions (id, meeting_id, text, responsibleUserId, dueDate, status) VALUES ?', [decisionValues]);
+            }
+        },
+    },
+
+    discussionThreads: {
+        ...versionedRepository(db, 'discussionThreads'),
+        // Creates or updates a thread (bumping its version) and replaces its replies.
+        save: async (thread, cooperativeId) => {
+            await db.query(
+                `INSERT INTO discussion_threads (id, title, content, authorId, timestamp, principleTag, cooperative_id) VALUES (?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE title=VALUES(title), content=VALUES(content), authorId=VALUES(authorId), timestamp=VALUES(timestamp), principleTag=VALUES(principleTag), version=version + 1`,
+                [thread.id, thread.title, thread.content, thread.authorId, toMySQLDateTime(thread.timestamp, true), thread.principleTag, cooperativeId]);
+            await db.query('DELETE FROM thread_replies WHERE thread_id = ?', [thread.id]);
+            if (thread.replies?.length) {
+                const replyValues = thread.replies.map(r => [r.id, thread.id, r.authorId, toMySQLDateTime(r.timestamp, true), r.content]);
+                await db.query('INSERT INTO thread_replies (id, thread_id, authorId, timestamp, content) VALUES ?', [replyValues]);
+            }
+        },
+    },
+
+    attachments: {
+        // Indicator of each of the given attachments, by attachment id. Unknown ids are left out.
+        findIndicators: async (ids) => {
+            if (ids.length === 0) return new Map();
+            const [rows] = await db.query('SELECT id, indicator_id FROM attachments WHERE id IN (?)', [ids]);
+            return new Map(rows.map(row => [row.id, row.indicator_id]));
+        },
+    },
+
+    trash: {
+        list: (cooperativeId, entityNames) => trashService.listTrash(db, cooperativeId, entityNames),
+        restore: (user, entityName, id) => trashService.restore(db, user, entityName, id),
+    },
+
+    auditLog: {
+        record: (user, changes, root) => auditService.recordChanges(db, user, changes, root),
+    },
+
+    riskHistory: {
+        record: (user, changes, root) => riskService.recordStatusChanges(db, user, changes, root),
+    },
+
+    notifications: {
+        notifyChanges: (user, changes, root) => notificationService.notifyChanges(db, user, changes, root),
+    },
+});
+
+module.exports = { createMysqlRepositories };
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { buildResourceController } = require('../controllers/resourceController');
+const actionPlanController = require('../controllers/actionPlanController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const actionPlans = buildResourceController('actionPlans');
+const updates = buildResourceController('actionPlanUpdates');
+
+router.use(authMiddleware);
+
+// Planes de acción de todos los indicadores (vencidos, por responsable o indicador) y métricas por área
+router.get('/', actionPlanController.listActionPlans);
+router.get('/metrics', actionPlanController.getMetrics);
+
+// Los planes de acción se crean desde /api/indicators/:id/action-plans
+router.get('/:id', actionPlans.get);
+router.patch('/:id', actionPlans.update);
+router.delete('/:id', actionPlans.remove);
+
+// Avances de cada plan de acción: los que cambian su estado siguen el ciclo de vida del plan
+router.get('/:parentId/updates', updates.list);
+router.post('/:parentId/updates', updates.create);
+router.get('/:parentId/updates/:id', updates.get);
+router.patch('/:parentId/updates/:id', updates.update);
+router.delete('/:parentId/updates/:id', updates.remove);
+
+module.exports = router;
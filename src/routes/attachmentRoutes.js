@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const attachmentController = require('../controllers/attachmentController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// Los adjuntos se suben desde /api/indicators/:id/attachments
+router.get('/:id', attachmentController.downloadAttachment);
+router.delete('/:id', attachmentController.deleteAttachment);
+
+module.exports = router;
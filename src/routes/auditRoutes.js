@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// El registro de auditoría lo escribe únicamente el servidor; los clientes solo pueden consultarlo
+router.get('/', auditController.getAuditLog);
+
+module.exports = router;
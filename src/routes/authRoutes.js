@@ -2,12 +2,26 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
 
 // Ruta para iniciar sesión
 router.post('/login', authController.login);
 
-// Ruta para registrar un nuevo usuario (útil para la configuración inicial)
-// En un entorno real, esta ruta podría estar protegida para que solo administradores puedan crear usuarios.
-router.post('/register', authController.register);
+// Renovación del token de acceso y cierre de sesión, con el refresh token recibido al iniciar sesión
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
+
+// Cambio de contraseña por el propio usuario (también los de la federación) y restablecimiento
+// con un token emitido por un administrador
+router.post('/change-password', authMiddleware.allowFederation, authController.changePassword);
+router.post('/reset-password', authController.resetPassword);
+
+// Un administrador puede cerrar todas las sesiones abiertas de un usuario o emitirle un token de restablecimiento
+router.post('/users/:id/revoke-sessions', authMiddleware, authController.revokeUserSessions);
+router.post('/users/:id/reset-token', authMiddleware, authController.createResetToken);
+
+// Registro de usuarios: solo administradores, o con el BOOTSTRAP_TOKEN del entorno el primer
+// administrador de cada cooperativa y los usuarios de la federación
+router.post('/register', authController.authorizeRegistration, authController.register);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Suscripción desde Outlook, Google Calendar, etc.: las aplicaciones de calendario no envían el
+// JWT, así que el token va en la URL del calendario
+router.get('/feeds/:token.ics', calendarController.getFeed);
+
+// URL de suscripción del propio usuario, o de toda la cooperativa para los administradores
+router.post('/feed', authMiddleware, calendarController.createFeed);
+router.delete('/feed', authMiddleware, calendarController.revokeFeed);
+
+module.exports = router;
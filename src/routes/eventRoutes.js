@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('../controllers/eventController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Canal de cambios en tiempo real (Server-Sent Events). EventSource no puede enviar la cabecera
+// Authorization, por eso esta ruta también acepta el token como ?token=
+router.get('/', authMiddleware.allowQueryToken, eventController.stream);
+
+module.exports = router;
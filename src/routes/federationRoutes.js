@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const federationController = require('../controllers/federationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware.allowFederation);
+
+// Comparaciones entre cooperativas, de solo lectura, para los usuarios de la federación
+router.get('/cooperatives', federationController.listCooperatives);
+router.get('/indicators', federationController.compareIndicators);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { spreadsheetUpload } = require('../middleware/uploadMiddleware');
+
+router.use(authMiddleware);
+
+// Carga masiva de valores históricos y metas desde un CSV o XLSX (por defecto, solo vista previa)
+router.post('/indicator-results', spreadsheetUpload, importController.importIndicatorResults);
+
+module.exports = router;
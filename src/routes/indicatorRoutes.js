@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { buildResourceController } = require('../controllers/resourceController');
+const attachmentController = require('../controllers/attachmentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { attachmentUpload } = require('../middleware/uploadMiddleware');
+
+const indicators = buildResourceController('indicators');
+
+router.use(authMiddleware);
+
+// Rutas de los indicadores
+router.get('/', indicators.list);
+router.post('/', indicators.create);
+router.get('/:id', indicators.get);
+router.patch('/:id', indicators.update);
+router.delete('/:id', indicators.remove);
+
+// Colecciones hijas de cada indicador: /api/indicators/:parentId/<colección>/:id
+const childCollections = {
+    'historical-data': 'historicalData',
+    'goals': 'goals',
+    'observations': 'observations',
+    'risks': 'risks',
+    'action-plans': 'actionPlans',
+};
+
+for (const [path, entityName] of Object.entries(childCollections)) {
+    const controller = buildResourceController(entityName);
+    router.get(`/:parentId/${path}`, controller.list);
+    router.post(`/:parentId/${path}`, controller.create);
+    router.get(`/:parentId/${path}/:id`, controller.get);
+    router.patch(`/:parentId/${path}/:id`, controller.update);
+    router.delete(`/:parentId/${path}/:id`, controller.remove);
+}
+
+// Adjuntos: se suben como multipart y se descargan o eliminan desde /api/attachments/:id
+router.get('/:parentId/attachments', buildResourceController('attachments').list);
+router.post('/:parentId/attachments', attachmentController.authorizeUpload, attachmentUpload, attachmentController.uploadAttachment);
+
+// El historial de auditoría es de solo lectura
+router.get('/:parentId/audit-log', buildResourceController('auditLogs').list);
+
+module.exports = router;
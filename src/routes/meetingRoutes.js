@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { buildResourceController } = require('../controllers/resourceController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const meetings = buildResourceController('meetings');
+const decisions = buildResourceController('decisions');
+
+router.use(authMiddleware);
+
+// Rutas de las reuniones
+router.get('/', meetings.list);
+router.post('/', meetings.create);
+router.get('/:id', meetings.get);
+router.patch('/:id', meetings.update);
+router.delete('/:id', meetings.remove);
+
+// Decisiones tomadas en cada reunión
+router.get('/:parentId/decisions', decisions.list);
+router.post('/:parentId/decisions', decisions.create);
+router.get('/:parentId/decisions/:id', decisions.get);
+router.patch('/:parentId/decisions/:id', decisions.update);
+router.delete('/:parentId/decisions/:id', decisions.remove);
+
+module.exports = router;
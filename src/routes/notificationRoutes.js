@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// Las notificaciones las genera el servidor; cada usuario solo consulta y marca como leídas las suyas
+router.get('/', notificationController.listNotifications);
+router.post('/read-all', notificationController.markAllAsRead);
+router.patch('/:id/read', notificationController.markAsRead);
+
+module.exports = router;
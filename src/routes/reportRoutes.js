@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// Cumplimiento de metas y tendencia de los indicadores, con totales por objetivo estratégico y principio
+router.get('/performance', reportController.getPerformance);
+
+// Balance Social anual agrupado por principio cooperativo, en formato xlsx, csv o pdf
+router.get('/balance-social', reportController.exportBalanceSocial);
+
+module.exports = router;
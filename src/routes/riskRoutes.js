@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const riskController = require('../controllers/riskController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// Registro de riesgos de todos los indicadores, mapa de calor e historial de estados
+router.get('/', riskController.listRisks);
+router.get('/heat-map', riskController.getHeatMap);
+router.get('/:id/history', riskController.getStatusHistory);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// Búsqueda de texto en indicadores, observaciones, riesgos, avances, reuniones, decisiones e hilos
+router.get('/', searchController.search);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const { buildResourceController } = require('../controllers/resourceController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const threads = buildResourceController('discussionThreads');
+const replies = buildResourceController('threadReplies');
+
+router.use(authMiddleware);
+
+// Rutas de los hilos de discusión
+router.get('/', threads.list);
+router.post('/', threads.create);
+router.get('/:id', threads.get);
+router.patch('/:id', threads.update);
+router.delete('/:id', threads.remove);
+
+// Respuestas de cada hilo
+router.get('/:parentId/replies', replies.list);
+router.post('/:parentId/replies', replies.create);
+router.get('/:parentId/replies/:id', replies.get);
+router.patch('/:parentId/replies/:id', replies.update);
+router.delete('/:parentId/replies/:id', replies.remove);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.use(authMiddleware);
+
+// Papelera: indicadores, reuniones, hilos y usuarios eliminados, hasta que se restauran o se purgan
+router.get('/', trashController.listTrash);
+router.post('/:entity/:id/restore', trashController.restore);
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const { ACTION_PLAN_STATUSES, ACTION_PLAN_TRANSITIONS, CLOSED_PLAN_STATUSES } = require('../models/statuses');
+const { isAdmin } = require('../utils/permissions');
+
+// Action plan lifecycle. A plan's status changes through its updates (`statusChange`), one
+// allowed transition at a time (ACTION_PLAN_TRANSITIONS), and only the plan's owner or an
+// administrator can close it. Plans stored before the lifecycle existed without a status count
+// as pending; new plans may start in any status, but starting closed is closing them.
+
+const INITIAL_STATUS = ACTION_PLAN_STATUSES[0];
+
+const currentStatus = (plan) => (plan && plan.status) || INITIAL_STATUS;
+
+const allowedTransitions = (status) => ACTION_PLAN_TRANSITIONS[status] || ACTION_PLAN_STATUSES;
+
+// `owner` holds a user name (or id), as for the overdue reminders (notificationService.js).
+const canClose = (user, plan) => isAdmin(user) || plan.owner === user.name || plan.owner === user.id;
+
+const transitionError = (invalid) => ({
+    status: 409,
+    message: 'Algunos cambios de estado de los planes de acción no están permitidos.',
+    conflicts: invalid
+});
+
+const closeForbiddenError = (refused) => ({
+    status: 403,
+    message: 'Solo el responsable de un plan de acción o un administrador puede cerrarlo.',
+    refused
+});
+
+// Updates in `after` that are not in `before`, oldest first.
+const newUpdates = (before, after) => {
+    const storedIds = new Set((before?.updates || []).map(update => update.id));
+    return (after.updates || [])
+        .filter(update => !storedIds.has(update.id))
+        .sort((a, b) => String(a.date ?? '').localeCompare(String(b.date ?? '')));
+};
+
+// The incoming plan with the status its new updates leave it in: when an update changes the
+// status, the plan follows it whatever status the client sent for the plan itself.
+const applyStatusChanges = (before, after) => {
+    const changed = newUpdates(before, after).filter(update => update.statusChange);
+    return changed.length ? { ...after, status: changed[changed.length - 1].statusChange } : after;
+};
+
+// Checks the status changes between two versions of a plan (`before` is null for a new one).
+// Both may carry their `updates`. Returns `{ invalid, refused }`: transitions the lifecycle does
+// not allow, with the statuses that were allowed, and closings by someone other than the owner.
+const checkPlan = (user, before, after) => {
+    const invalid = [];
+    const refused = [];
+
+    // The status changes already recorded are history: they can't be rewritten
+    const storedUpdates = new Map((before?.updates || []).map(update => [update.id, update]));
+    for (const update of after.updates || []) {
+        const stored = storedUpdates.get(update.id);
+        if (stored && (stored.statusChange || null) !== (update.statusChange || null)) {
+            invalid.push({ entity: 'actionPlanUpdates', id: update.id, reason: 'statusChangeLocked', statusChange: stored.statusChange || null });
+        }
+    }
+
+    const steps = newUpdates(before, after).map(update => update.statusChange).filter(Boolean);
+    const finalStatus = after.status || (before ? currentStatus(before) : INITIAL_STATUS);
+    if (steps[steps.length - 1] !== finalStatus) steps.push(finalStatus);
+
+    // The owner who may close the plan is the stored one, so a plan can't be taken over and closed at once
+    const owner = before || after;
+    let status = before ? currentStatus(before) : null;
+    for (const next of steps) {
+        if (next === status) continue;
+        if (status !== null && !allowedTransitions(status).includes(next)) {
+            invalid.push({ entity: 'actionPlans', id: after.id, reason: 'invalidTransition', from: status, to: next, allowed: allowedTransitions(status) });
+        } else if (CLOSED_PLAN_STATUSES.includes(next) && !canClose(user, owner)) {
+            refused.push({ entity: 'actionPlans', id: after.id, reason: 'notPlanOwner', owner: owner.owner || null });
+        }
+        status = next;
+    }
+    return { invalid, refused };
+};
+
+// Checks the action plans of an indicator being saved (aggregate shapes, as loadAppData returns them).
+const checkIndicatorPlans = (user, storedIndicator, indicator) => {
+    const storedPlans = new Map((storedIndicator?.actionPlans || []).map(plan => [plan.id, plan]));
+    const result = { invalid: [], refused: [] };
+    for (const plan of indicator.actionPlans || []) {
+        const { invalid, refused } = checkPlan(user, storedPlans.get(plan.id) || null, plan);
+        result.invalid.push(...invalid);
+        result.refused.push(...refused);
+    }
+    return result;
+};
+
+// The incoming indicator with each plan's status following its new updates (see applyStatusChanges).
+const applyIndicatorStatusChanges = (storedIndicator, indicator) => {
+    const storedPlans = new Map((storedIndicator?.actionPlans || []).map(plan => [plan.id, plan]));
+    return {
+        ...indicator,
+        actionPlans: (indicator.actionPlans || []).map(plan => applyStatusChanges(storedPlans.get(plan.id) || null, plan)),
+    };
+};
+
+const assertChecked = ({ invalid, refused }) => {
+    if (refused.length) throw closeForbiddenError(refused);
+    if (invalid.length) throw transitionError(invalid);
+};
+
+// Checks a plan or plan update written through the REST resources (`existing` is null on create,
+// `record` is the row about to be written). A new update that changes the status moves its plan
+// to it; the audit changes of that move are returned so they are recorded with the update.
+const checkResourceWrite = async (db, user, entityName, existing, record) => {
+    if (entityName === 'actionPlans') {
+        assertChecked(checkPlan(user, existing, record));
+        return [];
+    }
+    if (entityName !== 'actionPlanUpdates') return [];
+
+    if (existing) {
+        assertChecked(checkPlan(user, { updates: [existing] }, { id: existing.action_plan_id, updates: [record] }));
+        return [];
+    }
+    const [[plan]] = await db.query('SELECT * FROM action_plans WHERE id = ? FOR UPDATE', [record.action_plan_id]);
+    if (!record.statusChange || record.statusChange === currentStatus(plan)) return [];
+    assertChecked(checkPlan(user, plan, { ...plan, status: record.statusChange, updates: [record] }));
+    await db.query('UPDATE action_plans SET status = ? WHERE id = ?', [record.statusChange, plan.id]);
+    return [{ entity: 'actionPlans', key: plan.id, action: 'update', fields: { status: { before: plan.status, after: record.statusChange } } }];
+};
+
+module.exports = {
+    transitionError,
+    applyIndicatorStatusChanges,
+    checkIndicatorPlans,
+    checkResourceWrite
+};
@@ -0,0 +1,79 @@
+const entities = require('../models/entities');
+const { tenantFilter } = require('./tenantService');
+
+// Generic reads and deletes over the entities declared in models/entities.js, shared by the REST
+// endpoints (controllers/resourceController.js) and the trash (trashService.js).
+
+// Finds a record by its key. When `parentId` is given the record must also belong to that parent,
+// and when `cooperativeId` is given, to that cooperative. Records in the trash are ignored unless
+// `includeDeleted` is set.
+const findRecord = async (db, entity, keyValue, parentId, { includeDeleted = false, cooperativeId } = {}) => {
+    let sql = `SELECT * FROM ${entity.table} WHERE ${entity.key} = ?`;
+    const params = [keyValue];
+    if (entity.parent && parentId !== undefined) {
+        sql += ` AND ${entity.parent.foreignKey} = ?`;
+        params.push(parentId);
+    }
+    if (entity.softDelete && !includeDeleted) {
+        sql += ' AND deletedAt IS NULL';
+    }
+    const tenant = cooperativeId !== undefined && tenantFilter(entity, cooperativeId);
+    if (tenant) {
+        sql += ` AND ${tenant.sql}`;
+        params.push(...tenant.params);
+    }
+    const [rows] = await db.query(sql, params);
+    return rows[0] || null;
+};
+
+const stripHidden = (entity, record) => {
+    for (const column of entity.hidden || []) {
+        delete record[column];
+    }
+    return record;
+};
+
+// Loads the nested collections declared for the entity, the same shape getAppData returns.
+const attachChildren = async (db, entity, record) => {
+    for (const child of entity.children || []) {
+        const childEntity = entities[child.entity];
+        const foreignKey = childEntity.parent.foreignKey;
+        const [rows] = await db.query(`SELECT * FROM ${childEntity.table} WHERE ${foreignKey} = ?`, [record[entity.key]]);
+        for (const row of rows) {
+            await attachChildren(db, childEntity, row);
+            delete row[foreignKey];
+            stripHidden(childEntity, row);
+        }
+        record[child.as] = rows;
+    }
+    return record;
+};
+
+// Deletes every nested collection of a record, deepest level first. Children marked
+// `keepOnDelete` (the audit log) outlive the record. Blob keys of deleted rows are collected
+// in `blobKeys` so the files can be removed once the transaction commits.
+const deleteChildren = async (db, entity, keyValue, blobKeys) => {
+    for (const child of entity.children || []) {
+        if (child.keepOnDelete) continue;
+        const childEntity = entities[child.entity];
+        const foreignKey = childEntity.parent.foreignKey;
+        if (childEntity.children) {
+            const [rows] = await db.query(`SELECT ${childEntity.key} FROM ${childEntity.table} WHERE ${foreignKey} = ?`, [keyValue]);
+            for (const row of rows) {
+                await deleteChildren(db, childEntity, row[childEntity.key], blobKeys);
+            }
+        }
+        if (childEntity.blobColumn) {
+            const [rows] = await db.query(`SELECT ${childEntity.blobColumn} FROM ${childEntity.table} WHERE ${foreignKey} = ? AND ${childEntity.blobColumn} IS NOT NULL`, [keyValue]);
+            blobKeys.push(...rows.map(row => row[childEntity.blobColumn]));
+        }
+        await db.query(`DELETE FROM ${childEntity.table} WHERE ${foreignKey} = ?`, [keyValue]);
+    }
+};
+
+module.exports = {
+    findRecord,
+    stripHidden,
+    attachChildren,
+    deleteChildren
+};
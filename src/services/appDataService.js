@@ -0,0 +1,215 @@
+const { groupChildrenBy } = require('../utils/dataUtils');
+const attachmentService = require('./attachmentService');
+
+// A record written by a transaction still open when a cursor is issued gets an `updatedAt` older
+// than the cursor once it commits. Delta reads look this many seconds further back to catch it;
+// records may then arrive twice, which clients handle by merging on the key.
+const SYNC_OVERLAP_SECONDS = Number(process.env.SYNC_OVERLAP_SECONDS) || 5;
+
+// Cursors are the `syncedAt` values returned by this API ("2026-10-19 12:00:00.123000");
+// ISO timestamps in UTC are accepted as well.
+const CURSOR_FORMAT = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+const ISO_FORMAT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?Z$/;
+
+// A cursor sent by a client, as the database compares it, or null when it is not one.
+const parseSyncCursor = (value) => {
+    const text = String(value ?? '');
+    if (CURSOR_FORMAT.test(text)) return text;
+    if (ISO_FORMAT.test(text)) return text.replace('T', ' ').replace('Z', '');
+    return null;
+};
+
+// Top-level entities whose deletions are recorded as tombstones.
+const TOMBSTONE_ENTITIES = ['users', 'strategicGoals', 'indicators', 'meetings', 'discussionThreads'];
+
+const condition = (sql, ...params) => ({ sql, params });
+
+// Joins the given conditions (falsy ones are skipped) into a WHERE clause and its parameters.
+const whereClause = (conditions) => {
+    const active = conditions.filter(Boolean);
+    return {
+        sql: active.length ? ` WHERE ${active.map(item => item.sql).join(' AND ')}` : '',
+        params: active.flatMap(item => item.params),
+    };
+};
+
+const select = (db, sql, conditions, orderBy = '') => {
+    const where = whereClause(conditions);
+    return db.query(sql + where.sql + orderBy, where.params);
+};
+
+// Restricts a child table to the children of the parents selected by `parentWhere`.
+const childOf = (foreignKey, parentTable, parentWhere) => (parentWhere.sql
+    ? condition(`${foreignKey} IN (SELECT id FROM ${parentTable}${parentWhere.sql})`, ...parentWhere.params)
+    : null);
+
+// Reads the tables and assembles the nested structure the frontend works with.
+// `db` can be the pool or a connection inside a transaction. Without options every record is read.
+//  - since:     cursor (`syncedAt`) of a previous load: only the records created or updated after
+//               it are read. Aggregates are returned whole, with all their children.
+//  - year:      audit log entries and meetings of that year only. Indicators keep every year of
+//               their series (historicalData, goals), as saving one writes its children whole.
+//  - principle: indicators of that principle and threads tagged with it.
+//  - area:      indicators of that responsible area.
+//  - userId:    notifications of that user only.
+//  - cooperativeId: records of that cooperative only (see tenantService.js). The principles are shared.
+const loadAppData = async (db, { since = null, year = null, principle = null, area = null, userId = null, cooperativeId = null } = {}) => {
+    const changed = since ? condition(`updatedAt > DATE_SUB(?, INTERVAL ${SYNC_OVERLAP_SECONDS} SECOND)`, since) : null;
+    // Records in the trash are left out (see trashService.js); incremental loads report them as deleted
+    const live = condition('deletedAt IS NULL');
+    const tenant = cooperativeId ? condition('cooperative_id = ?', cooperativeId) : null;
+    const ofYear = (column) => (year ? condition(`YEAR(${column}) = ?`, year) : null);
+
+    const indicatorWhere = whereClause([
+        tenant,
+        live,
+        changed,
+        principle && condition('principle = ?', principle),
+        area && condition('responsibleArea = ?', area),
+    ]);
+    const ofIndicators = childOf('indicator_id', 'indicators', indicatorWhere);
+    const meetingWhere = whereClause([tenant, live, changed, ofYear('date')]);
+    const threadWhere = whereClause([tenant, live, changed, principle && condition('principleTag = ?', principle)]);
+    const actionPlanWhere = whereClause([ofIndicators]);
+
+    const [
+        users, strategicGoals, indicators, meetings, discussionThreads, notifications, principles
+    ] = await Promise.all([
+        select(db, 'SELECT id, name, role, area, readThreadIds FROM users', [tenant, live, changed]),
+        select(db, 'SELECT * FROM strategic_goals', [tenant, changed]),
+        db.query(`SELECT * FROM indicators${indicatorWhere.sql}`, indicatorWhere.params),
+        db.query(`SELECT * FROM meetings${meetingWhere.sql}`, meetingWhere.params),
+        db.query(`SELECT * FROM discussion_threads${threadWhere.sql}`, threadWhere.params),
+        select(db, 'SELECT * FROM notifications', [userId && condition('userId = ?', userId), changed]),
+        select(db, 'SELECT * FROM cooperative_principles', [changed], ' ORDER BY id'),
+    ]);
+
+    const [
+        historicalData, goals, observations, risks, actionPlans, actionPlanUpdates, attachments, auditLogs, decisions, threadReplies
+    ] = await Promise.all([
+        select(db, 'SELECT * FROM historical_data', [ofIndicators]),
+        select(db, 'SELECT * FROM goals', [ofIndicators]),
+        select(db, 'SELECT * FROM observations', [ofIndicators]),
+        select(db, 'SELECT * FROM risks', [ofIndicators]),
+        select(db, 'SELECT * FROM action_plans', [ofIndicators]),
+        select(db, 'SELECT * FROM action_plan_updates', [childOf('action_plan_id', 'action_plans', actionPlanWhere)]),
+        select(db, `SELECT indicator_id, ${attachmentService.METADATA_COLUMNS.join(', ')} FROM attachments`, [ofIndicators]),
+        select(db, 'SELECT * FROM audit_logs', [condition('indicator_id IS NOT NULL'), ofIndicators, ofYear('timestamp')]),
+        select(db, 'SELECT * FROM decisions', [childOf('meeting_id', 'meetings', meetingWhere)]),
+        select(db, 'SELECT * FROM thread_replies', [childOf('thread_id', 'discussion_threads', threadWhere)]),
+    ]);
+
+    return assembleAppData({
+        users: users[0],
+        strategicGoals: strategicGoals[0],
+        indicators: indicators[0],
+        meetings: meetings[0],
+        discussionThreads: discussionThreads[0],
+        notifications: notifications[0],
+        principles: principles[0],
+        historicalData: historicalData[0],
+        goals: goals[0],
+        observations: observations[0],
+        risks: risks[0],
+        actionPlans: actionPlans[0],
+        actionPlanUpdates: actionPlanUpdates[0],
+        attachments: attachments[0],
+        auditLogs: auditLogs[0],
+        decisions: decisions[0],
+        threadReplies: threadReplies[0],
+    });
+};
+
+// Nests the rows read by loadAppData (one array per entity of models/entities.js, plus the
+// notifications and principles) into the structure it returns. Child rows lose their foreign key.
+const assembleAppData = (rows) => {
+    const historicalDataByIndicator = groupChildrenBy(rows.historicalData, 'indicator_id');
+    const goalsByIndicator = groupChildrenBy(rows.goals, 'indicator_id');
+    const observationsByIndicator = groupChildrenBy(rows.observations, 'indicator_id');
+    const risksByIndicator = groupChildrenBy(rows.risks, 'indicator_id');
+    const actionPlansByIndicator = groupChildrenBy(rows.actionPlans, 'indicator_id');
+    const attachmentsById = new Map(rows.attachments.map(attachment => [attachment.id, attachment]));
+    const updatesByActionPlan = groupChildrenBy(rows.actionPlanUpdates, 'action_plan_id');
+    const attachmentsByIndicator = groupChildrenBy(rows.attachments, 'indicator_id');
+    const auditLogsByIndicator = groupChildrenBy(rows.auditLogs, 'indicator_id');
+    const decisionsByMeeting = groupChildrenBy(rows.decisions, 'meeting_id');
+    const repliesByThread = groupChildrenBy(rows.threadReplies, 'thread_id');
+
+    const assembledIndicators = rows.indicators.map(indicator => {
+        const plans = actionPlansByIndicator[indicator.id] || [];
+        plans.forEach(plan => {
+            plan.updates = updatesByActionPlan[plan.id] || [];
+            plan.updates.forEach(update => {
+                update.attachment = attachmentsById.get(update.attachmentId) || null;
+            });
+        });
+
+        return {
+            ...indicator,
+            historicalData: historicalDataByIndicator[indicator.id] || [],
+            goals: goalsByIndicator[indicator.id] || [],
+            observations: observationsByIndicator[indicator.id] || [],
+            risks: risksByIndicator[indicator.id] || [],
+            actionPlans: plans,
+            attachments: attachmentsByIndicator[indicator.id] || [],
+            auditLog: auditLogsByIndicator[indicator.id] || [],
+        };
+    });
+
+    const assembledMeetings = rows.meetings.map(meeting => ({ ...meeting, decisions: decisionsByMeeting[meeting.id] || [] }));
+    const assembledThreads = rows.discussionThreads.map(thread => ({ ...thread, replies: repliesByThread[thread.id] || [] }));
+
+    return {
+        users: rows.users,
+        strategicGoals: rows.strategicGoals,
+        indicators: assembledIndicators,
+        meetings: assembledMeetings,
+        discussionThreads: assembledThreads,
+        notifications: rows.notifications,
+        principles: rows.principles,
+    };
+};
+
+// Current database time, returned to clients as `syncedAt`. It is read from MySQL (not from
+// Node) so it can be compared with the `updatedAt` columns the database maintains.
+const getSyncCursor = async (db) => {
+    const [rows] = await db.query("SELECT DATE_FORMAT(NOW(3), '%Y-%m-%d %H:%i:%s.%f') AS cursor");
+    return rows[0].cursor;
+};
+
+// Records that top-level records of the user's cooperative were deleted, so incremental loads can report them.
+const recordDeletions = async (db, user, entityName, ids) => {
+    if (!TOMBSTONE_ENTITIES.includes(entityName) || ids.length === 0) return;
+    await db.query(
+        `INSERT INTO deleted_records (entityType, entityId, deletedBy, cooperative_id) VALUES ?
+         ON DUPLICATE KEY UPDATE deletedAt = CURRENT_TIMESTAMP(3), deletedBy = VALUES(deletedBy), cooperative_id = VALUES(cooperative_id)`,
+        [ids.map(id => [entityName, String(id), user?.id || null, user?.cooperativeId || null])]
+    );
+};
+
+// Keys of the top-level records of a cooperative deleted after the cursor, as
+// `{ indicators: [id, ...], ... }`. A record deleted and created again shows up in both lists:
+// clients apply deletions first.
+const loadDeletions = async (db, since, cooperativeId) => {
+    const [rows] = await db.query(
+        `SELECT entityType, entityId FROM deleted_records
+         WHERE cooperative_id = ? AND deletedAt > DATE_SUB(?, INTERVAL ${SYNC_OVERLAP_SECONDS} SECOND)`,
+        [cooperativeId, since]
+    );
+    const deleted = Object.fromEntries(TOMBSTONE_ENTITIES.map(entityName => [entityName, []]));
+    for (const row of rows) {
+        deleted[row.entityType]?.push(row.entityId);
+    }
+    return deleted;
+};
+
+module.exports = {
+    SYNC_OVERLAP_SECONDS,
+    TOMBSTONE_ENTITIES,
+    loadAppData,
+    assembleAppData,
+    getSyncCursor,
+    parseSyncCursor,
+    recordDeletions,
+    loadDeletions
+};
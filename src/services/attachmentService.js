@@ -0,0 +1,41 @@
+const blobStore = require('../storage');
+
+// Columns returned to clients: attachment contents are only served by GET /api/attachments/:id.
+const METADATA_COLUMNS = ['id', 'fileName', 'fileType', 'fileSize', 'uploadedBy', 'uploadDate'];
+
+// Removes blobs whose rows were deleted. Called after the transaction commits, so a rollback
+// never leaves rows pointing to missing files; a failure only leaves an orphan file behind.
+const removeBlobs = async (storageKeys) => {
+    for (const key of storageKeys) {
+        try {
+            await blobStore.remove(key);
+        } catch (error) {
+            console.error(`No se pudo eliminar el archivo adjunto "${key}":`, error);
+        }
+    }
+};
+
+// Storage keys of the attachments of the given indicators, read before deleting them.
+const findStorageKeys = async (db, indicatorIds) => {
+    if (!indicatorIds.length) return [];
+    const [rows] = await db.query('SELECT storageKey FROM attachments WHERE indicator_id IN (?) AND storageKey IS NOT NULL', [indicatorIds]);
+    return rows.map(row => row.storageKey);
+};
+
+// Splits a legacy "data:<type>;base64,<payload>" URL into its content type and bytes.
+const decodeDataUrl = (dataUrl) => {
+    const match = /^data:([^;,]*)((?:;[^;,]*)*?)(;base64)?,(.*)$/s.exec(dataUrl);
+    if (!match) return null;
+    const payload = match[4];
+    return {
+        contentType: match[1] || 'application/octet-stream',
+        buffer: match[3] ? Buffer.from(payload, 'base64') : Buffer.from(decodeURIComponent(payload)),
+    };
+};
+
+module.exports = {
+    METADATA_COLUMNS,
+    decodeDataUrl,
+    removeBlobs,
+    findStorageKeys
+};
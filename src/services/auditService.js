@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const ACTION_LABELS = {
+    create: 'Creó',
+    update: 'Modificó',
+    delete: 'Eliminó',
+    restore: 'Restauró',
+    purge: 'Eliminó definitivamente',
+};
+
+// Short human-readable summary stored in `details`, e.g. "Modificó observations o-17 (text, date)".
+const describe = (change) => {
+    const fields = change.action === 'update' ? ` (${Object.keys(change.fields).join(', ')})` : '';
+    return `${ACTION_LABELS[change.action]} ${change.entity} ${change.key}${fields}`;
+};
+
+const COLUMNS = ['id', 'userId', 'user', 'action', 'entityType', 'entityId', 'rootType', 'rootId', 'indicator_id', 'details', 'changes', 'cooperative_id'];
+
+// One audit entry per change, as produced by utils/diff.js, with the columns of `audit_logs`
+// except the timestamp, which the store sets. Entries belong to the cooperative of `user` (none
+// for the system's own changes without one).
+//
+// `root` is the aggregate the changes belong to (`{ name, id }`, e.g. the indicator of an
+// observation). When omitted, each change is its own root.
+exports.buildEntries = (user, changes, root = null) => changes.map(change => {
+    const rootName = root ? root.name : change.entity;
+    const rootId = String(root ? root.id : change.key);
+    return {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        user: user.name,
+        action: change.action,
+        entityType: change.entity,
+        entityId: String(change.key),
+        rootType: rootName,
+        rootId,
+        indicator_id: rootName === 'indicators' ? rootId : null,
+        details: describe(change),
+        changes: JSON.stringify(change.fields),
+        cooperative_id: user.cooperativeId ?? null,
+    };
+});
+
+// Appends the audit entries of `changes` (see buildEntries). This is the only writer of
+// `audit_logs`: identity comes from the JWT, the timestamp from the database, and entries are
+// never updated or deleted afterwards.
+exports.recordChanges = async (db, user, changes, root = null) => {
+    if (!changes.length) return;
+    const entries = exports.buildEntries(user, changes, root);
+    await db.query(
+        `INSERT INTO audit_logs (${COLUMNS.join(', ')}) VALUES ?`,
+        [entries.map(entry => COLUMNS.map(column => entry[column]))]
+    );
+};
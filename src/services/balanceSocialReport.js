@@ -0,0 +1,75 @@
+const { indicatorYears, DEFAULT_ON_TRACK_THRESHOLD } = require('./performanceService');
+const { CLOSED_RISK_STATUSES, CLOSED_PLAN_STATUSES } = require('../models/statuses');
+
+const yearOf = (date) => (date ? new Date(date).getUTCFullYear() : null);
+
+const toDateString = (date) => (date ? new Date(date).toISOString().substring(0, 10) : null);
+
+// Builds the annual Balance Social report from the structure returned by loadAppData:
+// indicators grouped by cooperative principle, each with its results up to `year`, the
+// observations made that year, its open risks and the status of its action plans.
+const buildBalanceSocialReport = ({ indicators, strategicGoals }, year) => {
+    const reportYear = Number(year);
+    const goalTitles = new Map(strategicGoals.map(goal => [goal.id, goal.title]));
+    const today = toDateString(new Date());
+
+    const byPrinciple = new Map();
+    for (const indicator of indicators) {
+        const results = indicatorYears(indicator.historicalData, indicator.goals, DEFAULT_ON_TRACK_THRESHOLD)
+            .filter(entry => entry.year <= reportYear);
+
+        const entry = {
+            id: indicator.id,
+            name: indicator.name,
+            calculation: indicator.calculation,
+            purpose: indicator.purpose,
+            responsibleArea: indicator.responsibleArea,
+            strategicGoal: indicator.strategicGoalId ? goalTitles.get(indicator.strategicGoalId) ?? null : null,
+            current: results.find(result => result.year === reportYear) || null,
+            results,
+            observations: indicator.observations
+                .filter(observation => yearOf(observation.date) === reportYear)
+                .map(observation => ({
+                    date: toDateString(observation.date),
+                    author: observation.author,
+                    text: observation.text,
+                })),
+            openRisks: indicator.risks
+                .filter(risk => !CLOSED_RISK_STATUSES.includes(risk.status))
+                .map(risk => ({
+                    title: risk.title,
+                    riskScore: risk.riskScore,
+                    status: risk.status,
+                    owner: risk.owner,
+                    mitigationPlan: risk.mitigationPlan,
+                })),
+            actionPlans: indicator.actionPlans.map(plan => {
+                const dueDate = toDateString(plan.dueDate);
+                return {
+                    title: plan.title,
+                    owner: plan.owner,
+                    status: plan.status,
+                    dueDate,
+                    overdue: Boolean(dueDate && dueDate < today && !CLOSED_PLAN_STATUSES.includes(plan.status)),
+                };
+            }),
+        };
+
+        const principle = indicator.principle || 'Sin principio';
+        if (!byPrinciple.has(principle)) byPrinciple.set(principle, []);
+        byPrinciple.get(principle).push(entry);
+    }
+
+    return {
+        year: reportYear,
+        generatedAt: new Date().toISOString(),
+        principles: [...byPrinciple.entries()]
+            .sort(([a], [b]) => a.localeCompare(b, 'es'))
+            .map(([principle, principleIndicators]) => ({
+                principle,
+                indicators: principleIndicators.sort((a, b) => String(a.name).localeCompare(String(b.name), 'es')),
+            })),
+    };
+};
+
+module.exports = { buildBalanceSocialReport };
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { CLOSED_PLAN_STATUSES, CLOSED_DECISION_STATUSES } = require('../models/statuses');
+const { isAdmin } = require('../utils/permissions');
+
+// iCalendar (RFC 5545) feeds that Outlook, Google Calendar and other calendar apps subscribe to.
+// Each feed belongs to a user and is read with a secret token in its URL (only its hash is
+// stored); issuing a new one replaces the previous URL. Two scopes:
+//  - user:        the cooperative's meetings with their agenda, plus the open decisions the user
+//                 is responsible for and the open action plans they own (`owner` holds a user
+//                 name or id, as for the overdue reminders of notificationService.js).
+//  - cooperative: administrators only; the meetings and every open decision and action plan of the
+//                 cooperative. It stops working if the user is no longer an administrator.
+// Deadlines are all-day events on their due date. Events from CALENDAR_PAST_DAYS ago on are
+// included, so what just happened doesn't vanish at once. Records in the trash are left out,
+// and feeds of users in the trash stop working.
+
+const FEED_SCOPES = ['user', 'cooperative'];
+const CALENDAR_PAST_DAYS = Number(process.env.CALENDAR_PAST_DAYS) || 30;
+// Meetings only store when they start.
+const MEETING_DURATION_MINUTES = Number(process.env.CALENDAR_MEETING_MINUTES) || 60;
+// Suffix of the event UIDs, which calendar apps use to update events instead of duplicating them.
+const UID_DOMAIN = 'balance-social';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toDateString = (date) => date.toISOString().substring(0, 10);
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const shorten = (text, length = 80) => {
+    const value = String(text || '').trim().split('\n')[0];
+    return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+};
+
+// --- Feed tokens ---
+
+const assertScope = (scope) => {
+    if (!FEED_SCOPES.includes(scope)) {
+        throw { status: 400, message: `El calendario debe ser uno de: ${FEED_SCOPES.join(', ')}.` };
+    }
+};
+
+// Issues the token of a feed of `user`, replacing the previous one. Only its hash is stored: the
+// token is returned once.
+const issueFeedToken = async (db, user, scope) => {
+    assertScope(scope);
+    if (scope === 'cooperative' && !isAdmin(user)) {
+        throw { status: 403, message: 'Solo los administradores pueden suscribirse al calendario de toda la cooperativa.' };
+    }
+    const token = crypto.randomBytes(32).toString('base64url');
+    await db.query(
+        `INSERT INTO calendar_feeds (tokenHash, userId, scope) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE tokenHash = VALUES(tokenHash), createdAt = CURRENT_TIMESTAMP(3), lastUsedAt = NULL`,
+        [hashToken(token), user.id, scope]
+    );
+    return token;
+};
+
+// Returns whether the user had a feed of that scope.
+const revokeFeedToken = async (db, userId, scope) => {
+    assertScope(scope);
+    const [result] = await db.query('DELETE FROM calendar_feeds WHERE userId = ? AND scope = ?', [userId, scope]);
+    return result.affectedRows > 0;
+};
+
+// The feed a token opens, as `{ scope, user, cooperativeName }`, or null when the token is unknown
+// or its user can no longer read it.
+const findFeed = async (db, token) => {
+    if (!token) return null;
+    const tokenHash = hashToken(String(token));
+    const [rows] = await db.query(
+        `SELECT f.scope, u.id, u.name, u.role, u.area, u.cooperative_id, c.name AS cooperativeName
+         FROM calendar_feeds f
+         JOIN users u ON u.id = f.userId AND u.deletedAt IS NULL
+         JOIN cooperatives c ON c.id = u.cooperative_id
+         WHERE f.tokenHash = ?`,
+        [tokenHash]
+    );
+    const row = rows[0];
+    if (!row || (row.scope === 'cooperative' && !isAdmin(row))) return null;
+    await db.query('UPDATE calendar_feeds SET lastUsedAt = NOW(3) WHERE tokenHash = ?', [tokenHash]);
+    return {
+        scope: row.scope,
+        user: { id: row.id, name: row.name, role: row.role, area: row.area, cooperativeId: row.cooperative_id },
+        cooperativeName: row.cooperativeName,
+    };
+};
+
+// --- Events ---
+
+// Meetings, decisions and action plans of a feed (see findFeed), from CALENDAR_PAST_DAYS before `now`.
+// Stored times are UTC (see utils/dataUtils.js toMySQLDateTime), so they are read as text.
+const loadFeedRecords = async (db, feed, now = new Date()) => {
+    const { user, scope } = feed;
+    const from = toDateString(addMinutes(now, -CALENDAR_PAST_DAYS * 24 * 60));
+    const own = scope === 'user';
+
+    const [[meetings], [decisions], [actionPlans]] = await Promise.all([
+        db.query(
+            `SELECT id, DATE_FORMAT(date, '%Y-%m-%d %H:%i:%s') AS date, agenda, attendees
+             FROM meetings WHERE cooperative_id = ? AND deletedAt IS NULL AND date >= ? ORDER BY date`,
+            [user.cooperativeId, from]
+        ),
+        db.query(
+            `SELECT d.id, d.text, d.status, DATE_FORMAT(d.dueDate, '%Y-%m-%d') AS dueDate,
+                    DATE_FORMAT(m.date, '%d/%m/%Y') AS meetingDate, u.name AS responsibleName
+             FROM decisions d
+             JOIN meetings m ON m.id = d.meeting_id AND m.deletedAt IS NULL
+             LEFT JOIN users u ON u.id = d.responsibleUserId
+             WHERE m.cooperative_id = ? AND d.dueDate >= ? AND (d.status IS NULL OR d.status NOT IN (?))
+             ${own ? 'AND d.responsibleUserId = ?' : ''}
+             ORDER BY d.dueDate`,
+            [user.cooperativeId, from, CLOSED_DECISION_STATUSES, ...(own ? [user.id] : [])]
+        ),
+        db.query(
+            `SELECT p.id, p.title, p.description, p.owner, p.status, DATE_FORMAT(p.dueDate, '%Y-%m-%d') AS dueDate, i.name AS indicatorName
+             FROM action_plans p JOIN indicators i ON i.id = p.indicator_id AND i.deletedAt IS NULL
+             WHERE i.cooperative_id = ? AND p.dueDate >= ? AND (p.status IS NULL OR p.status NOT IN (?))
+             ${own ? 'AND p.owner IN (?)' : ''}
+             ORDER BY p.dueDate`,
+            [user.cooperativeId, from, CLOSED_PLAN_STATUSES, ...(own ? [[user.name, user.id]] : [])]
+        ),
+    ]);
+    return { meetings, decisions, actionPlans };
+};
+
+// --- iCalendar ---
+
+// TEXT values escape backslashes, separators and line breaks (RFC 5545, 3.3.11).
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded (RFC 5545, 3.1), never in the middle of a character.
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const bytes = Buffer.byteLength(char);
+        if (size + bytes > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+};
+
+// 20261019T143000Z
+const utcValue = (date) => date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+
+// 20261019, for all-day events
+const dateValue = (dateString) => dateString.replace(/-/g, '');
+
+const nextDay = (dateString) => toDateString(addMinutes(new Date(`${dateString}T00:00:00Z`), 24 * 60));
+
+const lines = (...values) => values.filter(Boolean).join('\n');
+
+const vevent = ({ uid, stamp, start, end, summary, description, transparent = false }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+    start,
+    end,
+    `SUMMARY:${escapeText(summary)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    transparent && 'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+].filter(Boolean);
+
+// All-day event on a due date; it doesn't make the user look busy.
+const deadline = (uid, stamp, dueDate, summary, description) => vevent({
+    uid,
+    stamp,
+    start: `DTSTART;VALUE=DATE:${dateValue(dueDate)}`,
+    end: `DTEND;VALUE=DATE:${dateValue(nextDay(dueDate))}`,
+    summary,
+    description,
+    transparent: true,
+});
+
+// The .ics document of a feed, with the records returned by loadFeedRecords.
+const renderCalendar = (feed, { meetings, decisions, actionPlans }, now = new Date()) => {
+    const stamp = utcValue(now);
+    const cooperativeFeed = feed.scope === 'cooperative';
+    const events = [
+        ...meetings.map(meeting => {
+            const start = new Date(`${meeting.date.replace(' ', 'T')}Z`);
+            return vevent({
+                uid: `meeting-${meeting.id}`,
+                stamp,
+                start: `DTSTART:${utcValue(start)}`,
+                end: `DTEND:${utcValue(addMinutes(start, MEETING_DURATION_MINUTES))}`,
+                summary: meeting.agenda ? `Reunión: ${shorten(meeting.agenda)}` : 'Reunión',
+                description: lines(
+                    meeting.agenda && `Orden del día:\n${meeting.agenda}`,
+                    meeting.attendees && `\nAsistentes: ${meeting.attendees}`
+                ),
+            });
+        }),
+        ...decisions.map(decision => deadline(
+            `decision-${decision.id}`,
+            stamp,
+            decision.dueDate,
+            `Vence decisión: ${shorten(decision.text)}`,
+            lines(
+                decision.text,
+                `\nDecisión de la reunión del ${decision.meetingDate}.`,
+                cooperativeFeed && `Responsable: ${decision.responsibleName || 'sin asignar'}`,
+                decision.status && `Estado: ${decision.status}`
+            )
+        )),
+        ...actionPlans.map(plan => deadline(
+            `action-plan-${plan.id}`,
+            stamp,
+            plan.dueDate,
+            `Vence plan de acción: ${shorten(plan.title)}`,
+            lines(
+                `Indicador: ${plan.indicatorName}`,
+                cooperativeFeed && `Responsable: ${plan.owner || 'sin asignar'}`,
+                plan.status && `Estado: ${plan.status}`,
+                plan.description && `\n${plan.description}`
+            )
+        )),
+    ];
+
+    const name = cooperativeFeed
+        ? `Balance Social - ${feed.cooperativeName}`
+        : `Balance Social - ${feed.user.name} (${feed.cooperativeName})`;
+    return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Balance Social Cooperativo//Calendario//ES',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        // How often apps that honor it should check for changes
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events.flat(),
+        'END:VCALENDAR',
+    ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    FEED_SCOPES,
+    issueFeedToken,
+    revokeFeedToken,
+    findFeed,
+    loadFeedRecords,
+    escapeText,
+    foldLine,
+    renderCalendar
+};
@@ -0,0 +1,319 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { toMySQLDateTime, normalizeNumber } = require('../utils/dataUtils');
+const { canEditIndicator } = require('../utils/permissions');
+const { diffCollection } = require('../utils/diff');
+const auditService = require('./auditService');
+const realtimeService = require('./realtimeService');
+
+// Bulk import of indicator results (historical values and targets) from a CSV or XLSX file.
+// Each row carries one indicator and year; the importer validates every row, reports the
+// errors per row and, once the file is clean, writes everything in a single transaction.
+
+// Fields that can be imported and the headers recognized for each one when no mapping is sent.
+// Headers are compared without case or accents.
+const FIELDS = {
+    indicatorId: { required: true, headers: ['indicatorid', 'indicator_id', 'id indicador', 'indicador', 'codigo'] },
+    year: { required: true, headers: ['year', 'ano', 'anio', 'periodo'] },
+    value: { headers: ['value', 'valor', 'resultado'] },
+    formattedValue: { headers: ['formattedvalue', 'valor formateado', 'valor con formato'] },
+    target: { headers: ['target', 'meta'] },
+};
+
+const MIN_YEAR = 1900;
+const MAX_YEAR = 2100;
+
+const normalizeHeader = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .toLowerCase();
+
+// ExcelJS returns formulas, rich text and hyperlinks as objects; the importer only needs their value.
+const cellValue = (value) => {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if ('result' in value) return cellValue(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return cellValue(value.text);
+    return null;
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Spanish locale spreadsheets export CSV with ';', so the delimiter is taken from the header line.
+const detectDelimiter = (buffer) => {
+    const firstLine = buffer.toString('utf8').split(/\r?\n/, 1)[0];
+    return (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+};
+
+// Reads the first worksheet of the file into `{ headers, rows, decimalSeparator }`, where each
+// row is `{ row, cells }` with `row` being the line number the user sees in the spreadsheet.
+// A ';'-separated CSV comes from a Spanish locale, where ',' is the decimal separator.
+const readSpreadsheet = async (buffer, fileName) => {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    let decimalSeparator = null;
+
+    try {
+        if (extension === '.xlsx') {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        } else if (extension === '.csv' || extension === '.txt') {
+            const delimiter = detectDelimiter(buffer);
+            decimalSeparator = delimiter === ';' ? ',' : null;
+            worksheet = await workbook.csv.read(Readable.from([buffer]), {
+                parserOptions: { delimiter, trim: true },
+                // Keep cells as text: numbers are normalized by the importer like saveAppData does
+                map: (value) => value,
+            });
+        } else {
+            throw { status: 415, message: 'El archivo debe ser CSV o XLSX.' };
+        }
+    } catch (error) {
+        if (error.status) throw error;
+        throw { status: 400, message: 'No se pudo leer el archivo. Verifique que sea un CSV o XLSX válido.' };
+    }
+
+    if (!worksheet || worksheet.rowCount === 0) {
+        throw { status: 400, message: 'El archivo está vacío.' };
+    }
+
+    const headerRow = worksheet.getRow(1);
+    const headers = [];
+    headerRow.eachCell((cell, columnNumber) => {
+        // The BOM Excel adds to UTF-8 CSV files ends up in the first header
+        headers[columnNumber] = String(cellValue(cell.value) ?? '').replace(/^\uFEFF/, '').trim();
+    });
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const cells = {};
+        row.eachCell((cell, columnNumber) => {
+            if (headers[columnNumber]) cells[headers[columnNumber]] = cellValue(cell.value);
+        });
+        if (Object.values(cells).some(value => !isBlank(value))) {
+            rows.push({ row: rowNumber, cells });
+        }
+    });
+
+    return { headers: headers.filter(Boolean), rows, decimalSeparator };
+};
+
+// Decides which spreadsheet column feeds each field. `mapping` (`{ field: header }`) takes
+// precedence; unmapped fields are matched by their usual header names.
+const resolveColumns = (headers, mapping = {}) => {
+    const unknownFields = Object.keys(mapping).filter(field => !FIELDS[field]);
+    if (unknownFields.length) {
+        throw { status: 400, message: `Campos de mapeo desconocidos: ${unknownFields.join(', ')}.`, fields: Object.keys(FIELDS) };
+    }
+
+    const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+    const columns = {};
+    const missing = [];
+
+    for (const [field, definition] of Object.entries(FIELDS)) {
+        if (mapping[field]) {
+            const header = byNormalized.get(normalizeHeader(mapping[field]));
+            if (!header) {
+                missing.push(mapping[field]);
+                continue;
+            }
+            columns[field] = header;
+            continue;
+        }
+        const header = definition.headers.map(name => byNormalized.get(name)).find(Boolean);
+        if (header) {
+            columns[field] = header;
+        } else if (definition.required) {
+            missing.push(field);
+        }
+    }
+
+    if (missing.length) {
+        throw { status: 400, message: `No se encontraron las columnas: ${missing.join(', ')}.`, headers };
+    }
+    if (!columns.value && !columns.target) {
+        throw { status: 400, message: 'El archivo debe tener al menos una columna de valor o de meta.', headers };
+    }
+    return columns;
+};
+
+// A year may come as a number, as text or as a date cell (Excel turns "2024-01-01" into a date).
+const parseYear = (value) => {
+    if (value instanceof Date) return Number(toMySQLDateTime(value.toISOString()).substring(0, 4));
+    const text = String(value).trim();
+    if (!/^\d{4}$/.test(text)) return NaN;
+    return Number(text);
+};
+
+// Validates every row against the stored indicators and the user's permissions.
+// Returns `{ rows, errors }`: the normalized rows that can be imported and one
+// `{ row, field, message }` entry per problem found.
+const validateRows = (rows, columns, { indicators, user, decimalSeparator = null }) => {
+    const indicatorsById = new Map(indicators.map(indicator => [String(indicator.id), indicator]));
+    const seen = new Map();
+    const validRows = [];
+    const errors = [];
+
+    for (const { row, cells } of rows) {
+        const rowErrors = [];
+        const fail = (field, message) => rowErrors.push({ row, field, message });
+        const read = (field) => (columns[field] ? cells[columns[field]] : null);
+
+        const indicatorId = isBlank(read('indicatorId')) ? null : String(read('indicatorId')).trim();
+        const indicator = indicatorId ? indicatorsById.get(indicatorId) : null;
+        if (!indicatorId) {
+            fail('indicatorId', 'Falta el indicador.');
+        } else if (!indicator) {
+            fail('indicatorId', `El indicador "${indicatorId}" no existe.`);
+        } else if (!canEditIndicator(user, indicator)) {
+            fail('indicatorId', `No tiene permiso para modificar indicadores del área "${indicator.responsibleArea}".`);
+        }
+
+        const year = isBlank(read('year')) ? null : parseYear(read('year'));
+        if (year === null) {
+            fail('year', 'Falta el año.');
+        } else if (!Number.isInteger(year) || year < MIN_YEAR || year > MAX_YEAR) {
+            fail('year', `El año "${read('year')}" no es válido.`);
+        }
+
+        const value = normalizeNumber(read('value'), decimalSeparator);
+        if (Number.isNaN(value)) fail('value', `El valor "${read('value')}" no es un número.`);
+        const target = normalizeNumber(read('target'), decimalSeparator);
+        if (Number.isNaN(target)) fail('target', `La meta "${read('target')}" no es un número.`);
+        const formattedValue = isBlank(read('formattedValue')) ? null : String(read('formattedValue')).trim();
+
+        if (value === null && target === null) {
+            fail(columns.value ? 'value' : 'target', 'La fila no tiene valor ni meta.');
+        }
+        if (formattedValue !== null && value === null) {
+            fail('value', 'Hay un valor formateado pero falta el valor.');
+        }
+
+        if (indicator && Number.isInteger(year)) {
+            const key = `${indicator.id}|${year}`;
+            if (seen.has(key)) {
+                fail('year', `El indicador y año ya aparecen en la fila ${seen.get(key)}.`);
+            } else {
+                seen.set(key, row);
+            }
+        }
+
+        if (rowErrors.length) {
+            errors.push(...rowErrors);
+        } else {
+            validRows.push({ row, indicatorId: indicator.id, year, value, formattedValue, target });
+        }
+    }
+
+    return { rows: validRows, errors };
+};
+
+// Merges imported rows into the stored rows of one collection, keyed by year.
+const mergeByYear = (storedRows, importedRows) => {
+    const byYear = new Map(storedRows.map(row => [Number(row.year), row]));
+    for (const row of importedRows) {
+        byYear.set(row.year, { ...byYear.get(row.year), ...row });
+    }
+    return [...byYear.values()];
+};
+
+// Writes validated rows inside the caller's transaction: for each indicator it upserts the
+// imported years in historical_data and goals, bumps the version and audits what changed.
+// Rows identical to what is stored are not written. The rows were validated before the
+// transaction, so their indicators are checked again once locked: one trashed, moved to another
+// area or deleted meanwhile aborts the import with a 409 listing the rows affected.
+// The real-time events of the indicators written are added to `events`, to be published once
+// the transaction commits.
+const applyImport = async (db, user, rows, events = []) => {
+    const indicatorIds = [...new Set(rows.map(row => row.indicatorId))];
+    if (indicatorIds.length === 0) {
+        return { indicatorsUpdated: 0, valuesWritten: 0, targetsWritten: 0 };
+    }
+
+    const [indicators] = await db.query(
+        'SELECT id, responsibleArea FROM indicators WHERE id IN (?) AND cooperative_id = ? AND deletedAt IS NULL FOR UPDATE',
+        [indicatorIds, user.cooperativeId]
+    );
+    const indicatorsById = new Map(indicators.map(indicator => [String(indicator.id), indicator]));
+    const errors = rows.flatMap(({ row, indicatorId }) => {
+        const indicator = indicatorsById.get(String(indicatorId));
+        if (!indicator) {
+            return [{ row, field: 'indicatorId', message: `El indicador "${indicatorId}" ya no existe.` }];
+        }
+        if (!canEditIndicator(user, indicator)) {
+            return [{ row, field: 'indicatorId', message: `No tiene permiso para modificar indicadores del área "${indicator.responsibleArea}".` }];
+        }
+        return [];
+    });
+    if (errors.length) {
+        throw { status: 409, message: 'Algunos indicadores cambiaron mientras se importaba el archivo. Revise la vista previa y vuelva a importarlo.', errors };
+    }
+    const [[historicalData], [goals]] = await Promise.all([
+        db.query('SELECT indicator_id, year, value, formattedValue FROM historical_data WHERE indicator_id IN (?)', [indicatorIds]),
+        db.query('SELECT indicator_id, year, target FROM goals WHERE indicator_id IN (?)', [indicatorIds]),
+    ]);
+
+    const result = { indicatorsUpdated: 0, valuesWritten: 0, targetsWritten: 0 };
+    for (const indicatorId of indicatorIds) {
+        const imported = rows.filter(row => row.indicatorId === indicatorId);
+        const storedValues = historicalData.filter(row => row.indicator_id === indicatorId);
+        const storedGoals = goals.filter(row => row.indicator_id === indicatorId);
+
+        const valueRows = imported
+            .filter(row => row.value !== null)
+            .map(row => {
+                const stored = storedValues.find(existing => Number(existing.year) === row.year);
+                // Without a formatted value, keep the stored one only if the value itself didn't change
+                const keepFormatted = stored && Number(stored.value) === row.value;
+                return {
+                    year: row.year,
+                    value: row.value,
+                    formattedValue: row.formattedValue ?? (keepFormatted ? stored.formattedValue : null),
+                };
+            });
+        const goalRows = imported
+            .filter(row => row.target !== null)
+            .map(row => ({ year: row.year, target: row.target }));
+
+        const changes = [
+            ...diffCollection('historicalData', storedValues, mergeByYear(storedValues, valueRows)),
+            ...diffCollection('goals', storedGoals, mergeByYear(storedGoals, goalRows)),
+        ];
+        if (changes.length === 0) continue;
+
+        const changedYears = (entity) => new Set(changes.filter(change => change.entity === entity).map(change => Number(change.key)));
+        const valuesToWrite = valueRows.filter(row => changedYears('historicalData').has(row.year));
+        const goalsToWrite = goalRows.filter(row => changedYears('goals').has(row.year));
+
+        for (const row of valuesToWrite) {
+            await db.query('DELETE FROM historical_data WHERE indicator_id = ? AND year = ?', [indicatorId, row.year]);
+            await db.query('INSERT INTO historical_data (indicator_id, year, value, formattedValue) VALUES (?, ?, ?, ?)',
+                [indicatorId, row.year, row.value, row.formattedValue]);
+        }
+        for (const row of goalsToWrite) {
+            await db.query('DELETE FROM goals WHERE indicator_id = ? AND year = ?', [indicatorId, row.year]);
+            await db.query('INSERT INTO goals (indicator_id, year, target) VALUES (?, ?, ?)', [indicatorId, row.year, row.target]);
+        }
+        await db.query('UPDATE indicators SET version = version + 1 WHERE id = ?', [indicatorId]);
+        await auditService.recordChanges(db, user, changes, { name: 'indicators', id: indicatorId });
+        events.push(await realtimeService.changeEvent(db, user, { name: 'indicators', id: indicatorId }, changes));
+
+        result.indicatorsUpdated += 1;
+        result.valuesWritten += valuesToWrite.length;
+        result.targetsWritten += goalsToWrite.length;
+    }
+    return result;
+};
+
+module.exports = {
+    FIELDS,
+    readSpreadsheet,
+    resolveColumns,
+    validateRows,
+    applyImport
+};
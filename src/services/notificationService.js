@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { CLOSED_PLAN_STATUSES, CLOSED_DECISION_STATUSES } = require('../models/statuses');
+
+// Notifications are generated by the server, from two sources:
+//  - writes (notifyChanges): a reply in a thread notifies the thread's author, and a risk that
+//    reaches HIGH_RISK_SCORE notifies the users of the indicator's area;
+//  - the scheduler (runScheduledChecks): decisions about to expire or expired, overdue action
+//    plans and indicators still without a value for the current year.
+// Every notification carries a `dedupeKey` naming its event, so the same event is notified once.
+// Recipients are always users of the cooperative the record belongs to.
+
+// Days before its due date a decision starts being reminded to its responsible user.
+const DECISION_REMINDER_DAYS = Number(process.env.NOTIFY_DECISION_DAYS_BEFORE) || 3;
+// Risk score (impact x probability) from which a risk is notified to the indicator's area.
+const HIGH_RISK_SCORE = Number(process.env.NOTIFY_HIGH_RISK_SCORE) || 15;
+// Month (1-12) from which indicators without a value for the current year are reminded.
+const MISSING_DATA_FROM_MONTH = Number(process.env.NOTIFY_MISSING_DATA_FROM_MONTH) || 10;
+
+const toDateString = (date) => date.toISOString().substring(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+
+const shorten = (text, length = 80) => {
+    const value = String(text || '').trim();
+    return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+};
+
+const eventKey = (notification) => `${notification.userId}|${notification.dedupeKey}`;
+
+// The notifications to create out of `notifications` (each one `{ userId, type, dedupeKey,
+// message, related... }`), as stored: those whose event is among the `existing` ones of the same
+// user (`{ userId, dedupeKey }`) are skipped.
+const newNotifications = (notifications, existing) => {
+    const seen = new Set(existing.map(eventKey));
+    const created = [];
+    for (const notification of notifications) {
+        if (seen.has(eventKey(notification))) continue;
+        seen.add(eventKey(notification));
+        created.push({
+            id: crypto.randomUUID(),
+            userId: notification.userId,
+            type: notification.type,
+            dedupeKey: notification.dedupeKey,
+            message: notification.message,
+            relatedIndicatorId: notification.relatedIndicatorId || null,
+            relatedMeetingId: notification.relatedMeetingId || null,
+            relatedThreadId: notification.relatedThreadId || null,
+            relatedActionPlanId: notification.relatedActionPlanId || null,
+            isRead: false,
+            timestamp: new Date(),
+        });
+    }
+    return created;
+};
+
+// Stores notifications, skipping those whose event was already notified to the same user.
+// Returns the notifications created, as stored, so they can be pushed to their recipients (see
+// realtimeService.js).
+const notify = async (db, notifications) => {
+    if (notifications.length === 0) return [];
+    const [existing] = await db.query(
+        'SELECT userId, dedupeKey FROM notifications WHERE (userId, dedupeKey) IN (?)',
+        [notifications.map(notification => [notification.userId, notification.dedupeKey])]
+    );
+    const created = newNotifications(notifications, existing);
+    if (created.length === 0) return [];
+
+    const columns = ['id', 'userId', 'type', 'dedupeKey', 'message', 'relatedIndicatorId', 'relatedMeetingId', 'relatedThreadId', 'relatedActionPlanId'];
+    // A concurrent run may have stored the same event meanwhile: the unique key keeps it once
+    await db.query(
+        `INSERT INTO notifications (${columns.join(', ')}) VALUES ? ON DUPLICATE KEY UPDATE id = id`,
+        [created.map(notification => columns.map(column => notification[column]))]
+    );
+    return created;
+};
+
+const usersOfArea = async (db, cooperativeId, area, excludeUserId) => {
+    if (!area) return [];
+    const [users] = await db.query(
+        'SELECT id FROM users WHERE cooperative_id = ? AND area = ? AND id <> ? AND deletedAt IS NULL',
+        [cooperativeId, area, excludeUserId || '']
+    );
+    return users;
+};
+
+// --- Triggered by writes ---
+
+// What the write-triggered rules read, from MySQL (repositories/memoryRepositories.js provides
+// the same lookups over its own state).
+const sqlLookups = (db) => ({
+    findThread: async (id) => (await db.query('SELECT id, title, authorId FROM discussion_threads WHERE id = ? AND deletedAt IS NULL', [id]))[0][0],
+    findIndicator: async (id) => (await db.query('SELECT id, name, responsibleArea, cooperative_id FROM indicators WHERE id = ? AND deletedAt IS NULL', [id]))[0][0],
+    findRisk: async (id) => (await db.query('SELECT id, title FROM risks WHERE id = ?', [id]))[0][0],
+    usersOfArea: (cooperativeId, area, excludeUserId) => usersOfArea(db, cooperativeId, area, excludeUserId),
+});
+
+// Notifications caused by a write, not stored yet. `changes` and `root` are the ones the write
+// recorded with auditService.recordChanges; `user` made the write and is never notified of it.
+const changeNotifications = async (lookups, user, changes, root) => {
+    const notifications = [];
+
+    for (const change of changes) {
+        if (change.entity === 'threadReplies' && change.action === 'create' && root) {
+            const thread = await lookups.findThread(root.id);
+            const replyAuthorId = change.fields.authorId?.after ?? user.id;
+            if (thread && thread.authorId && thread.authorId !== replyAuthorId && thread.authorId !== user.id) {
+                notifications.push({
+                    userId: thread.authorId,
+                    type: 'threadReply',
+                    dedupeKey: `threadReply:${change.key}`,
+                    message: `${user.name} respondió en el hilo "${shorten(thread.title)}".`,
+                    relatedThreadId: thread.id,
+                });
+            }
+        }
+
+        if (change.entity === 'risks' && change.action !== 'delete' && change.fields.riskScore && root) {
+            const { before, after } = change.fields.riskScore;
+            // Only when the risk reaches the threshold, not on every later edit
+            if (!(Number(after) >= HIGH_RISK_SCORE) || Number(before) >= HIGH_RISK_SCORE) continue;
+
+            const indicator = await lookups.findIndicator(root.id);
+            if (!indicator) continue;
+            const risk = await lookups.findRisk(change.key);
+            for (const recipient of await lookups.usersOfArea(indicator.cooperative_id, indicator.responsibleArea, user.id)) {
+                notifications.push({
+                    userId: recipient.id,
+                    type: 'highRisk',
+                    dedupeKey: `highRisk:${change.key}`,
+                    message: `Nuevo riesgo alto (puntaje ${after}) en "${shorten(indicator.name)}": ${shorten(risk?.title)}.`,
+                    relatedIndicatorId: indicator.id,
+                });
+            }
+        }
+    }
+
+    return notifications;
+};
+
+// Stores the notifications caused by a write (see changeNotifications); returns those created.
+const notifyChanges = async (db, user, changes, root) => notify(db, await changeNotifications(sqlLookups(db), user, changes, root));
+
+// --- Scheduled ---
+
+const decisionReminders = async (db, today) => {
+    const [decisions] = await db.query(
+        `SELECT d.id, d.text, d.meeting_id, d.responsibleUserId, DATE_FORMAT(d.dueDate, '%Y-%m-%d') AS dueDate
+         FROM decisions d
+         JOIN meetings m ON m.id = d.meeting_id AND m.deletedAt IS NULL
+         JOIN users u ON u.id = d.responsibleUserId AND u.cooperative_id = m.cooperative_id AND u.deletedAt IS NULL
+         WHERE d.dueDate IS NOT NULL AND d.dueDate <= ? AND (d.status IS NULL OR d.status NOT IN (?))`,
+        [toDateString(addDays(new Date(`${today}T00:00:00Z`), DECISION_REMINDER_DAYS)), CLOSED_DECISION_STATUSES]
+    );
+    return decisions.map(decision => {
+        const overdue = decision.dueDate < today;
+        return {
+            userId: decision.responsibleUserId,
+            type: overdue ? 'decisionOverdue' : 'decisionDue',
+            dedupeKey: `${overdue ? 'decisionOverdue' : 'decisionDue'}:${decision.id}:${decision.dueDate}`,
+            message: overdue
+                ? `La decisión "${shorten(decision.text)}" venció el ${decision.dueDate}.`
+                : `La decisión "${shorten(decision.text)}" vence el ${decision.dueDate}.`,
+            relatedMeetingId: decision.meeting_id,
+        };
+    });
+};
+
+// Action plans past their due date and still open. `owner` holds a user name (or id); plans
+// whose owner is not a user are notified to the users of the indicator's area.
+const overdueActionPlans = async (db, today) => {
+    const [plans] = await db.query(
+        `SELECT p.id, p.title, p.owner, p.indicator_id, DATE_FORMAT(p.dueDate, '%Y-%m-%d') AS dueDate, i.responsibleArea, i.cooperative_id
+         FROM action_plans p JOIN indicators i ON i.id = p.indicator_id AND i.deletedAt IS NULL
+         WHERE p.dueDate < ? AND (p.status IS NULL OR p.status NOT IN (?))`,
+        [today, CLOSED_PLAN_STATUSES]
+    );
+    if (plans.length === 0) return [];
+
+    const [allUsers] = await db.query('SELECT id, name, area, cooperative_id FROM users WHERE deletedAt IS NULL');
+    return plans.flatMap(plan => {
+        const users = allUsers.filter(user => user.cooperative_id === plan.cooperative_id);
+        const owner = users.find(user => user.id === plan.owner || user.name === plan.owner);
+        const recipients = owner ? [owner] : users.filter(user => user.area && user.area === plan.responsibleArea);
+        return recipients.map(recipient => ({
+            userId: recipient.id,
+            type: 'actionPlanOverdue',
+            dedupeKey: `actionPlanOverdue:${plan.id}:${plan.dueDate}`,
+            message: `El plan de acción "${shorten(plan.title)}" está vencido desde el ${plan.dueDate}.`,
+            relatedIndicatorId: plan.indicator_id,
+            relatedActionPlanId: plan.id,
+        }));
+    });
+};
+
+const missingCurrentYearData = async (db, now) => {
+    if (now.getUTCMonth() + 1 < MISSING_DATA_FROM_MONTH) return [];
+    const year = now.getUTCFullYear();
+    const [indicators] = await db.query(
+        `SELECT i.id, i.name, i.responsibleArea, i.cooperative_id FROM indicators i
+         WHERE i.deletedAt IS NULL AND NOT EXISTS (SELECT 1 FROM historical_data h WHERE h.indicator_id = i.id AND h.year = ? AND h.value IS NOT NULL)`,
+        [year]
+    );
+    if (indicators.length === 0) return [];
+
+    const [users] = await db.query('SELECT id, area, cooperative_id FROM users WHERE area IS NOT NULL AND deletedAt IS NULL');
+    return indicators.flatMap(indicator => users
+        .filter(user => user.cooperative_id === indicator.cooperative_id && user.area === indicator.responsibleArea)
+        .map(user => ({
+            userId: user.id,
+            type: 'missingData',
+            dedupeKey: `missingData:${indicator.id}:${year}`,
+            message: `Falta cargar el valor ${year} del indicador "${shorten(indicator.name)}".`,
+            relatedIndicatorId: indicator.id,
+        })));
+};
+
+// Runs the date-based triggers; returns the notifications created.
+const runScheduledChecks = async (db, now = new Date()) => {
+    const today = toDateString(now);
+    const notifications = [
+        ...await decisionReminders(db, today),
+        ...await overdueActionPlans(db, today),
+        ...await missingCurrentYearData(db, now),
+    ];
+    return notify(db, notifications);
+};
+
+module.exports = {
+    HIGH_RISK_SCORE,
+    newNotifications,
+    notify,
+    changeNotifications,
+    notifyChanges,
+    runScheduledChecks
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { toMySQLDateTime } = require('../utils/dataUtils');
+
+// Password hashing, the password policy, the login lockout and admin-issued reset tokens.
+
+const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH) || 10;
+// Failed logins allowed before the account is locked; each further failure doubles the lock.
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const PASSWORD_RESET_TTL_HOURS = Number(process.env.PASSWORD_RESET_TTL_HOURS) || 24;
+
+const isHashed = (password) => /^\$2[aby]\$\d{2}\$/.test(password || '');
+
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+// Plain-text passwords are never accepted: they must be hashed with `npm run migrate:passwords`.
+const verifyPassword = async (password, stored) => (isHashed(stored) ? bcrypt.compare(password, stored) : false);
+
+// Returns the rules `password` breaks (empty when it is acceptable). `user` is the account
+// it is meant for, so the password can't simply repeat the user name.
+const passwordProblems = (password, user = {}) => {
+    const problems = [];
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`Debe tener al menos ${PASSWORD_MIN_LENGTH} caracteres.`);
+    }
+    if (!/\p{L}/u.test(password || '') || !/\d/.test(password || '')) {
+        problems.push('Debe combinar letras y números.');
+    }
+    if (user.name && String(password).toLowerCase().includes(String(user.name).toLowerCase())) {
+        problems.push('No puede contener el nombre de usuario.');
+    }
+    return problems;
+};
+
+const assertPasswordPolicy = (password, user) => {
+    const problems = passwordProblems(password, user);
+    if (problems.length) {
+        throw { status: 400, message: 'La contraseña no cumple la política de seguridad.', problems };
+    }
+};
+
+// --- Lockout ---
+
+// Minutes the account stays locked after `attempts` consecutive failures (0 while under the limit).
+const lockoutMinutes = (attempts) => (attempts < LOGIN_MAX_ATTEMPTS
+    ? 0
+    : Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** (attempts - LOGIN_MAX_ATTEMPTS), MAX_LOCKOUT_MINUTES));
+
+// Seconds left until a locked account can try again, or 0 when it isn't locked.
+const secondsLocked = (user) => {
+    if (!user.lockedUntil) return 0;
+    return Math.max(0, Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000));
+};
+
+// The lockout of `user` after one more failed login: `{ attempts, lockedUntil, seconds }`.
+const nextLockout = (user) => {
+    const attempts = (user.failedLoginAttempts || 0) + 1;
+    const minutes = lockoutMinutes(attempts);
+    const lockedUntil = minutes ? toMySQLDateTime(new Date(Date.now() + minutes * 60 * 1000).toISOString(), true) : null;
+    return { attempts, lockedUntil, seconds: minutes * 60 };
+};
+
+// Records a failed login; returns the seconds the account is now locked for (0 when it isn't).
+const registerFailedLogin = async (db, user) => {
+    const { attempts, lockedUntil, seconds } = nextLockout(user);
+    await db.query('UPDATE users SET failedLoginAttempts = ?, lockedUntil = ? WHERE id = ?', [attempts, lockedUntil, user.id]);
+    return seconds;
+};
+
+const clearFailedLogins = async (db, userId) => {
+    await db.query('UPDATE users SET failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ? AND (failedLoginAttempts > 0 OR lockedUntil IS NOT NULL)', [userId]);
+};
+
+// Stores a new password (already checked against the policy) and lifts any lockout.
+const setPassword = async (db, userId, password) => {
+    await db.query(
+        'UPDATE users SET password = ?, passwordChangedAt = NOW(3), failedLoginAttempts = 0, lockedUntil = NULL WHERE id = ?',
+        [await hashPassword(password), userId]
+    );
+};
+
+// --- Reset tokens ---
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a one-time reset token for `userId`, replacing any pending one. Only its hash is stored;
+// the token itself is returned once, for the administrator to hand to the user.
+const createResetToken = async (db, userId, createdBy) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_HOURS * 60 * 60 * 1000);
+    await db.query('DELETE FROM password_reset_tokens WHERE userId = ? AND usedAt IS NULL', [userId]);
+    await db.query('INSERT INTO password_reset_tokens SET ?', {
+        tokenHash: hashToken(token),
+        userId,
+        createdBy,
+        expiresAt: toMySQLDateTime(expiresAt.toISOString(), true),
+    });
+    return { token, expiresAt: expiresAt.toISOString() };
+};
+
+// Marks a reset token as used and returns the user it belongs to, or null when it is unknown,
+// expired or already used. Must run inside the transaction that sets the new password.
+const consumeResetToken = async (db, token) => {
+    if (!token) return null;
+    const tokenHash = hashToken(String(token));
+    const [rows] = await db.query(
+        `SELECT t.userId, u.name, u.cooperative_id FROM password_reset_tokens t JOIN users u ON u.id = t.userId AND u.deletedAt IS NULL
+         WHERE t.tokenHash = ? AND t.usedAt IS NULL AND t.expiresAt > NOW(3) FOR UPDATE`,
+        [tokenHash]
+    );
+    if (rows.length === 0) return null;
+    await db.query('UPDATE password_reset_tokens SET usedAt = NOW(3) WHERE tokenHash = ?', [tokenHash]);
+    return { id: rows[0].userId, name: rows[0].name, cooperativeId: rows[0].cooperative_id };
+};
+
+module.exports = {
+    PASSWORD_MIN_LENGTH,
+    isHashed,
+    hashPassword,
+    verifyPassword,
+    passwordProblems,
+    assertPasswordPolicy,
+    secondsLocked,
+    nextLockout,
+    registerFailedLogin,
+    clearFailedLogins,
+    setPassword,
+    createResetToken,
+    consumeResetToken
+};
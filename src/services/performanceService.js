@@ -0,0 +1,151 @@
+// Goal attainment analytics for the Balance Social dashboard. Pure functions: the controller
+// loads the rows, this module compares historical values with goals and rolls them up.
+
+const DEFAULT_ON_TRACK_THRESHOLD = Number(process.env.PERFORMANCE_ON_TRACK_THRESHOLD) || 100;
+
+const round = (value, decimals = 2) => (value === null ? null : Number(value.toFixed(decimals)));
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const trendOf = (change) => {
+    if (change === null) return null;
+    if (change > 0) return 'up';
+    if (change < 0) return 'down';
+    return 'flat';
+};
+
+// Status of one indicator in one year: 'onTrack' when the value reaches `threshold` percent of
+// the target, 'offTrack' when it doesn't, 'noTarget' / 'noData' when there is nothing to compare.
+const statusOf = (value, target, percentOfTarget, threshold) => {
+    if (value === null) return 'noData';
+    if (target === null || percentOfTarget === null) return 'noTarget';
+    return percentOfTarget >= threshold ? 'onTrack' : 'offTrack';
+};
+
+// Year-by-year performance of one indicator. `historicalData` and `goals` are the rows of
+// those tables (year/value/formattedValue and year/target).
+const indicatorYears = (historicalData, goals, threshold) => {
+    const valuesByYear = new Map(historicalData.map(row => [Number(row.year), row]));
+    const targetsByYear = new Map(goals.map(row => [Number(row.year), toNumber(row.target)]));
+    const years = [...new Set([...valuesByYear.keys(), ...targetsByYear.keys()])].sort((a, b) => a - b);
+
+    let previousValue = null;
+    return years.map(year => {
+        const value = toNumber(valuesByYear.get(year)?.value);
+        const target = targetsByYear.has(year) ? targetsByYear.get(year) : null;
+        const percentOfTarget = value !== null && target ? round(value / target * 100) : null;
+        const yoyChange = value !== null && previousValue ? round((value - previousValue) / Math.abs(previousValue) * 100) : null;
+        if (value !== null) previousValue = value;
+
+        return {
+            year,
+            value,
+            formattedValue: valuesByYear.get(year)?.formattedValue ?? null,
+            target,
+            percentOfTarget,
+            yoyChange,
+            trend: trendOf(yoyChange),
+            status: statusOf(value, target, percentOfTarget, threshold),
+        };
+    });
+};
+
+// Aggregates the performance of several indicators in the same year.
+const rollUp = (entries) => {
+    const withPercent = entries.filter(entry => entry.percentOfTarget !== null);
+    const withChange = entries.filter(entry => entry.yoyChange !== null);
+    const count = (status) => entries.filter(entry => entry.status === status).length;
+    const average = (rows, field) => (rows.length ? round(rows.reduce((sum, row) => sum + row[field], 0) / rows.length) : null);
+
+    const averageYoyChange = average(withChange, 'yoyChange');
+    return {
+        indicators: entries.length,
+        onTrack: count('onTrack'),
+        offTrack: count('offTrack'),
+        noTarget: count('noTarget'),
+        noData: count('noData'),
+        averagePercentOfTarget: average(withPercent, 'percentOfTarget'),
+        averageYoyChange,
+        trend: trendOf(averageYoyChange),
+        onTrackRate: withPercent.length ? round(count('onTrack') / withPercent.length * 100) : null,
+    };
+};
+
+// Groups indicator-year entries by `keyOf(indicator)` and rolls each group up per year.
+const rollUpBy = (indicators, keyOf) => {
+    const groups = new Map();
+    for (const indicator of indicators) {
+        const key = keyOf(indicator) ?? null;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(indicator);
+    }
+    return [...groups.entries()].map(([key, members]) => ({
+        key,
+        indicatorIds: members.map(indicator => indicator.id),
+        years: rollUpYears(members),
+    }));
+};
+
+const rollUpYears = (indicators) => {
+    const byYear = new Map();
+    for (const indicator of indicators) {
+        for (const entry of indicator.years) {
+            if (!byYear.has(entry.year)) byYear.set(entry.year, []);
+            byYear.get(entry.year).push(entry);
+        }
+    }
+    return [...byYear.keys()].sort((a, b) => a - b).map(year => ({ year, ...rollUp(byYear.get(year)) }));
+};
+
+// Computes the performance report.
+//  - indicators:     rows of `indicators`, each with its `historicalData` and `goals`.
+//  - strategicGoals: rows of `strategic_goals`, used for titles.
+//  - options.year:   restricts the output to one year (year-over-year still uses earlier years).
+//  - options.threshold: percent of target from which an indicator is on track.
+const computePerformance = (indicators, strategicGoals, options = {}) => {
+    const threshold = options.threshold ?? DEFAULT_ON_TRACK_THRESHOLD;
+    const goalTitles = new Map(strategicGoals.map(goal => [goal.id, goal.title]));
+
+    const indicatorReports = indicators.map(indicator => {
+        let years = indicatorYears(indicator.historicalData || [], indicator.goals || [], threshold);
+        if (options.year) {
+            years = years.filter(entry => entry.year === Number(options.year));
+        }
+        const withData = years.filter(entry => entry.value !== null);
+        return {
+            id: indicator.id,
+            name: indicator.name,
+            principle: indicator.principle,
+            responsibleArea: indicator.responsibleArea,
+            strategicGoalId: indicator.strategicGoalId || null,
+            years,
+            latest: withData.length ? withData[withData.length - 1] : null,
+        };
+    });
+
+    return {
+        threshold,
+        years: [...new Set(indicatorReports.flatMap(indicator => indicator.years.map(entry => entry.year)))].sort((a, b) => a - b),
+        indicators: indicatorReports,
+        byYear: rollUpYears(indicatorReports),
+        byStrategicGoal: rollUpBy(indicatorReports, indicator => indicator.strategicGoalId).map(({ key, ...group }) => ({
+            strategicGoalId: key,
+            title: key === null ? null : goalTitles.get(key) ?? null,
+            ...group,
+        })),
+        byPrinciple: rollUpBy(indicatorReports, indicator => indicator.principle).map(({ key, ...group }) => ({
+            principle: key,
+            ...group,
+        })),
+    };
+};
+
+module.exports = {
+    DEFAULT_ON_TRACK_THRESHOLD,
+    indicatorYears,
+    computePerformance
+};
@@ -0,0 +1,92 @@
+const entities = require('../models/entities');
+
+// Pushes what changed to the clients connected to GET /api/events, so they can patch their local
+// state instead of reloading everything with getAppData. Writes build their events while the
+// transaction is open and publish them once it commits, so clients never hear of a rolled back change.
+//
+// Events:
+//  - change:       a write to an indicator, meeting or thread (or anything nested in them). Carries
+//                  the aggregate (`entity`, `id`), its new `version` (null once deleted) and the
+//                  changes as recorded in the audit log: `[{ entity, key, action, fields }]`.
+//                  Only the users of the cooperative the aggregate belongs to receive it.
+//  - notification: a new notification, delivered only to its recipient (`record` is the stored row).
+//
+// Subscribers live in this process: with several instances behind a load balancer each one only
+// pushes the writes it served itself, and clients should still reload when they reconnect.
+
+// Aggregates every user can read (see getAppData); other entities are not broadcast.
+const BROADCAST_ENTITIES = ['indicators', 'meetings', 'discussionThreads'];
+
+const subscribers = new Set();
+let lastEventId = 0;
+
+// Notifications are private to their recipient; every other event is visible to any user of its cooperative.
+const canSee = (user, event) => (event.userId ? event.userId === user.id : event.cooperativeId === user.cooperativeId);
+
+// Registers `send(event)` to receive the events `user` may see. Returns the function that unsubscribes.
+const subscribe = (user, send) => {
+    const subscriber = { user, send };
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+};
+
+const publish = (events) => {
+    for (const event of events) {
+        if (!event) continue;
+        const message = { eventId: ++lastEventId, at: new Date().toISOString(), ...event };
+        for (const subscriber of subscribers) {
+            if (!canSee(subscriber.user, message)) continue;
+            try {
+                subscriber.send(message);
+            } catch (error) {
+                console.error('Error al enviar un evento en tiempo real:', error);
+            }
+        }
+    }
+};
+
+// Builds the event of a write to the aggregate `root` ({ name, id }), with the changes recorded
+// for it; `findVersion(root)` reads the version it was left in. Returns null for entities that
+// are not broadcast.
+const buildChangeEvent = async (user, root, changes, findVersion) => {
+    if (!BROADCAST_ENTITIES.includes(root.name) || changes.length === 0) return null;
+    const own = changes.find(change => change.entity === root.name && String(change.key) === String(root.id));
+    const action = own ? own.action : 'update';
+    // Deleted aggregates may still have a row, in the trash
+    const version = action === 'delete' ? null : await findVersion(root);
+    return {
+        type: 'change',
+        entity: root.name,
+        id: root.id,
+        action,
+        version: version ?? null,
+        by: user.id,
+        cooperativeId: user.cooperativeId,
+        changes,
+    };
+};
+
+// buildChangeEvent, reading the version from MySQL.
+const changeEvent = (db, user, root, changes) => buildChangeEvent(user, root, changes, async ({ name, id }) => {
+    const entity = entities[name];
+    const [rows] = await db.query(`SELECT version FROM ${entity.table} WHERE ${entity.key} = ?`, [id]);
+    return rows[0]?.version;
+});
+
+// Events for notifications created by notificationService.notify.
+const notificationEvents = (notifications) => notifications.map(notification => ({
+    type: 'notification',
+    entity: 'notifications',
+    id: notification.id,
+    action: 'create',
+    userId: notification.userId,
+    record: notification,
+}));
+
+module.exports = {
+    subscribe,
+    publish,
+    buildChangeEvent,
+    changeEvent,
+    notificationEvents
+};
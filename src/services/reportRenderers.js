@@ -0,0 +1,210 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+// Renders the report built by balanceSocialReport.js into a writable stream (the HTTP response).
+
+const STATUS_LABELS = {
+    onTrack: 'En meta',
+    offTrack: 'Por debajo de la meta',
+    noTarget: 'Sin meta',
+    noData: 'Sin dato',
+};
+
+const displayValue = (result) => (result ? result.formattedValue ?? result.value ?? '' : '');
+
+const percentLabel = (result) => (result && result.percentOfTarget !== null ? `${result.percentOfTarget}%` : '');
+
+const historyLabel = (results) => results
+    .map(result => `${result.year}: ${displayValue(result) || '-'} / meta ${result.target ?? '-'}`)
+    .join('; ');
+
+const planLabel = (plan) => `${plan.title} (${plan.status || 'Sin estado'}${plan.overdue ? ', vencido' : ''})`;
+
+// One flat row per indicator; shared by the CSV export and the summary sheet of the XLSX export.
+const SUMMARY_COLUMNS = [
+    { header: 'Principio', key: 'principle', width: 28 },
+    { header: 'Indicador', key: 'name', width: 40 },
+    { header: 'Cálculo', key: 'calculation', width: 40 },
+    { header: 'Propósito', key: 'purpose', width: 40 },
+    { header: 'Área responsable', key: 'responsibleArea', width: 20 },
+    { header: 'Objetivo estratégico', key: 'strategicGoal', width: 28 },
+    { header: 'Valor', key: 'value', width: 14 },
+    { header: 'Meta', key: 'target', width: 14 },
+    { header: '% de cumplimiento', key: 'percent', width: 16 },
+    { header: 'Estado', key: 'status', width: 20 },
+    { header: 'Histórico (valor / meta)', key: 'history', width: 50 },
+    { header: 'Observaciones', key: 'observations', width: 50 },
+    { header: 'Riesgos abiertos', key: 'risks', width: 40 },
+    { header: 'Planes de acción', key: 'actionPlans', width: 40 },
+];
+
+const summaryRows = (report) => report.principles.flatMap(({ principle, indicators }) =>
+    indicators.map(indicator => ({
+        principle,
+        name: indicator.name,
+        calculation: indicator.calculation,
+        purpose: indicator.purpose,
+        responsibleArea: indicator.responsibleArea,
+        strategicGoal: indicator.strategicGoal,
+        value: displayValue(indicator.current),
+        target: indicator.current?.target ?? '',
+        percent: percentLabel(indicator.current),
+        status: STATUS_LABELS[indicator.current?.status || 'noData'],
+        history: historyLabel(indicator.results),
+        observations: indicator.observations.map(o => `${o.date} ${o.author}: ${o.text}`).join(' | '),
+        risks: indicator.openRisks.map(r => `${r.title} (${r.status || 'Abierto'})`).join(' | '),
+        actionPlans: indicator.actionPlans.map(planLabel).join(' | '),
+    }))
+);
+
+// Text written by users that a spreadsheet would take for a formula ("=HYPERLINK(...)", "@SUM(...)")
+// gets a leading apostrophe, so it is shown as typed. Numbers ("-12,5") are left as they are.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[-+]?\d[\d.,]*%?$/;
+
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) && !PLAIN_NUMBER.test(value)
+    ? `'${value}`
+    : value);
+
+// --- CSV ---
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const renderCsv = (report, output) => {
+    // BOM so Excel opens the file as UTF-8
+    output.write('\uFEFF');
+    output.write(SUMMARY_COLUMNS.map(column => csvCell(column.header)).join(',') + '\r\n');
+    for (const row of summaryRows(report)) {
+        output.write(SUMMARY_COLUMNS.map(column => csvCell(row[column.key])).join(',') + '\r\n');
+    }
+    output.end();
+};
+
+// --- XLSX ---
+
+const addSheet = (workbook, name, columns, rows) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    sheet.addRows(rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, neutralizeFormula(value)]))));
+    return sheet;
+};
+
+const renderXlsx = async (report, output) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(report.generatedAt);
+
+    addSheet(workbook, `Balance Social ${report.year}`, SUMMARY_COLUMNS, summaryRows(report));
+
+    const perIndicator = (mapper) => report.principles.flatMap(({ principle, indicators }) =>
+        indicators.flatMap(indicator => mapper(indicator).map(row => ({ principle, indicator: indicator.name, ...row }))));
+    const leadColumns = [
+        { header: 'Principio', key: 'principle', width: 28 },
+        { header: 'Indicador', key: 'indicator', width: 40 },
+    ];
+
+    addSheet(workbook, 'Histórico', [
+        ...leadColumns,
+        { header: 'Año', key: 'year', width: 8 },
+        { header: 'Valor', key: 'value', width: 14 },
+        { header: 'Meta', key: 'target', width: 14 },
+        { header: '% de cumplimiento', key: 'percentOfTarget', width: 16 },
+        { header: 'Variación interanual %', key: 'yoyChange', width: 20 },
+        { header: 'Estado', key: 'status', width: 20 },
+    ], perIndicator(indicator => indicator.results.map(result => ({
+        ...result,
+        value: displayValue(result),
+        status: STATUS_LABELS[result.status],
+    }))));
+
+    addSheet(workbook, 'Observaciones', [
+        ...leadColumns,
+        { header: 'Fecha', key: 'date', width: 12 },
+        { header: 'Autor', key: 'author', width: 20 },
+        { header: 'Observación', key: 'text', width: 80 },
+    ], perIndicator(indicator => indicator.observations));
+
+    addSheet(workbook, 'Riesgos abiertos', [
+        ...leadColumns,
+        { header: 'Riesgo', key: 'title', width: 40 },
+        { header: 'Puntaje', key: 'riskScore', width: 10 },
+        { header: 'Estado', key: 'status', width: 16 },
+        { header: 'Responsable', key: 'owner', width: 20 },
+        { header: 'Plan de mitigación', key: 'mitigationPlan', width: 60 },
+    ], perIndicator(indicator => indicator.openRisks));
+
+    addSheet(workbook, 'Planes de acción', [
+        ...leadColumns,
+        { header: 'Plan', key: 'title', width: 40 },
+        { header: 'Responsable', key: 'owner', width: 20 },
+        { header: 'Estado', key: 'status', width: 16 },
+        { header: 'Vencimiento', key: 'dueDate', width: 12 },
+        { header: 'Vencido', key: 'overdue', width: 10 },
+    ], perIndicator(indicator => indicator.actionPlans.map(plan => ({ ...plan, overdue: plan.overdue ? 'Sí' : 'No' }))));
+
+    await workbook.xlsx.write(output);
+    output.end();
+};
+
+// --- PDF ---
+
+const renderPdf = (report, output) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+    doc.pipe(output);
+
+    doc.fontSize(20).font('Helvetica-Bold').text(`Balance Social Cooperativo ${report.year}`, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(9).font('Helvetica').fillColor('gray')
+        .text(`Generado el ${report.generatedAt.substring(0, 10)}`, { align: 'center' })
+        .fillColor('black');
+
+    const section = (title, lines) => {
+        if (!lines.length) return;
+        doc.moveDown(0.3).font('Helvetica-Bold').fontSize(9).text(title);
+        doc.font('Helvetica').fontSize(9);
+        lines.forEach(line => doc.text(`• ${line}`, { indent: 10 }));
+    };
+
+    for (const { principle, indicators } of report.principles) {
+        doc.moveDown(1.5).fontSize(15).font('Helvetica-Bold').text(principle);
+        for (const indicator of indicators) {
+            doc.moveDown(0.8).fontSize(11).font('Helvetica-Bold').text(indicator.name);
+            doc.fontSize(9).font('Helvetica');
+            if (indicator.calculation) doc.text(`Cálculo: ${indicator.calculation}`);
+            if (indicator.purpose) doc.text(`Propósito: ${indicator.purpose}`);
+            if (indicator.responsibleArea) doc.text(`Área responsable: ${indicator.responsibleArea}`);
+            if (indicator.strategicGoal) doc.text(`Objetivo estratégico: ${indicator.strategicGoal}`);
+            doc.text(`Resultado ${report.year}: ${displayValue(indicator.current) || '-'}` +
+                ` | Meta: ${indicator.current?.target ?? '-'}` +
+                ` | Cumplimiento: ${percentLabel(indicator.current) || '-'}` +
+                ` | ${STATUS_LABELS[indicator.current?.status || 'noData']}`);
+
+            section('Histórico', indicator.results.map(result =>
+                `${result.year}: ${displayValue(result) || '-'} (meta ${result.target ?? '-'}${result.percentOfTarget !== null ? `, ${result.percentOfTarget}%` : ''})`));
+            section('Observaciones', indicator.observations.map(o => `${o.date} — ${o.author}: ${o.text}`));
+            section('Riesgos abiertos', indicator.openRisks.map(r => `${r.title} (puntaje ${r.riskScore ?? '-'}, ${r.status || 'Abierto'})`));
+            section('Planes de acción', indicator.actionPlans.map(plan => `${planLabel(plan)}${plan.dueDate ? ` — vence ${plan.dueDate}` : ''}`));
+        }
+    }
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise add a new page
+        doc.page.margins.bottom = 0;
+        doc.fontSize(8).fillColor('gray')
+            .text(`Página ${i + 1} de ${range.count}`, 50, doc.page.height - 40, { align: 'center', lineBreak: false });
+    }
+
+    doc.end();
+};
+
+module.exports = {
+    renderCsv,
+    renderXlsx,
+    renderPdf
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+// Risk scoring and status history. `riskScore` is always computed here, as impact x probability,
+// whatever the client sends; both are rated from 1 to RISK_SCALE_MAX.
+//
+//   RISK_SCALE_MAX=5                                   highest impact / probability rating
+//   RISK_SCORE_BANDS="Bajo:1,Medio:5,Alto:10,Crítico:15" bands, named with the score each one starts at
+
+const RISK_SCALE_MAX = Number(process.env.RISK_SCALE_MAX) || 5;
+
+const parseBands = (value) => value.split(',')
+    .map(part => {
+        const [name, from] = part.split(':');
+        return { name: (name || '').trim(), from: Number(from) };
+    })
+    .filter(band => band.name && Number.isInteger(band.from))
+    .sort((a, b) => a.from - b.from)
+    // Each band ends where the next one starts; the last one at the highest possible score
+    .map((band, index, bands) => ({ ...band, to: index < bands.length - 1 ? bands[index + 1].from - 1 : RISK_SCALE_MAX * RISK_SCALE_MAX }));
+
+const SCORE_BANDS = parseBands(process.env.RISK_SCORE_BANDS || 'Bajo:1,Medio:5,Alto:10,Crítico:15');
+
+const toRating = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : null;
+};
+
+// Score of a risk, or null while its impact or probability is not rated.
+const computeScore = (impact, probability) => {
+    const impactRating = toRating(impact);
+    const probabilityRating = toRating(probability);
+    return impactRating === null || probabilityRating === null ? null : impactRating * probabilityRating;
+};
+
+// The risk with its score computed from its own impact and probability.
+const withScore = (risk) => ({ ...risk, riskScore: computeScore(risk.impact, risk.probability) });
+
+const bandFor = (score) => {
+    if (score === null || score === undefined) return null;
+    const band = [...SCORE_BANDS].reverse().find(candidate => Number(score) >= candidate.from);
+    return band ? band.name : null;
+};
+
+const findBand = (name) => SCORE_BANDS.find(band => band.name.toLowerCase() === String(name).toLowerCase()) || null;
+
+const HISTORY_COLUMNS = ['id', 'risk_id', 'indicator_id', 'fromStatus', 'toStatus', 'changedBy', 'changedByName', 'cooperative_id'];
+
+// Rows of `risk_status_history` (but the time, which the store sets) for the status changes found
+// in `changes` (as recorded with auditService.recordChanges), including the initial status of new
+// risks. `root` is the indicator the risks belong to.
+const buildStatusHistory = (user, changes, root) => changes
+    .filter(change => change.entity === 'risks' && change.action !== 'delete' && change.fields.status)
+    .map(change => ({
+        id: crypto.randomUUID(),
+        risk_id: String(change.key),
+        indicator_id: root ? String(root.id) : null,
+        fromStatus: change.fields.status.before,
+        toStatus: change.fields.status.after,
+        changedBy: user.id,
+        changedByName: user.name,
+        cooperative_id: user.cooperativeId ?? null,
+    }));
+
+// Records the status changes of `changes` (see buildStatusHistory). Like the audit log, the
+// history outlives the risk it describes.
+const recordStatusChanges = async (db, user, changes, root) => {
+    const rows = buildStatusHistory(user, changes, root);
+    if (rows.length === 0) return;
+    await db.query(
+        `INSERT INTO risk_status_history (${HISTORY_COLUMNS.join(', ')}) VALUES ?`,
+        [rows.map(row => HISTORY_COLUMNS.map(column => row[column]))]
+    );
+};
+
+module.exports = {
+    RISK_SCALE_MAX,
+    SCORE_BANDS,
+    computeScore,
+    withScore,
+    bandFor,
+    findBand,
+    buildStatusHistory,
+    recordStatusChanges
+};
@@ -0,0 +1,198 @@
+// Full-text search over the text users write: indicators, observations, risks, action plan
+// updates, meetings, decisions, threads and replies, through the FULLTEXT indexes of
+// migrations/20261019190000_fulltext_search.sql.
+//
+// Every authenticated user can read the indicators, meetings and threads of their cooperative
+// (as with getAppData), so search covers all of them, except what is in the trash: only
+// administrators see it, through /api/trash. Each result links to the record found and to the
+// indicator, meeting or thread it belongs to.
+
+const SNIPPET_LENGTH = 160;
+
+// InnoDB ignores words shorter than innodb_ft_min_token_size (3 by default)
+const MIN_TERM_LENGTH = 3;
+
+const meetingTitle = "CONCAT('Reunión del ', DATE_FORMAT(m.date, '%d/%m/%Y'))";
+
+// One entry per searchable record type. `match` are the columns of its FULLTEXT index and
+// `tenant` the column of the cooperative it belongs to; every source selects the same columns so
+// they can be merged into a single ranked list.
+const SOURCES = {
+    indicators: {
+        match: 'i.name, i.calculation, i.purpose',
+        select: "i.id, NULL AS parentId, i.name AS title, CONCAT_WS('\\n', i.name, i.calculation, i.purpose) AS text, 'indicators' AS rootType, i.id AS rootId, i.name AS rootTitle, i.responsibleArea AS area, NULL AS date",
+        from: 'indicators i',
+        tenant: 'i.cooperative_id',
+        where: 'i.deletedAt IS NULL',
+    },
+    observations: {
+        match: 'o.text',
+        select: "o.id, i.id AS parentId, i.name AS title, o.text, 'indicators' AS rootType, i.id AS rootId, i.name AS rootTitle, i.responsibleArea AS area, o.date",
+        from: 'observations o JOIN indicators i ON i.id = o.indicator_id',
+        tenant: 'i.cooperative_id',
+        where: 'i.deletedAt IS NULL',
+    },
+    risks: {
+        match: 'r.title, r.description',
+        select: "r.id, i.id AS parentId, r.title, CONCAT_WS('\\n', r.title, r.description) AS text, 'indicators' AS rootType, i.id AS rootId, i.name AS rootTitle, i.responsibleArea AS area, r.createdDate AS date",
+        from: 'risks r JOIN indicators i ON i.id = r.indicator_id',
+        tenant: 'i.cooperative_id',
+        where: 'i.deletedAt IS NULL',
+    },
+    actionPlanUpdates: {
+        match: 'u.text',
+        select: "u.id, p.id AS parentId, p.title, u.text, 'indicators' AS rootType, i.id AS rootId, i.name AS rootTitle, i.responsibleArea AS area, u.date",
+        from: 'action_plan_updates u JOIN action_plans p ON p.id = u.action_plan_id JOIN indicators i ON i.id = p.indicator_id',
+        tenant: 'i.cooperative_id',
+        where: 'i.deletedAt IS NULL',
+    },
+    meetings: {
+        match: 'm.agenda, m.minutes',
+        select: `m.id, NULL AS parentId, ${meetingTitle} AS title, CONCAT_WS('\\n', m.agenda, m.minutes) AS text, 'meetings' AS rootType, m.id AS rootId, ${meetingTitle} AS rootTitle, NULL AS area, m.date`,
+        from: 'meetings m',
+        tenant: 'm.cooperative_id',
+        where: 'm.deletedAt IS NULL',
+    },
+    decisions: {
+        match: 'd.text',
+        select: `d.id, m.id AS parentId, ${meetingTitle} AS title, d.text, 'meetings' AS rootType, m.id AS rootId, ${meetingTitle} AS rootTitle, NULL AS area, m.date`,
+        from: 'decisions d JOIN meetings m ON m.id = d.meeting_id',
+        tenant: 'm.cooperative_id',
+        where: 'm.deletedAt IS NULL',
+    },
+    discussionThreads: {
+        match: 't.title, t.content',
+        select: "t.id, NULL AS parentId, t.title, CONCAT_WS('\\n', t.title, t.content) AS text, 'discussionThreads' AS rootType, t.id AS rootId, t.title AS rootTitle, NULL AS area, t.timestamp AS date",
+        from: 'discussion_threads t',
+        tenant: 't.cooperative_id',
+        where: 't.deletedAt IS NULL',
+    },
+    threadReplies: {
+        match: 'rp.content',
+        select: "rp.id, t.id AS parentId, t.title, rp.content AS text, 'discussionThreads' AS rootType, t.id AS rootId, t.title AS rootTitle, NULL AS area, rp.timestamp AS date",
+        from: 'thread_replies rp JOIN discussion_threads t ON t.id = rp.thread_id',
+        tenant: 't.cooperative_id',
+        where: 't.deletedAt IS NULL',
+    },
+};
+
+const SOURCE_TYPES = Object.keys(SOURCES);
+
+// REST path of each result (see the routes in src/routes)
+const PATHS = {
+    indicators: (result) => `/api/indicators/${result.id}`,
+    observations: (result) => `/api/indicators/${result.parentId}/observations/${result.id}`,
+    risks: (result) => `/api/indicators/${result.parentId}/risks/${result.id}`,
+    actionPlanUpdates: (result) => `/api/action-plans/${result.parentId}/updates/${result.id}`,
+    meetings: (result) => `/api/meetings/${result.id}`,
+    decisions: (result) => `/api/meetings/${result.parentId}/decisions/${result.id}`,
+    discussionThreads: (result) => `/api/threads/${result.id}`,
+    threadReplies: (result) => `/api/threads/${result.parentId}/replies/${result.id}`,
+};
+
+const ROOT_PATHS = {
+    indicators: (id) => `/api/indicators/${id}`,
+    meetings: (id) => `/api/meetings/${id}`,
+    discussionThreads: (id) => `/api/threads/${id}`,
+};
+
+// Splits what the user typed into words and "quoted phrases", without the characters MySQL's
+// boolean mode gives a meaning to. Words too short to be indexed are dropped.
+const parseTerms = (query) => {
+    const terms = [];
+    for (const [, phrase, word] of String(query).matchAll(/"([^"]*)"|(\S+)/g)) {
+        const term = (phrase ?? word).replace(/[+\-<>()~*"@]/g, ' ').replace(/\s+/g, ' ').trim();
+        if (!term) continue;
+        if (phrase === undefined && term.includes(' ')) {
+            terms.push(...term.split(' ').filter(part => part.length >= MIN_TERM_LENGTH).map(text => ({ text, phrase: false })));
+        } else if (phrase !== undefined || term.length >= MIN_TERM_LENGTH) {
+            terms.push({ text: term, phrase: phrase !== undefined });
+        }
+    }
+    return terms;
+};
+
+// Every word (as a prefix) and phrase has to be present.
+const toBooleanQuery = (terms) => terms
+    .map(term => (term.phrase ? `+"${term.text}"` : `+${term.text}*`))
+    .join(' ');
+
+// Lower case without accents, one character for each one of `text`, so positions match.
+const fold = (text) => text
+    .split('')
+    .map(char => (char.normalize('NFD')[0] || char).toLowerCase()[0] || char)
+    .join('');
+
+// A fragment of `text` around the first term found, cut at word boundaries.
+const buildSnippet = (text, terms) => {
+    if (!text) return '';
+    const folded = fold(text);
+    const positions = terms
+        .map(term => folded.indexOf(fold(term.text)))
+        .filter(position => position >= 0);
+    const hit = positions.length ? Math.min(...positions) : 0;
+
+    let start = Math.max(0, hit - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space >= 0 && space < hit) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > hit) end = space;
+    }
+    const fragment = text.slice(start, end).replace(/\s+/g, ' ').trim();
+    return `${start > 0 ? '… ' : ''}${fragment}${end < text.length ? ' …' : ''}`;
+};
+
+// Ranked results for `query` among the records of a cooperative, best first. `types` limits the
+// search to some of SOURCE_TYPES.
+// Throws a 400 when the query has no word long enough to search for.
+const search = async (db, query, { cooperativeId, types = SOURCE_TYPES, limit, offset }) => {
+    const terms = parseTerms(query);
+    if (terms.length === 0) {
+        throw { status: 400, message: `Escriba al menos una palabra de ${MIN_TERM_LENGTH} letras o más para buscar.` };
+    }
+    const booleanQuery = toBooleanQuery(terms);
+
+    const selects = [];
+    const params = [];
+    for (const type of types) {
+        const source = SOURCES[type];
+        const match = `MATCH(${source.match}) AGAINST(? IN BOOLEAN MODE)`;
+        selects.push(`SELECT '${type}' AS type, ${source.select}, ${match} AS score FROM ${source.from} WHERE ${source.where} AND ${source.tenant} = ? AND ${match}`);
+        params.push(booleanQuery, cooperativeId, booleanQuery);
+    }
+    const [rows] = await db.query(
+        `SELECT * FROM (${selects.join(' UNION ALL ')}) results ORDER BY score DESC, date DESC, id LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+    );
+
+    return {
+        terms: terms.map(term => term.text),
+        results: rows.map(row => ({
+            type: row.type,
+            id: row.id,
+            title: row.title,
+            snippet: buildSnippet(row.text, terms),
+            score: Number(row.score),
+            date: row.date,
+            area: row.area,
+            path: PATHS[row.type](row),
+            parent: {
+                entity: row.rootType,
+                id: row.rootId,
+                title: row.rootTitle,
+                path: ROOT_PATHS[row.rootType](row.rootId),
+            },
+        })),
+    };
+};
+
+module.exports = {
+    SOURCE_TYPES,
+    parseTerms,
+    buildSnippet,
+    search
+};
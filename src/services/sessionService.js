@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { toMySQLDateTime } = require('../utils/dataUtils');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque ("<sessionId>.<secret>") and
+// rotate on every use. Only the hash of the current secret is stored, so presenting an older
+// secret means the token was copied: the whole session is revoked.
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const invalidRefreshToken = () => ({ status: 401, message: 'La sesión expiró o fue cerrada. Inicie sesión nuevamente.' });
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => toMySQLDateTime(new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(), true);
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret, ...rest] = String(refreshToken || '').split('.');
+    return sessionId && secret && rest.length === 0 ? { sessionId, secret } : null;
+};
+
+const secretMatches = (secret, storedHash) =>
+    crypto.timingSafeEqual(Buffer.from(hashSecret(secret)), Buffer.from(storedHash));
+
+const issueTokens = (user, sessionId, secret) => ({
+    token: jwt.sign(
+        { id: user.id, name: user.name, role: user.role, area: user.area, cooperativeId: user.cooperative_id || null, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    ),
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// A new session for a user who just authenticated: the row to store in `sessions` and its first
+// pair of tokens. `client` is `{ userAgent, ip }`, kept to help admins recognize sessions.
+const newSession = (user, client = {}) => {
+    const sessionId = crypto.randomUUID();
+    const secret = newSecret();
+    return {
+        session: {
+            id: sessionId,
+            userId: user.id,
+            refreshTokenHash: hashSecret(secret),
+            expiresAt: refreshExpiry(),
+            userAgent: client.userAgent ? String(client.userAgent).substring(0, 255) : null,
+            ip: client.ip || null,
+        },
+        tokens: issueTokens(user, sessionId, secret),
+    };
+};
+
+// Opens a session (see newSession) and returns its first pair of tokens.
+const createSession = async (db, user, client = {}) => {
+    // Expired sessions of the user are no longer useful to anyone
+    await db.query('DELETE FROM sessions WHERE userId = ? AND expiresAt < NOW(3)', [user.id]);
+
+    const { session, tokens } = newSession(user, client);
+    await db.query('INSERT INTO sessions SET ?', session);
+    return tokens;
+};
+
+// Exchanges a refresh token for a new pair. The new access token carries the user's current
+// name, role, area and cooperative. Throws a 401 when the token is unknown, expired, revoked or reused.
+const rotateSession = async (db, refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) throw invalidRefreshToken();
+
+    const [rows] = await db.query(
+        `SELECT s.id, s.refreshTokenHash, s.revokedAt, s.expiresAt < NOW(3) AS expired, u.id AS userId, u.name, u.role, u.area, u.cooperative_id
+         FROM sessions s LEFT JOIN users u ON u.id = s.userId AND u.deletedAt IS NULL WHERE s.id = ?`,
+        [parsed.sessionId]
+    );
+    const session = rows[0];
+    if (!session || session.revokedAt || session.expired || !session.userId) throw invalidRefreshToken();
+
+    if (!secretMatches(parsed.secret, session.refreshTokenHash)) {
+        await revokeSession(db, session.id, 'reuse');
+        throw invalidRefreshToken();
+    }
+
+    // Compare-and-swap on the current hash, so two concurrent refreshes can't both succeed
+    const secret = newSecret();
+    const [result] = await db.query(
+        `UPDATE sessions SET refreshTokenHash = ?, lastUsedAt = NOW(3), expiresAt = ?
+         WHERE id = ? AND refreshTokenHash = ? AND revokedAt IS NULL`,
+        [hashSecret(secret), refreshExpiry(), session.id, session.refreshTokenHash]
+    );
+    if (result.affectedRows === 0) throw invalidRefreshToken();
+
+    return issueTokens({ id: session.userId, name: session.name, role: session.role, area: session.area, cooperative_id: session.cooperative_id }, session.id, secret);
+};
+
+// Closes the session a refresh token belongs to. Unknown or already closed tokens are ignored.
+const revokeByRefreshToken = async (db, refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+    const [rows] = await db.query('SELECT refreshTokenHash FROM sessions WHERE id = ? AND revokedAt IS NULL', [parsed.sessionId]);
+    if (rows.length === 0 || !secretMatches(parsed.secret, rows[0].refreshTokenHash)) return false;
+    await revokeSession(db, parsed.sessionId, 'logout');
+    return true;
+};
+
+const revokeSession = async (db, sessionId, reason) => {
+    await db.query('UPDATE sessions SET revokedAt = NOW(3), revokedReason = ? WHERE id = ? AND revokedAt IS NULL', [reason, sessionId]);
+};
+
+// Revokes every open session of a user, except `exceptSessionId` when given (e.g. the session
+// from which the user just changed their password). Returns how many were closed.
+const revokeUserSessions = async (db, userId, reason, exceptSessionId = null) => {
+    const [result] = await db.query(
+        `UPDATE sessions SET revokedAt = NOW(3), revokedReason = ?
+         WHERE userId = ? AND revokedAt IS NULL AND expiresAt >= NOW(3) AND id <> ?`,
+        [reason, userId, exceptSessionId || '']
+    );
+    return result.affectedRows;
+};
+
+// Whether an access token still matches what is stored: `current` is its session joined with its
+// user (`{ role, area, cooperative_id, revokedAt }`), or nothing when either is gone.
+const matchesToken = (current, decoded) => Boolean(current && !current.revokedAt
+    && current.role === decoded.role && current.area === decoded.area
+    && current.cooperative_id === (decoded.cooperativeId || null));
+
+// Checks that the session behind an access token is still open and that the user still exists,
+// is not in the trash and has the role, area and cooperative the token was issued for. Returns
+// false otherwise.
+const isTokenCurrent = async (db, decoded) => {
+    if (!decoded.sid) return false;
+    const [rows] = await db.query(
+        `SELECT u.role, u.area, u.cooperative_id, s.revokedAt FROM users u
+         JOIN sessions s ON s.id = ? AND s.userId = u.id WHERE u.id = ? AND u.deletedAt IS NULL`,
+        [decoded.sid, decoded.id]
+    );
+    return matchesToken(rows[0], decoded);
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    newSession,
+    createSession,
+    rotateSession,
+    revokeByRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    matchesToken,
+    isTokenCurrent
+};
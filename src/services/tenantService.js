@@ -0,0 +1,53 @@
+const entities = require('../models/entities');
+
+// Several cooperatives share one deployment. Each user belongs to one (`cooperative_id`, carried
+// by the JWT as `cooperativeId`) and only reads and writes that cooperative's records: the
+// top-level ones (`tenantScoped` in models/entities.js) hold the column and their descendants
+// belong to the cooperative through them. Federation users belong to none; they only read the
+// aggregated comparisons of /api/federation.
+//
+// Keys are still unique across the deployment, so a record can't be sent with the key of a
+// record of another cooperative: saveAppData reports it as a conflict instead of overwriting it.
+
+// Condition restricting `entity` to the records of a cooperative, following the parent chain
+// up to its tenant-scoped root: `{ sql, params }`, or null for entities that belong to no cooperative.
+const tenantFilter = (entity, cooperativeId) => {
+    if (entity.tenantScoped) {
+        return { sql: 'cooperative_id = ?', params: [cooperativeId] };
+    }
+    if (!entity.parent) return null;
+    const parent = entities[entity.parent.entity];
+    const parentFilter = tenantFilter(parent, cooperativeId);
+    return parentFilter && {
+        sql: `${entity.parent.foreignKey} IN (SELECT ${parent.key} FROM ${parent.table} WHERE ${parentFilter.sql})`,
+        params: parentFilter.params,
+    };
+};
+
+// Keys of the given records that belong to another cooperative.
+const findForeign = async (db, cooperativeId, entityName, ids) => {
+    if (ids.length === 0) return [];
+    const entity = entities[entityName];
+    const [rows] = await db.query(
+        `SELECT ${entity.key} FROM ${entity.table} WHERE ${entity.key} IN (?) AND (cooperative_id IS NULL OR cooperative_id <> ?)`,
+        [ids, cooperativeId]
+    );
+    return rows.map(row => row[entity.key]);
+};
+
+const findCooperative = async (db, id) => {
+    const [rows] = await db.query('SELECT id, name FROM cooperatives WHERE id = ?', [id]);
+    return rows[0] || null;
+};
+
+const createCooperative = async (db, { id, name }) => {
+    await db.query('INSERT INTO cooperatives (id, name) VALUES (?, ?)', [id, name]);
+    return { id, name };
+};
+
+module.exports = {
+    tenantFilter,
+    findForeign,
+    findCooperative,
+    createCooperative
+};
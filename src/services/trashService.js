@@ -0,0 +1,146 @@
+const entities = require('../models/entities');
+const auditService = require('./auditService');
+const { recordDeletions } = require('./appDataService');
+const { findRecord, attachChildren, deleteChildren, stripHidden } = require('./aggregateService');
+
+// Deleted indicators, meetings, threads and users are moved to the trash: the record is flagged
+// with `deletedAt`/`deletedBy` and its children are left as they are, so restoring it brings the
+// whole aggregate back. Records stay in the trash for TRASH_RETENTION_DAYS and are then purged
+// (deleted for good, children and attachment files included) by jobs/trashPurgeScheduler.js.
+// Every entity that goes to the trash is tenant-scoped: each cooperative has its own trash.
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Entities that go to the trash (`softDelete` in models/entities.js).
+const TRASH_ENTITIES = Object.keys(entities).filter(entityName => entities[entityName].softDelete);
+
+// Columns shown in the trash listing, besides the key and the deletion data.
+const SUMMARY_COLUMNS = {
+    users: ['name', 'role', 'area'],
+    indicators: ['name', 'principle', 'responsibleArea'],
+    meetings: ['date', 'agenda'],
+    discussionThreads: ['title', 'authorId', 'principleTag'],
+};
+
+// Author of the purges, which are not done by any user.
+const SYSTEM_USER = { id: null, name: 'Sistema' };
+
+const notInTrashError = () => ({ status: 404, message: 'El registro no está en la papelera.' });
+
+const assertTrashEntity = (entityName) => {
+    if (!TRASH_ENTITIES.includes(entityName)) {
+        throw { status: 400, message: `La papelera solo admite: ${TRASH_ENTITIES.join(', ')}.` };
+    }
+};
+
+// Moves records to the trash. Versioned aggregates get a new version, so clients editing them
+// see a conflict instead of writing into a deleted record. The caller audits the deletion.
+const moveToTrash = async (db, user, entityName, ids) => {
+    if (ids.length === 0) return;
+    const entity = entities[entityName];
+    await db.query(
+        `UPDATE ${entity.table} SET deletedAt = CURRENT_TIMESTAMP(3), deletedBy = ?${entity.versioned ? ', version = version + 1' : ''}
+         WHERE ${entity.key} IN (?) AND deletedAt IS NULL`,
+        [user.id, ids]
+    );
+    await recordDeletions(db, user, entityName, ids);
+};
+
+// Keys of the given records that are in the trash of a cooperative.
+const findTrashed = async (db, entityName, ids, cooperativeId) => {
+    if (ids.length === 0) return [];
+    const entity = entities[entityName];
+    const [rows] = await db.query(
+        `SELECT ${entity.key} FROM ${entity.table} WHERE ${entity.key} IN (?) AND cooperative_id = ? AND deletedAt IS NOT NULL`,
+        [ids, cooperativeId]
+    );
+    return rows.map(row => row[entity.key]);
+};
+
+// Everything in the trash of a cooperative, newest first, as `{ indicators: [...], meetings: [...], ... }`.
+// Each entry has the summary columns, who deleted it and when, and when it will be purged.
+const listTrash = async (db, cooperativeId, entityNames = TRASH_ENTITIES) => {
+    const trash = {};
+    for (const entityName of entityNames) {
+        assertTrashEntity(entityName);
+        const entity = entities[entityName];
+        const columns = [entity.key, ...SUMMARY_COLUMNS[entityName]].map(column => `r.${column}`).join(', ');
+        const [rows] = await db.query(
+            `SELECT ${columns}, r.deletedAt, r.deletedBy, u.name AS deletedByName,
+                    r.deletedAt + INTERVAL ? DAY AS purgeAt
+             FROM ${entity.table} r LEFT JOIN users u ON u.id = r.deletedBy
+             WHERE r.cooperative_id = ? AND r.deletedAt IS NOT NULL ORDER BY r.deletedAt DESC`,
+            [TRASH_RETENTION_DAYS, cooperativeId]
+        );
+        trash[entityName] = rows;
+    }
+    return trash;
+};
+
+// Takes a record of the user's cooperative out of the trash and returns it with its children,
+// as getAppData would.
+const restore = async (db, user, entityName, id) => {
+    assertTrashEntity(entityName);
+    const entity = entities[entityName];
+    const [rows] = await db.query(
+        `SELECT ${entity.key}, deletedAt FROM ${entity.table} WHERE ${entity.key} = ? AND cooperative_id = ? FOR UPDATE`,
+        [id, user.cooperativeId]
+    );
+    if (rows.length === 0 || !rows[0].deletedAt) {
+        throw notInTrashError();
+    }
+
+    await db.query(
+        `UPDATE ${entity.table} SET deletedAt = NULL, deletedBy = NULL${entity.versioned ? ', version = version + 1' : ''} WHERE ${entity.key} = ?`,
+        [id]
+    );
+    await auditService.recordChanges(db, user, [{ entity: entityName, key: id, action: 'restore', fields: {} }]);
+
+    const record = await findRecord(db, entity, id);
+    await attachChildren(db, entity, record);
+    return stripHidden(entity, record);
+};
+
+// Deletes for good the records that have been in the trash longer than the retention period.
+// Returns how many were purged and the blob keys of their attachments, to be removed once the
+// transaction commits.
+const purgeExpired = async (db) => {
+    const blobKeys = [];
+    let purged = 0;
+    for (const entityName of TRASH_ENTITIES) {
+        const entity = entities[entityName];
+        const [rows] = await db.query(
+            `SELECT ${entity.key}, cooperative_id FROM ${entity.table} WHERE deletedAt < NOW(3) - INTERVAL ? DAY`,
+            [TRASH_RETENTION_DAYS]
+        );
+        for (const row of rows) {
+            const id = row[entity.key];
+            await deleteChildren(db, entity, id, blobKeys);
+            if (entityName === 'users') {
+                // What only made sense for the user goes with them; what they wrote stays
+                await db.query('DELETE FROM notifications WHERE userId = ?', [id]);
+                await db.query('DELETE FROM sessions WHERE userId = ?', [id]);
+                await db.query('DELETE FROM password_reset_tokens WHERE userId = ?', [id]);
+                await db.query('DELETE FROM calendar_feeds WHERE userId = ?', [id]);
+            }
+            await db.query(`DELETE FROM ${entity.table} WHERE ${entity.key} = ?`, [id]);
+            const author = { ...SYSTEM_USER, cooperativeId: row.cooperative_id };
+            await auditService.recordChanges(db, author, [{ entity: entityName, key: id, action: 'purge', fields: {} }]);
+            purged++;
+        }
+    }
+    return { purged, blobKeys };
+};
+
+module.exports = {
+    TRASH_ENTITIES,
+    TRASH_RETENTION_DAYS,
+    SUMMARY_COLUMNS,
+    assertTrashEntity,
+    notInTrashError,
+    moveToTrash,
+    findTrashed,
+    listTrash,
+    restore,
+    purgeExpired
+};
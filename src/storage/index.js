@@ -0,0 +1,15 @@
+const { createLocalBlobStore } = require('./localBlobStore');
+require('dotenv').config();
+
+// Blob store used for attachments, selected with ATTACHMENT_STORAGE.
+// Every driver exposes write(key, stream), createReadStream(key) and remove(key).
+const drivers = {
+    local: () => createLocalBlobStore(process.env.ATTACHMENT_STORAGE_DIR || 'uploads'),
+};
+
+const driver = process.env.ATTACHMENT_STORAGE || 'local';
+if (!drivers[driver]) {
+    throw new Error(`Almacenamiento de adjuntos desconocido: ${driver}`);
+}
+
+module.exports = drivers[driver]();
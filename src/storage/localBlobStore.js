@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// Blob store backed by a directory on the local filesystem.
+// Keys are relative paths such as "attachments/<uuid>".
+const createLocalBlobStore = (rootDir) => {
+    const root = path.resolve(rootDir);
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Clave de almacenamiento inválida: ${key}`);
+        }
+        return filePath;
+    };
+
+    return {
+        // Streams `source` into the store and resolves with the number of bytes written.
+        async write(key, source) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const destination = fs.createWriteStream(filePath);
+            await pipeline(source, destination);
+            return destination.bytesWritten;
+        },
+
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        },
+    };
+};
+
+module.exports = { createLocalBlobStore };
@@ -0,0 +1,118 @@
+// Groups an array of child objects by a foreign key.
+const groupChildrenBy = (children, key) => {
+    return children.reduce((acc, child) => {
+        const parentId = child[key];
+        if (!acc[parentId]) {
+            acc[parentId] = [];
+        }
+        delete child[key]; // Clean up foreign key from child object for cleaner output
+        acc[parentId].push(child);
+        return acc;
+    }, {});
+};
+
+// A robust function to format a date string into a MySQL DATETIME compatible format.
+// Final attempt to make this robust against different environments and formats.
+const toMySQLDateTime = (dateString, keepTime = false) => {
+    // Return null immediately for falsy inputs to prevent errors down the line.
+    if (!dateString) return null;
+
+    try {
+        const dateStr = String(dateString);
+
+        // Priority 1: Handle the standard ISO format (e.g., "2024-08-20T10:30:00.000Z")
+        // which is generated by the frontend and returned by the DB driver.
+        // This method avoids parsing with `new Date()` which can be environment-sensitive.
+        if (dateStr.includes('T') && dateStr.endsWith('Z')) {
+            const base = dateStr.substring(0, 19).replace('T', ' '); // -> "YYYY-MM-DD HH:mm:ss"
+            if (keepTime) {
+                return base;
+            } else {
+                return dateStr.substring(0, 10) + ' 00:00:00'; // -> "YYYY-MM-DD 00:00:00"
+            }
+        }
+        
+        // Priority 2: Handle date-only strings (e.g., "2024-12-31") from date pickers.
+        const dateOnlyRegex = /^\d{4}-\d{2}-\d{2}$/;
+        if (dateOnlyRegex.test(dateStr)) {
+            return dateStr + ' 00:00:00'; // Time is always 00:00:00 for date-only strings.
+        }
+
+        // Priority 3: Fallback for other potential formats, like MySQL's own DATETIME string "YYYY-MM-DD HH:MM:SS".
+        // This makes the function idempotent if it receives an already-formatted string.
+        const mysqlDateTimeRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+        if (mysqlDateTimeRegex.test(dateStr)) {
+             if (keepTime) {
+                return dateStr;
+            } else {
+                return dateStr.substring(0, 10) + ' 00:00:00';
+            }
+        }
+
+        // Final Fallback: Attempt to parse with `new Date()` as a last resort.
+        const date = new Date(dateString);
+        if (isNaN(date.getTime())) {
+            console.warn(`[Final Fallback] Could not parse date: "${dateString}". Returning null.`);
+            return null; // Return null if date is invalid.
+        }
+
+        const year = date.getUTCFullYear();
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        
+        if (keepTime) {
+            const hours = String(date.getUTCHours()).padStart(2, '0');
+            const minutes = String(date.getUTCMinutes()).padStart(2, '0');
+            const seconds = String(date.getUTCSeconds()).padStart(2, '0');
+            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+        } else {
+             return `${year}-${month}-${day} 00:00:00`;
+        }
+    } catch (error) {
+        console.error(`Error formatting date string: "${dateString}"`, error);
+        return null;
+    }
+};
+
+// Whether `separator` groups thousands in `text`: it is the only separator, the text starts with
+// one to three digits and every group after it has exactly three ("1.500", "1.234.567").
+// "0.125" and "1234,567" keep it as the decimal separator.
+const isThousandsSeparator = (text, separator) => {
+    const [lead, ...groups] = text.split(separator);
+    return groups.length > 0
+        && !text.includes(separator === ',' ? '.' : ',')
+        && /^[-+]?[1-9]\d{0,2}$/.test(lead)
+        && groups.every(group => /^\d{3}$/.test(group));
+};
+
+// Parses a number that may come formatted from a spreadsheet or the frontend: "1234.5",
+// "1.234,5" (Spanish), "1,234.5", "1.234.567", "12,5 %" or "$ 1.500". Unless `decimalSeparator`
+// is given, a separator followed by groups of three digits ("1.500", "1,234,567") groups
+// thousands and otherwise the last separator in the text is the decimal one. Returns null for
+// empty input and NaN when the text is not a number, so callers can tell "no value" from
+// "invalid value".
+const normalizeNumber = (value, decimalSeparator = null) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+
+    let text = String(value).replace(/[\s%$€]/g, '');
+    if (!text) return null;
+    let decimal = decimalSeparator || (text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.');
+    if (!decimalSeparator && isThousandsSeparator(text, decimal)) decimal = decimal === ',' ? '.' : ',';
+    text = decimal === ','
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    const number = Number(text);
+    return Number.isFinite(number) ? number : NaN;
+};
+
+// Whether two names are the same to a utf8mb4_unicode_ci column (such as users.name, which is
+// unique): case and accents are ignored.
+const sameName = (a, b) => String(a ?? '').localeCompare(String(b ?? ''), 'es', { sensitivity: 'base' }) === 0;
+
+module.exports = {
+    groupChildrenBy,
+    toMySQLDateTime,
+    normalizeNumber,
+    sameName
+};
@@ -0,0 +1,87 @@
+const entities = require('../models/entities');
+const { toMySQLDateTime } = require('./dataUtils');
+
+// Brings a column value to a comparable form, so that a client payload and the row read back
+// from MySQL (Date objects, DECIMAL strings, 0/1 flags) compare equal when they hold the same data.
+const normalizeValue = (value, keepTime) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (keepTime !== undefined) {
+        return toMySQLDateTime(value instanceof Date ? value.toISOString() : value, keepTime);
+    }
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (!isNaN(Number(value))) return Number(value);
+    return String(value);
+};
+
+const indexBy = (rows, key) => new Map(rows.map(row => [String(row[key]), row]));
+
+// Returns the columns of `entity` whose value differs between two versions of a record,
+// as `{ column: { before, after } }`, or null when both versions hold the same data.
+// A missing version (null) stands for a record being created or deleted.
+const diffFields = (entityName, before, after) => {
+    const entity = entities[entityName];
+    const fields = {};
+    for (const column of entity.columns) {
+        const keepTime = entity.dates[column];
+        const oldValue = normalizeValue(before?.[column], keepTime);
+        const newValue = normalizeValue(after?.[column], keepTime);
+        if (oldValue !== newValue) {
+            fields[column] = { before: oldValue, after: newValue };
+        }
+    }
+    return Object.keys(fields).length ? fields : null;
+};
+
+// Compares two versions of a record and its nested collections (as assembled by getAppData).
+// Returns one `{ entity, key, action, fields }` entry per created, updated or deleted record;
+// an empty list means nothing changed. Pass null as `before` for a new record and as `after`
+// for a deleted one. Read-only children (e.g. the audit log) are not compared.
+const diffAggregate = (entityName, before, after) => {
+    const entity = entities[entityName];
+    const changes = [];
+
+    const fields = diffFields(entityName, before, after);
+    if (!before || !after || fields) {
+        changes.push({
+            entity: entityName,
+            key: (after || before)[entity.key],
+            action: !before ? 'create' : !after ? 'delete' : 'update',
+            fields: fields || {}
+        });
+    }
+
+    for (const child of entity.children || []) {
+        if (child.readOnly) continue;
+        changes.push(...diffCollection(child.entity, before?.[child.as] || [], after?.[child.as] || []));
+    }
+
+    return changes;
+};
+
+// Compares two lists of records of the same entity, matching them by key.
+const diffCollection = (entityName, beforeRows, afterRows) => {
+    const key = entities[entityName].key;
+    const beforeByKey = indexBy(beforeRows, key);
+    const afterByKey = indexBy(afterRows, key);
+    const changes = [];
+
+    for (const [id, afterRow] of afterByKey) {
+        changes.push(...diffAggregate(entityName, beforeByKey.get(id) || null, afterRow));
+    }
+    for (const [id, beforeRow] of beforeByKey) {
+        if (!afterByKey.has(id)) {
+            changes.push(...diffAggregate(entityName, beforeRow, null));
+        }
+    }
+
+    return changes;
+};
+
+module.exports = {
+    normalizeValue,
+    diffFields,
+    diffAggregate,
+    diffCollection
+};
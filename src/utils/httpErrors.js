@@ -0,0 +1,30 @@
+// Sends an error caught in a controller.
+// Errors thrown as `{ status, message, ...details }` are deliberate responses: they are not logged
+// and any extra detail (e.g. `conflicts`) is returned to the client alongside the message.
+// Anything else is unexpected (MySQL, file system...): it is logged and the client only gets
+// `fallbackMessage`, never the internal error text.
+const sendError = (res, error, logContext, fallbackMessage) => {
+    if (error.status) {
+        const { status, ...body } = error;
+        return res.status(status).json(body);
+    }
+    console.error(`${logContext}:`, error);
+    res.status(500).json({ message: fallbackMessage });
+};
+
+// Optimistic concurrency failure: the client wrote on top of a version it had not seen.
+// Each conflict is `{ entity, id, reason, clientVersion, serverVersion, serverRecord }`.
+const conflictError = (conflicts) => ({
+    status: 409,
+    message: 'Otro usuario modificó estos registros mientras usted los editaba. Revise los cambios antes de volver a guardar.',
+    conflicts
+});
+
+// Area-scoped authorization failure. Each refused record is `{ entity, id, reason, responsibleArea }`.
+const forbiddenError = (refused) => ({
+    status: 403,
+    message: 'No tiene permiso para modificar algunos de los registros enviados.',
+    refused
+});
+
+module.exports = { sendError, conflictError, forbiddenError };
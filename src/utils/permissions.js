@@ -0,0 +1,38 @@
+// Role with full access to every area and to user management.
+const ADMIN_ROLE = 'Administrador';
+
+// Role of the federation's users: they belong to no cooperative and can only read the aggregated
+// comparisons between cooperatives (/api/federation). It can't be given through the data API.
+const FEDERATION_ROLE = process.env.FEDERATION_ROLE || 'Federación';
+
+// Roles a user of a cooperative can be given. USER_ROLES (comma-separated) replaces the default list;
+// the administrator role is always available.
+const ROLES = [...new Set([
+    ADMIN_ROLE,
+    ...(process.env.USER_ROLES
+        ? process.env.USER_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+        : ['Responsable de área', 'Colaborador', 'Consulta'])
+])].filter(role => role !== FEDERATION_ROLE);
+
+const isAdmin = (user) => user.role === ADMIN_ROLE;
+
+const isFederation = (user) => user.role === FEDERATION_ROLE;
+
+const isValidRole = (role) => ROLES.includes(role);
+
+// Indicators (and their goals, risks, action plans and attachments) can only be written by
+// administrators and by users of the indicator's responsible area. Everyone else gets read-only access.
+const canEditArea = (user, area) => isAdmin(user) || area === user.area;
+
+const canEditIndicator = (user, indicator) => canEditArea(user, indicator.responsibleArea);
+
+module.exports = {
+    ADMIN_ROLE,
+    FEDERATION_ROLE,
+    ROLES,
+    isAdmin,
+    isFederation,
+    isValidRole,
+    canEditArea,
+    canEditIndicator
+};
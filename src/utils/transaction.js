@@ -0,0 +1,20 @@
+const pool = require('../db');
+
+// Runs `work` inside a transaction on a dedicated connection.
+// Commits when the callback resolves, rolls back and rethrows when it fails.
+const withTransaction = async (work) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        await connection.commit();
+        return result;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+};
+
+module.exports = { withTransaction };
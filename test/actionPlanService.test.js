@@ -0,0 +1,68 @@
+// Action plan lifecycle (actionPlanService.js): allowed transitions, who may close a plan and
+// statuses moved by updates.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkIndicatorPlans, applyIndicatorStatusChanges } = require('../src/services/actionPlanService');
+const { ADMIN_ROLE } = require('../src/utils/permissions');
+
+const owner = { id: 'u-1', name: 'bruno', role: 'Responsable de área', area: 'Finanzas' };
+const other = { id: 'u-2', name: 'dario', role: 'Responsable de área', area: 'Finanzas' };
+const admin = { id: 'u-3', name: 'ana', role: ADMIN_ROLE, area: null };
+
+const plan = (overrides = {}) => ({ id: 'plan-1', title: 'Capacitar', owner: 'bruno', status: 'Pendiente', updates: [], ...overrides });
+
+const withPlans = (...actionPlans) => ({ id: 'ind-1', actionPlans });
+
+const check = (user, before, after) => checkIndicatorPlans(user, before && withPlans(before), withPlans(after));
+
+describe('checkIndicatorPlans', () => {
+    it('accepts the transitions of the lifecycle', () => {
+        assert.deepEqual(check(owner, plan(), plan({ status: 'En curso' })), { invalid: [], refused: [] });
+        assert.deepEqual(check(owner, plan({ status: 'En curso' }), plan({ status: 'Completado' })), { invalid: [], refused: [] });
+        assert.deepEqual(check(owner, plan(), plan({ status: 'Cancelado' })), { invalid: [], refused: [] });
+    });
+
+    it('rejects skipping a step or reopening a closed plan', () => {
+        const skipped = check(owner, plan(), plan({ status: 'Completado' }));
+        assert.equal(skipped.invalid[0].reason, 'invalidTransition');
+        assert.deepEqual(skipped.invalid[0].allowed, ['En curso', 'Cancelado']);
+
+        const reopened = check(owner, plan({ status: 'Completado' }), plan({ status: 'En curso' }));
+        assert.deepEqual(reopened.invalid.map(({ from, to }) => ({ from, to })), [{ from: 'Completado', to: 'En curso' }]);
+    });
+
+    it('treats plans stored without a status as pending', () => {
+        assert.deepEqual(check(owner, plan({ status: null }), plan({ status: 'En curso' })).invalid, []);
+        assert.equal(check(owner, plan({ status: null }), plan({ status: 'Completado' })).invalid.length, 1);
+    });
+
+    it('follows each status change of the new updates in order', () => {
+        const updates = [
+            { id: 'upd-2', date: '2026-10-02', statusChange: 'Completado' },
+            { id: 'upd-1', date: '2026-10-01', statusChange: 'En curso' },
+        ];
+        // As saveAppData does: the plan follows its updates before being checked
+        const [applied] = applyIndicatorStatusChanges(withPlans(plan()), withPlans(plan({ updates }))).actionPlans;
+        assert.equal(applied.status, 'Completado');
+        assert.deepEqual(check(owner, plan(), applied), { invalid: [], refused: [] });
+    });
+
+    it('locks the status changes already recorded', () => {
+        const stored = plan({ status: 'En curso', updates: [{ id: 'upd-1', date: '2026-10-01', statusChange: 'En curso' }] });
+        const { invalid } = check(owner, stored, { ...stored, updates: [{ id: 'upd-1', date: '2026-10-01', statusChange: 'Cancelado' }] });
+        assert.deepEqual(invalid.map(entry => entry.reason), ['statusChangeLocked']);
+    });
+
+    it('lets only the stored owner or an administrator close a plan', () => {
+        const inProgress = plan({ status: 'En curso' });
+        assert.equal(check(other, inProgress, plan({ status: 'Completado' })).refused[0].reason, 'notPlanOwner');
+        assert.equal(check(other, inProgress, plan({ owner: 'dario', status: 'Completado' })).refused[0].owner, 'bruno');
+        assert.deepEqual(check(admin, inProgress, plan({ status: 'Completado' })).refused, []);
+        assert.deepEqual(check({ ...owner, name: 'otro' }, plan({ owner: 'u-1', status: 'En curso' }), plan({ owner: 'u-1', status: 'Completado' })).refused, []);
+    });
+
+    it('lets new plans start in any status but closing them is for their owner', () => {
+        assert.deepEqual(check(other, null, plan({ status: 'En curso' })), { invalid: [], refused: [] });
+        assert.equal(check(other, null, plan({ status: 'Cancelado' })).refused.length, 1);
+    });
+});
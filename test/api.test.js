@@ -0,0 +1,352 @@
+// End-to-end tests of login, getAppData, saveAppData, the trash and the report parameters over
+// HTTP, with the in-memory repositories: no MySQL is needed. Run them with `npm test`.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../src/app');
+const { createMemoryRepositories } = require('../src/repositories');
+const { hashPassword } = require('../src/services/passwordService');
+const { ADMIN_ROLE } = require('../src/utils/permissions');
+
+const PASSWORD = 'clave-segura-2026';
+
+let hash;
+let server;
+let baseUrl;
+
+const user = (id, name, role, area, cooperativeId) => ({
+    id, name, role, area, password: hash, readThreadIds: [], cooperative_id: cooperativeId,
+    failedLoginAttempts: 0, lockedUntil: null, passwordChangedAt: null, deletedAt: null, deletedBy: null, updatedAt: new Date(),
+});
+
+const attachment = (id, indicatorId, uploadedBy) => ({
+    id, indicator_id: indicatorId, fileName: `${id}.pdf`, fileType: 'application/pdf', fileSize: 1024, uploadedBy, uploadDate: new Date(),
+});
+
+// Two cooperatives: "norte", with an administrator and a user of the "Finanzas" area, and "sur",
+// with one user and one indicator that "norte" must never see. Each has a file uploaded to one
+// of its indicators ("ind-1" of "norte" is created by the tests).
+const seed = () => ({
+    cooperatives: [{ id: 'norte', name: 'Cooperativa Norte' }, { id: 'sur', name: 'Cooperativa Sur' }],
+    users: [
+        user('admin-norte', 'ana', ADMIN_ROLE, null, 'norte'),
+        user('finanzas-norte', 'bruno', 'Responsable de área', 'Finanzas', 'norte'),
+        user('admin-sur', 'carla', ADMIN_ROLE, null, 'sur'),
+    ],
+    cooperative_principles: [{ id: 1, name: 'Adhesión voluntaria y abierta', updatedAt: new Date() }],
+    indicators: [{
+        id: 'ind-sur', principle: 'Adhesión voluntaria y abierta', name: 'Asociados activos', calculation: null, purpose: null,
+        responsibleArea: 'Finanzas', strategicGoalId: null, cooperative_id: 'sur', version: 1, updatedAt: new Date(), deletedAt: null, deletedBy: null,
+    }],
+    attachments: [
+        attachment('adj-norte', 'ind-1', 'admin-norte'),
+        attachment('adj-sur', 'ind-sur', 'admin-sur'),
+    ],
+});
+
+const request = async (method, path, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body) headers['Content-Type'] = 'application/json';
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+};
+
+const login = async (name, password = PASSWORD) => request('POST', '/api/auth/login', { body: { name, password } });
+
+const tokenOf = async (name) => (await login(name)).body.token;
+
+const indicator = (overrides = {}) => ({
+    id: 'ind-1',
+    principle: 'Adhesión voluntaria y abierta',
+    name: 'Tasa de ingreso de asociados',
+    calculation: 'Ingresos / asociados',
+    purpose: null,
+    responsibleArea: 'Finanzas',
+    historicalData: [{ year: 2025, value: '1.234,5', formattedValue: '1.234,5' }],
+    goals: [{ year: 2025, target: 1500 }],
+    observations: [],
+    risks: [{ id: 'risk-1', title: 'Baja de asociados', impact: 5, probability: 4, status: 'Abierto' }],
+    actionPlans: [],
+    ...overrides,
+});
+
+before(async () => {
+    hash = await hashPassword(PASSWORD);
+});
+
+beforeEach(async () => {
+    const app = createApp({ repositories: createMemoryRepositories(seed()) });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+describe('POST /api/auth/login', () => {
+    it('returns tokens and the user without private columns', async () => {
+        const { status, body } = await login('ana');
+        assert.equal(status, 200);
+        assert.ok(body.token);
+        assert.ok(body.refreshToken);
+        assert.equal(body.user.id, 'admin-norte');
+        assert.deepEqual(body.user.cooperative, { id: 'norte', name: 'Cooperativa Norte' });
+        assert.equal(body.user.password, undefined);
+        assert.equal(body.user.failedLoginAttempts, undefined);
+    });
+
+    it('rejects a wrong password or an unknown user', async () => {
+        assert.equal((await login('ana', 'otra-clave-2026')).status, 401);
+        assert.equal((await login('nadie')).status, 401);
+    });
+
+    it('locks the account after too many failed attempts', async () => {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            await login('ana', 'otra-clave-2026');
+        }
+        const { status, body } = await login('ana');
+        assert.equal(status, 429);
+        assert.ok(body.retryAfter > 0);
+    });
+});
+
+describe('GET /api/data/app-data', () => {
+    it('requires a token', async () => {
+        assert.equal((await request('GET', '/api/data/app-data')).status, 401);
+        assert.equal((await request('GET', '/api/data/app-data', { token: 'no-es-un-token' })).status, 401);
+    });
+
+    it("returns only the records of the user's cooperative", async () => {
+        const { status, body } = await request('GET', '/api/data/app-data', { token: await tokenOf('ana') });
+        assert.equal(status, 200);
+        assert.deepEqual(body.users.map(row => row.id).sort(), ['admin-norte', 'finanzas-norte']);
+        assert.ok(body.users.every(row => row.password === undefined));
+        assert.deepEqual(body.indicators, []);
+        assert.equal(body.principles.length, 1);
+        assert.ok(body.syncedAt);
+    });
+});
+
+describe('POST /api/data/app-data', () => {
+    it('stores a new indicator with its children and returns its version', async () => {
+        const token = await tokenOf('ana');
+        const saved = await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator()] } });
+        assert.equal(saved.status, 200);
+        assert.deepEqual(saved.body.versions.indicators, { 'ind-1': 1 });
+
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        assert.equal(body.indicators.length, 1);
+        const [stored] = body.indicators;
+        assert.equal(stored.version, 1);
+        assert.equal(stored.canEdit, true);
+        assert.equal(Number(stored.historicalData[0].value), 1234.5);
+        assert.equal(stored.risks[0].riskScore, 20);
+        assert.ok(stored.auditLog.some(entry => entry.action === 'create' && entry.userId === 'admin-norte'));
+    });
+
+    it('rejects changes based on a stale version and accepts them on the current one', async () => {
+        const token = await tokenOf('ana');
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator()] } });
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator({ version: 1, purpose: 'Primera edición' })] } });
+
+        const stale = await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator({ version: 1, purpose: 'Edición vieja' })] } });
+        assert.equal(stale.status, 409);
+        assert.equal(stale.body.conflicts[0].reason, 'stale');
+        assert.equal(stale.body.conflicts[0].serverVersion, 2);
+
+        const current = await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator({ version: 2, purpose: 'Edición actual' })] } });
+        assert.equal(current.status, 200);
+        assert.deepEqual(current.body.versions.indicators, { 'ind-1': 3 });
+    });
+
+    it('rolls back the whole save when part of it is refused', async () => {
+        const token = await tokenOf('bruno');
+        const { status, body } = await request('POST', '/api/data/app-data', {
+            token,
+            body: { indicators: [indicator(), indicator({ id: 'ind-2', name: 'Capacitación', responsibleArea: 'Educación' })] },
+        });
+        assert.equal(status, 403);
+        assert.deepEqual(body.refused.map(refusal => refusal.id), ['ind-2']);
+
+        const loaded = await request('GET', '/api/data/app-data', { token });
+        assert.deepEqual(loaded.body.indicators, []);
+    });
+
+    it('never writes over the records of another cooperative', async () => {
+        const token = await tokenOf('ana');
+        const { status, body } = await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator({ id: 'ind-sur' })] } });
+        assert.equal(status, 409);
+        assert.equal(body.conflicts[0].reason, 'idInUse');
+
+        const other = await request('GET', '/api/data/app-data', { token: await tokenOf('carla') });
+        assert.equal(other.body.indicators[0].name, 'Asociados activos');
+        assert.equal(other.body.indicators[0].version, 1);
+    });
+
+    it('reports deleted records to incremental loads', async () => {
+        const token = await tokenOf('ana');
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator()] } });
+        const { body: before } = await request('GET', '/api/data/app-data', { token });
+
+        const saved = await request('POST', '/api/data/app-data', { token, body: { indicators: [], syncedAt: before.syncedAt } });
+        assert.equal(saved.status, 200);
+
+        const { body } = await request('GET', `/api/data/app-data?since=${encodeURIComponent(before.syncedAt)}`, { token });
+        assert.deepEqual(body.deleted.indicators, ['ind-1']);
+        assert.deepEqual(body.indicators, []);
+    });
+
+    it('keeps every year of the series when a load filtered by year is saved back', async () => {
+        const token = await tokenOf('ana');
+        const historicalData = [{ year: 2024, value: 900 }, { year: 2025, value: 1000 }];
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator({ historicalData })] } });
+
+        const { body: filtered } = await request('GET', '/api/data/app-data?year=2025', { token });
+        assert.equal(filtered.partial, true);
+        const saved = await request('POST', '/api/data/app-data', { token, body: filtered });
+        assert.equal(saved.status, 200);
+
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        assert.equal(body.partial, false);
+        assert.deepEqual(body.indicators[0].historicalData.map(row => row.year).sort(), [2024, 2025]);
+    });
+
+    it('deletes nothing when a load filtered by area is saved back', async () => {
+        const token = await tokenOf('ana');
+        const indicators = [indicator(), indicator({ id: 'ind-2', name: 'Capacitación', responsibleArea: 'Educación' })];
+        await request('POST', '/api/data/app-data', { token, body: { indicators } });
+
+        const { body: filtered } = await request('GET', '/api/data/app-data?area=Finanzas', { token });
+        assert.deepEqual(filtered.indicators.map(row => row.id), ['ind-1']);
+        const saved = await request('POST', '/api/data/app-data', { token, body: filtered });
+        assert.equal(saved.status, 200);
+
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        assert.deepEqual(body.indicators.map(row => row.id).sort(), ['ind-1', 'ind-2']);
+    });
+
+    it('never lets a user take the name of a user of another cooperative', async () => {
+        const token = await tokenOf('ana');
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        const intruder = { id: 'intruso', name: 'carla', role: ADMIN_ROLE, area: null, password: 'otra-clave-2026', readThreadIds: [] };
+
+        const saved = await request('POST', '/api/data/app-data', { token, body: { users: [...body.users, intruder] } });
+        assert.equal(saved.status, 409);
+        assert.equal(saved.body.conflicts[0].reason, 'nameInUse');
+        assert.equal(saved.body.conflicts[0].id, 'intruso');
+
+        const renamed = body.users.map(row => (row.id === 'finanzas-norte' ? { ...row, name: 'Carla' } : row));
+        assert.equal((await request('POST', '/api/data/app-data', { token, body: { users: renamed } })).status, 409);
+
+        assert.equal((await login('carla')).status, 200);
+        assert.equal((await login('carla', 'otra-clave-2026')).status, 401);
+    });
+
+    it('rejects a syncedAt that is not a cursor', async () => {
+        const token = await tokenOf('ana');
+        const { status, body } = await request('POST', '/api/data/app-data', { token, body: { indicators: [], syncedAt: 'ayer' } });
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].path, '$.syncedAt');
+    });
+
+    it('only links action plan updates to attachments of their own indicator', async () => {
+        const token = await tokenOf('ana');
+        const plan = (attachmentIds) => ({
+            id: 'plan-1', title: 'Campaña de afiliación', owner: 'ana', status: 'En curso',
+            updates: attachmentIds.map((attachmentId, i) => ({ id: `upd-${i}`, date: '2026-03-01', text: 'Avance', attachmentId })),
+        });
+
+        const refused = await request('POST', '/api/data/app-data', {
+            token,
+            body: { indicators: [indicator({ actionPlans: [plan(['adj-norte', 'adj-sur', 'no-existe'])] })] },
+        });
+        assert.equal(refused.status, 400);
+        assert.deepEqual(refused.body.errors.map(error => error.path), [
+            '$.indicators[0].actionPlans[0].updates[1].attachmentId',
+            '$.indicators[0].actionPlans[0].updates[2].attachmentId',
+        ]);
+        assert.deepEqual((await request('GET', '/api/data/app-data', { token })).body.indicators, []);
+
+        const saved = await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator({ actionPlans: [plan(['adj-norte'])] })] } });
+        assert.equal(saved.status, 200);
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        assert.equal(body.indicators[0].actionPlans[0].updates[0].attachmentId, 'adj-norte');
+    });
+
+    it('revokes the sessions of users deleted by an administrator', async () => {
+        const brunoToken = await tokenOf('bruno');
+        const token = await tokenOf('ana');
+        const { body } = await request('GET', '/api/data/app-data', { token });
+
+        const saved = await request('POST', '/api/data/app-data', { token, body: { users: body.users.filter(row => row.id !== 'finanzas-norte') } });
+        assert.equal(saved.status, 200);
+        assert.equal((await request('GET', '/api/data/app-data', { token: brunoToken })).status, 401);
+        assert.equal((await login('bruno')).status, 401);
+    });
+});
+
+describe('GET /api/reports/balance-social', () => {
+    it('rejects repeated, inherited or unknown formats and years', async () => {
+        const token = await tokenOf('ana');
+        for (const query of ['year=2024&format=a&format=b', 'year=2024&format=constructor', 'year=2024&format=doc', 'year=2024&year=2025']) {
+            const { status } = await request('GET', `/api/reports/balance-social?${query}`, { token });
+            assert.equal(status, 400, query);
+        }
+    });
+});
+
+describe('trash', () => {
+    it('keeps deleted indicators in the trash until an administrator restores them', async () => {
+        const token = await tokenOf('ana');
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator()] } });
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [] } });
+
+        const { status, body: trash } = await request('GET', '/api/trash?entity=indicators', { token });
+        assert.equal(status, 200);
+        assert.equal(trash.indicators.length, 1);
+        assert.equal(trash.indicators[0].id, 'ind-1');
+        assert.equal(trash.indicators[0].deletedByName, 'ana');
+        assert.ok(new Date(trash.indicators[0].purgeAt) > new Date(trash.indicators[0].deletedAt));
+
+        const rewritten = await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator()] } });
+        assert.equal(rewritten.status, 409);
+        assert.equal(rewritten.body.conflicts[0].reason, 'inTrash');
+
+        const restored = await request('POST', '/api/trash/indicators/ind-1/restore', { token });
+        assert.equal(restored.status, 200);
+        assert.equal(restored.body.version, 3);
+        assert.equal(restored.body.historicalData.length, 1);
+        assert.equal(restored.body.risks[0].id, 'risk-1');
+
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        assert.deepEqual(body.indicators.map(row => row.id), ['ind-1']);
+        assert.deepEqual((await request('GET', '/api/trash?entity=indicators', { token })).body.indicators, []);
+        assert.equal((await request('POST', '/api/trash/indicators/ind-1/restore', { token })).status, 404);
+    });
+
+    it('lets a restored user log in again', async () => {
+        const token = await tokenOf('ana');
+        const { body } = await request('GET', '/api/data/app-data', { token });
+        await request('POST', '/api/data/app-data', { token, body: { users: body.users.filter(row => row.id !== 'finanzas-norte') } });
+        assert.equal((await login('bruno')).status, 401);
+
+        assert.equal((await request('POST', '/api/trash/users/finanzas-norte/restore', { token })).status, 200);
+        assert.equal((await login('bruno')).status, 200);
+    });
+
+    it('is only managed by administrators of the same cooperative', async () => {
+        const token = await tokenOf('ana');
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [indicator()] } });
+        await request('POST', '/api/data/app-data', { token, body: { indicators: [] } });
+
+        assert.equal((await request('GET', '/api/trash', { token: await tokenOf('bruno') })).status, 403);
+        const other = await tokenOf('carla');
+        assert.deepEqual((await request('GET', '/api/trash?entity=indicators', { token: other })).body.indicators, []);
+        assert.equal((await request('POST', '/api/trash/indicators/ind-1/restore', { token: other })).status, 404);
+        assert.equal((await request('POST', '/api/trash/strategicGoals/g-1/restore', { token })).status, 400);
+    });
+});
@@ -0,0 +1,86 @@
+// iCalendar rendering of the calendar feeds (calendarService.js).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeText, foldLine, renderCalendar } = require('../src/services/calendarService');
+
+const NOW = new Date('2026-10-19T07:24:01.500Z');
+
+const feed = (scope) => ({
+    scope,
+    user: { id: 'u-1', name: 'ana', role: 'Administrador', area: null, cooperativeId: 'norte' },
+    cooperativeName: 'Cooperativa Norte, Ltda.',
+});
+
+const records = {
+    meetings: [{ id: 'm-1', date: '2026-10-25 14:30:00', agenda: 'Presupuesto 2027; balance\nSegundo punto', attendees: 'ana, bruno' }],
+    decisions: [{ id: 'd-1', text: 'Aprobar compra', status: 'Pendiente', dueDate: '2026-10-31', meetingDate: '25/10/2026', responsibleName: 'bruno' }],
+    actionPlans: [{ id: 'p-1', title: 'Capacitar', description: null, owner: 'ana', status: 'En curso', dueDate: '2026-12-31', indicatorName: 'Tasa' }],
+};
+
+// Unfolded content lines of a document
+const contentLines = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+describe('escapeText', () => {
+    it('escapes backslashes, separators and line breaks', () => {
+        assert.equal(escapeText('a\\b; c, d\r\ne\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+        assert.equal(escapeText(null), '');
+    });
+});
+
+describe('foldLine', () => {
+    it('leaves short lines alone', () => {
+        assert.equal(foldLine('SUMMARY:Reunión'), 'SUMMARY:Reunión');
+    });
+
+    it('folds at 75 octets without splitting a character', () => {
+        const line = `DESCRIPTION:${'ñ'.repeat(100)}`;
+        const parts = foldLine(line).split('\r\n');
+        assert.ok(parts.length > 1);
+        assert.ok(parts.every(part => Buffer.byteLength(part) <= 75));
+        assert.ok(parts.slice(1).every(part => part.startsWith(' ')));
+        assert.equal(parts.map((part, index) => (index ? part.slice(1) : part)).join(''), line);
+        assert.ok(!foldLine(line).includes('\uFFFD'));
+    });
+});
+
+describe('renderCalendar', () => {
+    it('renders meetings as timed UTC events and deadlines as all-day free events', () => {
+        const ics = renderCalendar(feed('user'), records, NOW);
+        assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+        assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+        assert.ok(!/[^\r]\n/.test(ics));
+
+        const lines = contentLines(ics);
+        assert.ok(lines.includes('X-WR-CALNAME:Balance Social - ana (Cooperativa Norte\\, Ltda.)'));
+        assert.ok(lines.includes('UID:meeting-m-1@balance-social'));
+        assert.ok(lines.includes('DTSTAMP:20261019T072401Z'));
+        assert.ok(lines.includes('DTSTART:20261025T143000Z'));
+        assert.ok(lines.includes('DTEND:20261025T153000Z'));
+        assert.ok(lines.includes('SUMMARY:Reunión: Presupuesto 2027\\; balance'));
+        assert.ok(lines.includes('DESCRIPTION:Orden del día:\\nPresupuesto 2027\\; balance\\nSegundo punto\\n\\nAsistentes: ana\\, bruno'));
+
+        assert.ok(lines.includes('UID:decision-d-1@balance-social'));
+        assert.ok(lines.includes('DTSTART;VALUE=DATE:20261031'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20261101'));
+        assert.ok(lines.includes('UID:action-plan-p-1@balance-social'));
+        assert.ok(lines.includes('DTEND;VALUE=DATE:20270101'));
+        assert.equal(lines.filter(line => line === 'TRANSP:TRANSPARENT').length, 2);
+        assert.equal(lines.filter(line => line === 'BEGIN:VEVENT').length, 3);
+    });
+
+    it('names who is responsible only in the cooperative feed', () => {
+        const own = contentLines(renderCalendar(feed('user'), records, NOW)).join('\n');
+        assert.ok(!own.includes('Responsable:'));
+
+        const cooperative = contentLines(renderCalendar(feed('cooperative'), records, NOW));
+        assert.ok(cooperative.includes('X-WR-CALNAME:Balance Social - Cooperativa Norte\\, Ltda.'));
+        assert.ok(cooperative.some(line => line.includes('Responsable: bruno')));
+        assert.ok(cooperative.some(line => line.includes('Responsable: ana')));
+    });
+
+    it('renders an empty calendar when there is nothing to show', () => {
+        const lines = contentLines(renderCalendar(feed('user'), { meetings: [], decisions: [], actionPlans: [] }, NOW));
+        assert.ok(!lines.includes('BEGIN:VEVENT'));
+        assert.equal(lines[lines.length - 2], 'END:VCALENDAR');
+    });
+});
@@ -0,0 +1,55 @@
+// Parsing of formatted numbers (dataUtils.normalizeNumber): decimal and thousands separators,
+// symbols, empty input and text that is not a number.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeNumber } = require('../src/utils/dataUtils');
+
+describe('normalizeNumber', () => {
+    it('takes the last separator as the decimal one when both are used', () => {
+        assert.equal(normalizeNumber('1.234,5'), 1234.5);
+        assert.equal(normalizeNumber('1,234.5'), 1234.5);
+        assert.equal(normalizeNumber('1.234.567,89'), 1234567.89);
+    });
+
+    it('reads a lone separator as the decimal one', () => {
+        assert.equal(normalizeNumber('1234.5'), 1234.5);
+        assert.equal(normalizeNumber('12,5'), 12.5);
+        assert.equal(normalizeNumber('0.125'), 0.125);
+        assert.equal(normalizeNumber('1234,567'), 1234.567);
+    });
+
+    it('reads separators followed by groups of three digits as thousands', () => {
+        assert.equal(normalizeNumber('1.500'), 1500);
+        assert.equal(normalizeNumber('1,500'), 1500);
+        assert.equal(normalizeNumber('1.234.567'), 1234567);
+        assert.equal(normalizeNumber('1,234,567'), 1234567);
+        assert.equal(normalizeNumber('-1.500'), -1500);
+    });
+
+    it('ignores spaces, percent and currency symbols', () => {
+        assert.equal(normalizeNumber('12,5 %'), 12.5);
+        assert.equal(normalizeNumber('$ 1.500'), 1500);
+        assert.equal(normalizeNumber('€ 1.234,50'), 1234.5);
+    });
+
+    it('uses the given decimal separator', () => {
+        assert.equal(normalizeNumber('1.500', ','), 1500);
+        assert.equal(normalizeNumber('1.500', '.'), 1.5);
+        assert.equal(normalizeNumber('1,500', ','), 1.5);
+    });
+
+    it('returns numbers as they are and null for empty input', () => {
+        assert.equal(normalizeNumber(42.5), 42.5);
+        assert.equal(normalizeNumber(null), null);
+        assert.equal(normalizeNumber(undefined), null);
+        assert.equal(normalizeNumber(''), null);
+        assert.equal(normalizeNumber(' % '), null);
+    });
+
+    it('returns NaN for text that is not a number', () => {
+        assert.ok(Number.isNaN(normalizeNumber('abc')));
+        assert.ok(Number.isNaN(normalizeNumber('1.2.3')));
+        assert.ok(Number.isNaN(normalizeNumber('1,2,3')));
+        assert.ok(Number.isNaN(normalizeNumber(Infinity)));
+    });
+});
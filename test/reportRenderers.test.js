@@ -0,0 +1,56 @@
+// Escaping of the spreadsheet exports of the Balance Social report.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { renderCsv, renderXlsx } = require('../src/services/reportRenderers');
+
+const report = {
+    year: 2025,
+    generatedAt: '2026-10-19T12:00:00.000Z',
+    principles: [{
+        principle: 'Adhesión voluntaria y abierta',
+        indicators: [{
+            name: '=HYPERLINK("http://ejemplo.com","Ver")',
+            calculation: '@SUM(A1:A9)',
+            purpose: '-2+3',
+            responsibleArea: 'Finanzas',
+            strategicGoal: null,
+            current: { year: 2025, value: -12.5, formattedValue: '-12,5', target: 10, percentOfTarget: null, status: 'offTrack' },
+            results: [],
+            observations: [],
+            openRisks: [],
+            actionPlans: [],
+        }],
+    }],
+};
+
+const collect = async (render) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise(resolve => output.on('end', resolve));
+    await render(report, output);
+    await finished;
+    return Buffer.concat(chunks);
+};
+
+describe('renderCsv', () => {
+    it('neutralizes cells that would be read as formulas and keeps negative numbers', async () => {
+        const [, row] = (await collect(renderCsv)).toString('utf8').split('\r\n');
+        assert.ok(row.includes(`"'=HYPERLINK(""http://ejemplo.com"",""Ver"")"`));
+        assert.ok(row.includes(",'@SUM(A1:A9),'-2+3,"));
+        assert.ok(row.includes(',"-12,5",'));
+    });
+});
+
+describe('renderXlsx', () => {
+    it('neutralizes text cells that would be read as formulas', async () => {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(await collect(renderXlsx));
+        const row = workbook.worksheets[0].getRow(2);
+        assert.equal(row.getCell(2).value, `'=HYPERLINK("http://ejemplo.com","Ver")`);
+        assert.equal(row.getCell(3).value, "'@SUM(A1:A9)");
+        assert.equal(row.getCell(7).value, '-12,5');
+    });
+});
@@ -0,0 +1,44 @@
+// Query parsing and snippets of the full-text search (searchService.js).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTerms, buildSnippet } = require('../src/services/searchService');
+
+describe('parseTerms', () => {
+    it('splits words and quoted phrases', () => {
+        assert.deepEqual(parseTerms('agua "uso  racional"'), [
+            { text: 'agua', phrase: false },
+            { text: 'uso racional', phrase: true },
+        ]);
+    });
+
+    it('drops the operators of boolean mode and the words too short to be indexed', () => {
+        assert.deepEqual(parseTerms('+luz -gas* de x-ray (ab)').map(term => term.text), ['luz', 'gas', 'ray']);
+        assert.deepEqual(parseTerms('"" ** de'), []);
+    });
+});
+
+describe('buildSnippet', () => {
+    const before = 'Primera parte del texto '.repeat(8);
+    const after = 'y más texto al final '.repeat(8);
+    const text = `${before}Educación cooperativa para los asociados ${after}`;
+
+    it('cuts a fragment around the first term found, ignoring case and accents', () => {
+        const snippet = buildSnippet(text, [{ text: 'asociados' }, { text: 'EDUCACION' }]);
+        assert.ok(snippet.startsWith('… '));
+        assert.ok(snippet.endsWith(' …'));
+        assert.ok(snippet.includes('Educación cooperativa para los asociados'));
+        assert.ok(snippet.length <= 160 + 4);
+    });
+
+    it('cuts at word boundaries', () => {
+        const words = buildSnippet(text, [{ text: 'educacion' }]).replace(/^… | …$/g, '').split(' ');
+        const known = new Set(text.split(' '));
+        assert.ok(words.every(word => known.has(word)));
+    });
+
+    it('returns short texts whole and the start when no term is found', () => {
+        assert.equal(buildSnippet('Corto con Ñandú', [{ text: 'nandu' }]), 'Corto con Ñandú');
+        assert.ok(buildSnippet(text, [{ text: 'inexistente' }]).startsWith('Primera parte'));
+        assert.equal(buildSnippet(null, [{ text: 'agua' }]), '');
+    });
+});